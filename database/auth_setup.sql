@@ -10,7 +10,7 @@ CREATE TABLE IF NOT EXISTS Users (
     userID INT AUTO_INCREMENT PRIMARY KEY,
     username VARCHAR(50) UNIQUE NOT NULL,
     password VARCHAR(255) NOT NULL,
-    role ENUM('admin', 'user') NOT NULL DEFAULT 'user',
+    role VARCHAR(50) NOT NULL DEFAULT 'user', -- a Roles.roleName; see SETUP_AUTH.md
     createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
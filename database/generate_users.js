@@ -14,7 +14,7 @@ console.log('CREATE TABLE IF NOT EXISTS Users (');
 console.log('    userID INT AUTO_INCREMENT PRIMARY KEY,');
 console.log('    username VARCHAR(50) UNIQUE NOT NULL,');
 console.log('    password VARCHAR(255) NOT NULL,');
-console.log('    role ENUM(\'admin\', \'user\') NOT NULL DEFAULT \'user\',');
+console.log('    role VARCHAR(50) NOT NULL DEFAULT \'user\',');
 console.log('    createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP');
 console.log(');\n');
 
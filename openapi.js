@@ -0,0 +1,1091 @@
+// OpenAPI 3 description of the AFMS API, served at /api/openapi.json and browsed at /api/docs.
+// Record bodies are derived from the field rules in public/schemas.js. Every route registered in
+// server.js needs an entry here, with the same auth and permissions; `npm test` checks both ways.
+
+const { FIELD_SCHEMAS } = require('./public/schemas');
+const { version } = require('./package.json');
+
+const EQUIPMENT_TYPES = ['artillery', 'ships', 'jets'];
+// Delete permission of each recycle bin type, as in RECYCLE_BIN in server.js
+const RECYCLE_PERMISSIONS = {
+    serving: 'personnel:delete',
+    retired: 'personnel:delete',
+    logistics: 'equipment:delete',
+    artillery: 'equipment:delete',
+    ships: 'equipment:delete',
+    jets: 'equipment:delete',
+    users: 'users:delete'
+};
+const RECYCLE_TYPES = Object.keys(RECYCLE_PERMISSIONS);
+const READINESS_STATES = ['in-maintenance', 'overdue', 'due', 'operational'];
+const WORK_ORDER_STATUSES = ['open', 'in_progress', 'completed', 'cancelled'];
+const UNIT_TYPES = ['command', 'division', 'brigade', 'regiment'];
+
+// --- SCHEMA HELPERS ---
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const arrayOf = items => ({ type: 'array', items });
+const string = (description, extra) => ({ type: 'string', ...(description ? { description } : {}), ...extra });
+const integer = (description, extra) => ({ type: 'integer', ...(description ? { description } : {}), ...extra });
+const number = (description, extra) => ({ type: 'number', ...(description ? { description } : {}), ...extra });
+const boolean = description => ({ type: 'boolean', ...(description ? { description } : {}) });
+const date = description => string(description, { format: 'date' });
+const dateTime = description => string(description, { format: 'date-time' });
+const nullable = schema => ({ ...schema, nullable: true });
+// MySQL comparisons and BOOLEAN columns come back as 0 or 1
+const flag = description => integer(description, { enum: [0, 1] });
+
+/**
+ * An object schema; `required` lists the property names that must be present.
+ */
+function object(properties, required = []) {
+    return { type: 'object', properties, ...(required.length ? { required } : {}) };
+}
+
+/**
+ * OpenAPI schema of one FIELD_SCHEMAS rule.
+ */
+function fieldSchema(rule) {
+    switch (rule.type) {
+        case 'string':
+            return rule.length
+                ? { type: 'string', minLength: rule.length, maxLength: rule.length }
+                : { type: 'string', maxLength: rule.maxLength };
+        case 'enum':
+            return { type: 'string', enum: rule.values };
+        case 'integer':
+            return { type: 'integer', ...(rule.positive ? { minimum: 1 } : {}), maximum: 2147483647 };
+        case 'decimal': {
+            const [digits, scale] = rule.precision;
+            return {
+                type: 'number',
+                ...(rule.positive ? { exclusiveMinimum: true, minimum: 0 } : {}),
+                maximum: Math.pow(10, digits - scale) - Math.pow(10, -scale),
+                multipleOf: Math.pow(10, -scale)
+            };
+        }
+        case 'date': {
+            const notes = [];
+            if (rule.age) notes.push(`on create, age must be at least ${rule.age[0]} and under ${rule.age[1]}`);
+            if (rule.past) notes.push('not in the future');
+            if (rule.after) notes.push(`after ${rule.after}`);
+            return { type: 'string', format: 'date', ...(notes.length ? { description: notes.join('; ') } : {}) };
+        }
+        default:
+            return {};
+    }
+}
+
+/**
+ * Request body schema of record type `type`: every field in FIELD_SCHEMAS, required
+ * ones marked, the key left out when it comes from the URL.
+ */
+function recordBody(type, { withKey = true, omit = [] } = {}) {
+    const schema = FIELD_SCHEMAS[type];
+    const fields = Object.keys(schema).filter(f => (withKey || !schema[f].key) && !omit.includes(f));
+    const properties = Object.fromEntries(fields.map(f => [f, fieldSchema(schema[f])]));
+    return object(properties, fields.filter(f => schema[f].required));
+}
+
+/**
+ * Stored record of type `type` as the API returns it: its fields, nullable where optional,
+ * plus the row version and recycle bin columns.
+ */
+function recordSchema(type, extra = {}) {
+    const schema = FIELD_SCHEMAS[type];
+    const properties = Object.fromEntries(Object.keys(schema).map(f => [f, schema[f].required ? fieldSchema(schema[f]) : nullable(fieldSchema(schema[f]))]));
+    return object({
+        ...properties,
+        ...extra,
+        version: string('Row version; send it back as If-Match when updating'),
+        deletedAt: nullable(dateTime('Set while the record is in the recycle bin')),
+        deletedBy: nullable(integer()),
+        deletedByName: nullable(string())
+    }, Object.keys(schema).filter(f => schema[f].required));
+}
+
+const equipmentColumns = {
+    logisticsType: string(),
+    cost: integer(),
+    procurementDate: date(),
+    tech: nullable(string()),
+    location: string(),
+    assignedTo: nullable(string()),
+    readiness: string(undefined, { enum: READINESS_STATES }),
+    nextMaintenance: nullable(date())
+};
+
+// --- PARAMETERS ---
+
+const path = (name, description, schema = string()) => ({ name, in: 'path', required: true, description, schema });
+const query = (name, description, schema = string()) => ({ name, in: 'query', required: false, description, schema });
+
+const listParameters = [
+    query('q', 'Free-text search; every word must match'),
+    query('sort', 'Column to sort by'),
+    query('order', 'Sort direction', string(undefined, { enum: ['asc', 'desc'], default: 'asc' })),
+    query('page', 'Page number; paging applies only when page or pageSize is given', integer(undefined, { minimum: 1 })),
+    query('pageSize', 'Rows per page', integer(undefined, { minimum: 1, maximum: 200, default: 25 })),
+    query('deleted', 'Records in the recycle bin: include or only them (needs the resource\'s delete permission)', string(undefined, { enum: ['exclude', 'include', 'only'], default: 'exclude' })),
+    query('format', 'Download as a file instead of JSON (needs the resource\'s export permission)', string(undefined, { enum: ['json', 'csv', 'xlsx', 'pdf'], default: 'json' }))
+];
+const unitIdParameter = query('unitId', 'Roll up this unit and every unit under it', integer());
+const equipmentFilterParameters = [
+    query('type', 'Equipment type'),
+    query('location', 'Location name'),
+    query('assignedTo', 'Service ID of the holder'),
+    query('readiness', 'Readiness status', string(undefined, { enum: READINESS_STATES }))
+];
+const ifMatchParameter = { name: 'If-Match', in: 'header', required: true, description: 'The record\'s ETag, or * to overwrite regardless', schema: string() };
+
+// --- RESPONSES ---
+
+const json = schema => ({ content: { 'application/json': { schema } } });
+const ok = (schema, description = 'OK') => ({ description, ...json(schema) });
+const error = description => ({ $ref: `#/components/responses/${description}` });
+const success = (properties = {}) => ok(object({ success: boolean(), message: string(), ...properties }));
+const list = (key, item) => ok(object({
+    [key]: arrayOf(item),
+    total: integer('Matching rows'),
+    page: integer(),
+    pageSize: nullable(integer()),
+    sort: string(),
+    order: string(),
+    masked: arrayOf(string())
+}, [key, 'total']), 'The list as JSON, or a CSV/XLSX/PDF download with ?format=');
+const versioned = (message = 'Updated') => ({
+    description: message,
+    headers: { ETag: { description: 'The new version', schema: string() } },
+    ...json(object({ success: boolean(), version: string(), message: string() }))
+});
+
+// --- OPERATIONS ---
+
+/**
+ * One operation. `permissions` are the resource:action permissions its route requires
+ * (listed in `x-permissions`); `auth: false` marks routes that need no access token.
+ */
+function op(tags, summary, { description, auth = true, permissions = [], parameters = [], body, multipart, responses = {} } = {}) {
+    const result = { tags: [].concat(tags), summary };
+    if (description) result.description = description;
+    if (!auth) result.security = [];
+    if (permissions.length) {
+        result['x-permissions'] = permissions;
+        result.description = [result.description, `Requires ${permissions.map(p => `\`${p}\``).join(' and ')}.`].filter(Boolean).join('\n\n');
+    }
+    if (parameters.length) result.parameters = parameters;
+    if (body) result.requestBody = { required: true, ...json(body) };
+    if (multipart) result.requestBody = { required: true, content: { 'multipart/form-data': { schema: multipart } } };
+    result.responses = {
+        200: ok(object({})),
+        ...responses,
+        ...(body || multipart ? { 400: error('BadRequest') } : {}),
+        ...(auth ? { 401: error('Unauthorized'), 403: error('Forbidden') } : {}),
+        500: error('ServerError')
+    };
+    if (responses[400]) result.responses[400] = responses[400];
+    return result;
+}
+
+/**
+ * The list, detail, create, update and delete operations of a record under `base`.
+ */
+function recordOperations({ tag, type, base, resource, noun, listKey, listParameters: extraParameters, detail, idParameter }) {
+    const id = idParameter;
+    return {
+        [base]: {
+            get: op(tag, `List ${noun}`, {
+                permissions: [`${resource}:read`],
+                parameters: [...extraParameters, ...listParameters],
+                responses: { 200: list(listKey, ref(detail.schema)), 400: error('BadRequest') }
+            }),
+            post: op(tag, `Add ${noun}`, {
+                permissions: [`${resource}:create`],
+                body: recordBody(type),
+                responses: { 200: success({ [FIELD_SCHEMAS[type].serviceID ? 'serviceID' : 'equipmentID']: string() }), 409: error('Conflict') }
+            })
+        },
+        [`${base}/{${id.name}}`]: {
+            ...(detail.get ? {
+                get: op(tag, `Get ${noun} by ID`, {
+                    description: detail.description,
+                    permissions: [`${resource}:read`],
+                    parameters: [id],
+                    responses: {
+                        200: { description: 'OK', headers: { ETag: { description: 'The record\'s version', schema: string() } }, ...json(detail.get) },
+                        404: error('NotFound')
+                    }
+                })
+            } : {}),
+            put: op(tag, `Update ${noun}`, {
+                description: detail.putDescription,
+                permissions: [`${resource}:update`],
+                parameters: [id, ifMatchParameter],
+                body: recordBody(type, { withKey: false }),
+                responses: { 200: versioned(), 404: error('NotFound'), 409: error('EditConflict'), 428: error('PreconditionRequired') }
+            }),
+            delete: op(tag, `Delete ${noun}`, {
+                description: 'The record goes to the recycle bin.',
+                permissions: [`${resource}:delete`],
+                parameters: [id],
+                responses: { 200: success(), 404: error('NotFound') }
+            })
+        }
+    };
+}
+
+/**
+ * Bulk import of record type `type` from a CSV or XLSX file.
+ */
+function importOperation(tag, type, resource) {
+    return {
+        post: op(tag, `Import ${type} from CSV/XLSX`, {
+            description: 'Every row is validated and inserted in one transaction, committed only when all rows pass and `dryRun` is not set.',
+            permissions: [`${resource}:create`],
+            parameters: [query('dryRun', 'Validate and report without saving', boolean())],
+            multipart: object({ file: string('The spreadsheet (.csv or .xlsx, max 5 MB); the header row names the columns', { format: 'binary' }), dryRun: boolean() }, ['file']),
+            responses: {
+                200: ok(ref('ImportResult')),
+                400: { description: 'The file could not be read, or rows failed and nothing was imported', ...json(ref('ImportResult')) }
+            }
+        })
+    };
+}
+
+/**
+ * Attachment routes of the records under `base`.
+ */
+function attachmentOperations(tag, base, resource) {
+    const id = path('id', 'Key of the record');
+    const attachmentId = path('attachmentId', 'Attachment ID', integer());
+    return {
+        [`${base}/{id}/attachments`]: {
+            get: op(tag, 'List a record\'s attachments', {
+                description: '`medical` attachments are only listed with `personnel:sensitive`.',
+                permissions: [`${resource}:read`],
+                parameters: [id],
+                responses: { 200: ok(object({ attachments: arrayOf(ref('Attachment')), categories: arrayOf(object({ category: string(), types: arrayOf(string('Allowed MIME type')) })), maxBytes: integer() })), 404: error('NotFound') }
+            }),
+            post: op(tag, 'Upload an attachment', {
+                description: 'PDF, PNG or JPEG only, checked against the file\'s content. Its SHA-256 checksum is stored and returned.',
+                permissions: [`${resource}:update`],
+                parameters: [id],
+                multipart: object({ file: string(undefined, { format: 'binary' }), category: string('photo, medical, manual, certificate or other', { default: 'other' }) }, ['file']),
+                responses: { 200: success({ attachmentID: integer(), sha256: string() }), 404: error('NotFound'), 413: error('BadRequest') }
+            })
+        },
+        [`${base}/{id}/attachments/{attachmentId}`]: {
+            get: op(tag, 'Download an attachment', {
+                description: 'The file is checked against its stored checksum before it is sent.',
+                permissions: [`${resource}:read`],
+                parameters: [id, attachmentId],
+                responses: {
+                    200: {
+                        description: 'The file',
+                        headers: { 'X-Checksum-SHA256': { description: 'SHA-256 of the file', schema: string() } },
+                        content: { 'application/octet-stream': { schema: string(undefined, { format: 'binary' }) } }
+                    },
+                    404: error('NotFound'),
+                    410: error('NotFound')
+                }
+            }),
+            delete: op(tag, 'Delete an attachment', {
+                permissions: [`${resource}:update`],
+                parameters: [id, attachmentId],
+                responses: { 200: success(), 404: error('NotFound') }
+            })
+        }
+    };
+}
+
+// --- DOCUMENT ---
+
+const serviceId = path('id', 'Service ID', fieldSchema(FIELD_SCHEMAS.serving.serviceID));
+const equipmentId = path('id', 'Equipment ID', fieldSchema(FIELD_SCHEMAS.logistics.equipmentID));
+const equipmentType = path('type', 'Equipment subtype', string(undefined, { enum: EQUIPMENT_TYPES }));
+const userId = path('userId', 'User ID', integer());
+const personnelDetail = object({ personnel: ref('ServingPersonnel'), masked: arrayOf(string()), rankHistory: arrayOf(ref('RankChange')), postings: arrayOf(ref('Posting')) });
+const equipmentDetail = object({ equipment: ref('Equipment') });
+const loginResult = object({
+    success: boolean(),
+    token: string('Access token; send it as `Authorization: Bearer <token>`'),
+    refreshToken: string(),
+    expiresIn: string(),
+    role: string(),
+    permissions: arrayOf(string()),
+    username: string(),
+    passwordChangeRequired: boolean(),
+    passwordChangeReason: nullable(string(undefined, { enum: ['reset', 'expired'] })),
+    twoFactorSetupRequired: boolean()
+});
+const passwordBody = object({ password: string('The current password') }, ['password']);
+const dateRange = [query('from', 'From date (inclusive)', date()), query('to', 'To date (inclusive)', date())];
+
+const paths = {
+    // Docs
+    '/api/openapi.json': {
+        get: op('Docs', 'This OpenAPI document', { auth: false })
+    },
+    '/api/docs': {
+        get: op('Docs', 'Interactive API documentation', {
+            auth: false,
+            responses: { 200: { description: 'HTML page', content: { 'text/html': { schema: string() } } } }
+        })
+    },
+
+    // Authentication
+    '/api/auth/register': {
+        post: op('Auth', 'Register an account', {
+            auth: false,
+            description: 'Depending on REGISTRATION_MODE the account is active at once (with an invite code) or waits for approval.',
+            body: object({ username: string(undefined, { minLength: 3, maxLength: 50 }), password: string(), inviteCode: string() }, ['username', 'password']),
+            responses: { 200: success({ status: string(undefined, { enum: ['pending', 'active'] }) }), 403: error('Forbidden'), 409: error('Conflict'), 429: error('TooManyRequests') }
+        })
+    },
+    '/api/auth/password-policy': {
+        get: op('Auth', 'Password rules and registration mode', {
+            auth: false,
+            responses: { 200: ok(object({ minLength: integer(), minClasses: integer(), registration: string() })) }
+        })
+    },
+    '/api/auth/login': {
+        post: op('Auth', 'Log in', {
+            auth: false,
+            description: 'Accounts with two-factor authentication get `twoFactorRequired` and a `challengeToken` for /api/auth/login/2fa instead of tokens.',
+            body: object({ username: string(), password: string() }, ['username', 'password']),
+            responses: {
+                200: ok({ oneOf: [loginResult, object({ success: boolean(), twoFactorRequired: boolean(), challengeToken: string(), username: string() })] }),
+                401: error('Unauthorized'),
+                403: error('Forbidden'),
+                423: error('Locked'),
+                429: error('TooManyRequests')
+            }
+        })
+    },
+    '/api/auth/login/2fa': {
+        post: op('Auth', 'Second login step', {
+            auth: false,
+            body: object({ challengeToken: string(), code: string('Authenticator code or an unused recovery code') }, ['challengeToken', 'code']),
+            responses: { 200: ok(loginResult), 401: error('Unauthorized'), 423: error('Locked'), 429: error('TooManyRequests') }
+        })
+    },
+    '/api/auth/refresh': {
+        post: op('Auth', 'Exchange a refresh token', {
+            auth: false,
+            description: 'Refresh tokens rotate: the old one stops working, and reusing it ends the session.',
+            body: object({ refreshToken: string() }, ['refreshToken']),
+            responses: { 200: ok(object({ success: boolean(), token: string(), refreshToken: string(), expiresIn: string(), role: string(), permissions: arrayOf(string()), username: string() })), 401: error('Unauthorized') }
+        })
+    },
+    '/api/auth/logout': {
+        post: op('Auth', 'End a session', {
+            auth: false,
+            body: object({ refreshToken: string(), all: boolean('End every session of the user') }, ['refreshToken']),
+            responses: { 200: success() }
+        })
+    },
+    '/api/auth/me': {
+        get: op('Auth', 'The signed-in user', {
+            responses: {
+                200: ok(object({
+                    userID: integer(), username: string(), role: string(), permissions: arrayOf(string()),
+                    scopes: object({ regiment: arrayOf(string()), location: arrayOf(string()) }),
+                    passwordExpiresAt: nullable(dateTime()), passwordChangeRequired: boolean(), passwordChangeReason: nullable(string()),
+                    twoFactorEnabled: boolean(), twoFactorRequired: boolean(), twoFactorSetupRequired: boolean()
+                }))
+            }
+        })
+    },
+    '/api/auth/change-password': {
+        post: op('Auth', 'Change your password', {
+            description: 'Ends your other sessions.',
+            body: object({ currentPassword: string(), newPassword: string() }, ['currentPassword', 'newPassword']),
+            responses: { 200: success(), 429: error('TooManyRequests') }
+        })
+    },
+    '/api/auth/reset-password': {
+        post: op('Auth', 'Set a new password with a reset code', {
+            auth: false,
+            body: object({ username: string(), resetToken: string(), newPassword: string() }, ['username', 'resetToken', 'newPassword']),
+            responses: { 200: success(), 429: error('TooManyRequests') }
+        })
+    },
+    '/api/auth/2fa': {
+        get: op('Auth', 'Your two-factor status', {
+            responses: { 200: ok(object({ enabled: boolean(), enabledAt: nullable(dateTime()), required: boolean(), recoveryCodesLeft: integer() })) }
+        })
+    },
+    '/api/auth/2fa/setup': {
+        post: op('Auth', 'Start two-factor setup', {
+            responses: { 200: ok(object({ secret: string('Base32 secret'), otpauthUrl: string(), qrCode: string('PNG data URL of otpauthUrl') })), 409: error('Conflict') }
+        })
+    },
+    '/api/auth/2fa/enable': {
+        post: op('Auth', 'Confirm two-factor setup', {
+            body: object({ code: string(undefined, { pattern: '^\\d{6}$' }) }, ['code']),
+            responses: { 200: success({ recoveryCodes: arrayOf(string()) }), 409: error('Conflict') }
+        })
+    },
+    '/api/auth/2fa/disable': {
+        post: op('Auth', 'Turn off two-factor authentication', {
+            body: passwordBody,
+            responses: { 200: success(), 429: error('TooManyRequests') }
+        })
+    },
+    '/api/auth/2fa/recovery-codes': {
+        post: op('Auth', 'Replace your recovery codes', {
+            body: passwordBody,
+            responses: { 200: success({ recoveryCodes: arrayOf(string()) }), 429: error('TooManyRequests') }
+        })
+    },
+
+    // Personnel
+    ...recordOperations({
+        tag: 'Personnel',
+        type: 'serving',
+        base: '/api/personnel/serving',
+        resource: 'personnel',
+        noun: 'serving personnel',
+        listKey: 'personnel',
+        idParameter: serviceId,
+        listParameters: [query('rank', 'Rank code'), query('regiment', 'Regiment (unit name)'), query('postingType', 'Posting type', string(undefined, { enum: ['F', 'H', 'T'] })), unitIdParameter],
+        detail: {
+            schema: 'ServingPersonnel',
+            get: personnelDetail,
+            description: 'With the rank timeline and posting history, oldest first.',
+            putDescription: '`currRank` only changes here when the stored rank is not in the rank table; `regiment` and `postingType` change through transfers.'
+        }
+    }),
+    '/api/personnel/serving/{id}/pension': {
+        get: op('Personnel', 'Pension on retiring at a date', {
+            permissions: ['personnel:read', 'personnel:sensitive'],
+            parameters: [serviceId, query('retirementDate', 'Defaults to today', date())],
+            responses: {
+                200: ok(object({ serviceID: string(), rankCode: string(), salary: integer(), commissionDate: date(), retirementDate: date(), serviceYears: integer(), rule: ref('RetirementRule'), eligible: boolean(), pension: nullable(integer()) })),
+                400: error('BadRequest'),
+                404: error('NotFound')
+            }
+        })
+    },
+    '/api/personnel/serving/{id}/retire': {
+        post: op('Personnel', 'Retire a serving member', {
+            description: 'Moves the record to retired personnel in one transaction. Equipment they hold is reassigned as given, or released.',
+            permissions: ['personnel:update', 'personnel:delete'],
+            parameters: [serviceId],
+            body: object({
+                retirementDate: date(),
+                pension: integer('Defaults to the pension computed from the rank\'s retirement rule', { minimum: 1 }),
+                reassignments: { type: 'object', description: 'equipmentID: serviceID of the new holder', additionalProperties: string() }
+            }, ['retirementDate']),
+            responses: {
+                200: success({ serviceID: string(), pension: nullable(integer()), released: arrayOf(string()), reassigned: arrayOf(object({ equipmentID: string(), assignedTo: string() })) }),
+                404: error('NotFound'),
+                409: error('Conflict')
+            }
+        })
+    },
+    '/api/personnel/serving/{id}/promote': {
+        post: op('Personnel', 'Promote one rank up', {
+            description: 'Setting `salary` needs `personnel:sensitive`.',
+            permissions: ['personnel:update'],
+            parameters: [serviceId],
+            body: object({ toRank: string(), effectiveDate: date('Defaults to today; not in the future'), note: string(), applyPayScale: boolean('Raise salary to the new rank\'s pay scale'), salary: integer(undefined, { minimum: 1 }) }, ['toRank']),
+            responses: { 200: success({ serviceID: string(), fromRank: string(), toRank: string(), salaryChanged: boolean() }), 404: error('NotFound'), 409: error('Conflict') }
+        })
+    },
+    '/api/personnel/serving/{id}/transfer': {
+        post: op('Postings', 'Issue a transfer order', {
+            description: 'Orders dated ahead are `pending` and take effect on their day. Refused past the tenure limit of the posting type.',
+            permissions: ['personnel:update'],
+            parameters: [serviceId],
+            body: object({ regiment: string(), postingType: string(undefined, { enum: ['F', 'H', 'T'] }), location: string(), effectiveDate: date('Defaults to today'), note: string() }, ['regiment', 'postingType']),
+            responses: { 200: success({ serviceID: string(), postingID: integer(), pending: boolean() }), 404: error('NotFound'), 409: error('Conflict') }
+        })
+    },
+    ...recordOperations({
+        tag: 'Personnel',
+        type: 'retired',
+        base: '/api/personnel/retired',
+        resource: 'personnel',
+        noun: 'retired personnel',
+        listKey: 'personnel',
+        idParameter: serviceId,
+        listParameters: [unitIdParameter],
+        detail: {
+            schema: 'RetiredPersonnel',
+            get: object({ personnel: ref('RetiredPersonnel'), masked: arrayOf(string()), rankHistory: arrayOf(ref('RankChange')), postings: arrayOf(ref('Posting')) }),
+            description: 'With the rank timeline and posting history, oldest first.'
+        }
+    }),
+    '/api/personnel/serving/import': importOperation('Import', 'serving', 'personnel'),
+    '/api/personnel/retired/import': importOperation('Import', 'retired', 'personnel'),
+    ...attachmentOperations('Attachments', '/api/personnel/serving', 'personnel'),
+    ...attachmentOperations('Attachments', '/api/personnel/retired', 'personnel'),
+
+    // Ranks and retirement
+    '/api/ranks': {
+        get: op('Ranks', 'Ranks by seniority', {
+            description: '`payScale` is only shown with `personnel:sensitive`.',
+            permissions: ['personnel:read'],
+            responses: { 200: ok(object({ ranks: arrayOf(object({ rankCode: string(), title: string(), seniority: integer(), navyEquivalent: string(), airForceEquivalent: string(), payScale: nullable(integer()) })) })) }
+        })
+    },
+    '/api/retirement-rules': {
+        get: op('Ranks', 'Retirement rules by rank', {
+            permissions: ['personnel:read'],
+            responses: { 200: ok(object({ rules: arrayOf(ref('RetirementRule')), ageLimit: integer('The serving age limit') })) }
+        })
+    },
+    '/api/retirement-rules/{rankCode}': {
+        put: op('Ranks', 'Update a rank\'s retirement rule', {
+            permissions: ['personnel:update', 'personnel:sensitive'],
+            parameters: [path('rankCode', 'Rank code')],
+            body: object({ retirementAge: integer(undefined, { minimum: 18 }), minServiceYears: integer(undefined, { minimum: 0 }), fullServiceYears: integer(undefined, { minimum: 1 }), ratePercent: number(undefined, { exclusiveMinimum: true, minimum: 0, maximum: 100 }), minimumPension: integer(undefined, { minimum: 0 }) }, ['retirementAge', 'minServiceYears', 'fullServiceYears', 'ratePercent']),
+            responses: { 200: success(), 404: error('NotFound') }
+        })
+    },
+    '/api/retirements/due': {
+        get: op('Ranks', 'Members reaching retirement age', {
+            permissions: ['personnel:read', 'personnel:sensitive'],
+            parameters: [query('months', 'How far ahead to look', integer(undefined, { minimum: 0, maximum: 120, default: 12 })), unitIdParameter],
+            responses: { 200: ok(object({ months: integer(), due: arrayOf(object({ serviceID: string(), firstName: string(), lastName: string(), currRank: string(), regiment: nullable(string()), DOB: date(), commissionDate: nullable(date()), retirementAge: integer(), superannuationDate: date(), overdue: flag(), monthsLeft: integer() })) })) }
+        })
+    },
+
+    // Units and locations
+    '/api/units': {
+        get: op('Units', 'List units', {
+            permissions: ['units:read'],
+            responses: { 200: ok(object({ units: arrayOf(ref('Unit')), unitTypes: arrayOf(string()) })) }
+        }),
+        post: op('Units', 'Add a unit', {
+            permissions: ['units:create'],
+            body: ref('UnitInput'),
+            responses: { 200: success({ unitID: integer() }), 409: error('Conflict') }
+        })
+    },
+    '/api/units/tree': {
+        get: op('Units', 'Order of battle tree', {
+            description: 'Each node has `own` and rolled-up `total` counts of personnel and equipment.',
+            permissions: ['units:read'],
+            parameters: [query('rootId', 'Return just this branch', integer())],
+            responses: { 200: ok(object({ tree: arrayOf(object({})) })), 404: error('NotFound') }
+        })
+    },
+    '/api/units/{unitId}': {
+        put: op('Units', 'Update a unit', {
+            description: 'A rename carries over to personnel, postings and access scopes.',
+            permissions: ['units:update'],
+            parameters: [path('unitId', 'Unit ID', integer())],
+            body: ref('UnitInput'),
+            responses: { 200: success(), 404: error('NotFound'), 409: error('Conflict') }
+        }),
+        delete: op('Units', 'Delete a unit', {
+            description: 'Refused while it has sub-units, locations or personnel.',
+            permissions: ['units:delete'],
+            parameters: [path('unitId', 'Unit ID', integer())],
+            responses: { 200: success(), 404: error('NotFound'), 409: error('Conflict') }
+        })
+    },
+    '/api/locations': {
+        get: op('Units', 'List locations', {
+            permissions: ['units:read'],
+            responses: { 200: ok(object({ locations: arrayOf(object({ locationID: integer(), name: string(), unitID: nullable(integer()), unitName: nullable(string()), equipmentCount: integer(), createdAt: dateTime() })) })) }
+        }),
+        post: op('Units', 'Add a location', {
+            permissions: ['units:create'],
+            body: object({ name: string(undefined, { maxLength: 100 }), unitID: nullable(integer()) }, ['name']),
+            responses: { 200: success({ locationID: integer() }), 409: error('Conflict') }
+        })
+    },
+    '/api/locations/{locationId}': {
+        put: op('Units', 'Update a location', {
+            description: 'A rename carries over to equipment and access scopes.',
+            permissions: ['units:update'],
+            parameters: [path('locationId', 'Location ID', integer())],
+            body: object({ name: string(undefined, { maxLength: 100 }), unitID: nullable(integer()) }, ['name']),
+            responses: { 200: success(), 404: error('NotFound'), 409: error('Conflict') }
+        }),
+        delete: op('Units', 'Delete a location', {
+            description: 'Refused while equipment is there.',
+            permissions: ['units:delete'],
+            parameters: [path('locationId', 'Location ID', integer())],
+            responses: { 200: success(), 404: error('NotFound'), 409: error('Conflict') }
+        })
+    },
+
+    // Postings
+    '/api/postings/rotation-due': {
+        get: op('Postings', 'Members due for rotation', {
+            permissions: ['personnel:read'],
+            parameters: [query('months', 'How far ahead to look', integer(undefined, { minimum: 0, maximum: 120, default: 6 }))],
+            responses: { 200: ok(object({ months: integer(), limits: object({ F: integer(), H: integer(), T: integer() }), due: arrayOf(object({ serviceID: string(), firstName: string(), lastName: string(), currRank: string(), regiment: nullable(string()), location: nullable(string()), postingType: string(), tenureStart: date(), rotationDue: date(), pendingFrom: nullable(date()), overdue: boolean(), monthsServed: integer() })) })) }
+        })
+    },
+    '/api/postings/{postingId}': {
+        delete: op('Postings', 'Cancel a pending transfer order', {
+            description: 'Only a member\'s latest order, before it takes effect.',
+            permissions: ['personnel:update'],
+            parameters: [path('postingId', 'Posting ID', integer())],
+            responses: { 200: success(), 404: error('NotFound'), 409: error('Conflict') }
+        })
+    },
+
+    // Logistics and equipment
+    ...recordOperations({
+        tag: 'Equipment',
+        type: 'logistics',
+        base: '/api/logistics',
+        resource: 'equipment',
+        noun: 'logistics equipment',
+        listKey: 'equipment',
+        idParameter: equipmentId,
+        listParameters: [...equipmentFilterParameters, unitIdParameter],
+        detail: { schema: 'Logistics', get: object({ equipment: ref('Logistics') }), putDescription: 'A change of `assignedTo` is recorded in the custody history.' }
+    }),
+    '/api/logistics/{id}/assign': {
+        post: op('Equipment', 'Assign equipment to a serving member', {
+            permissions: ['equipment:update'],
+            parameters: [equipmentId],
+            body: object({ serviceID: string(), date: date('Defaults to today'), note: string() }, ['serviceID']),
+            responses: { 200: success({ equipmentID: string(), assignedTo: string() }), 404: error('NotFound'), 409: error('Conflict') }
+        })
+    },
+    '/api/logistics/{id}/return': {
+        post: op('Equipment', 'Return equipment from its holder', {
+            permissions: ['equipment:update'],
+            parameters: [equipmentId],
+            body: object({ date: date('Defaults to today'), note: string() }),
+            responses: { 200: success({ equipmentID: string(), returnedFrom: string() }), 404: error('NotFound'), 409: error('Conflict') }
+        })
+    },
+    '/api/logistics/{id}/assignments': {
+        get: op('Equipment', 'Custody history of an item', {
+            permissions: ['equipment:read'],
+            parameters: [equipmentId],
+            responses: { 200: ok(object({ assignments: arrayOf(ref('Assignment')) })), 404: error('NotFound') }
+        })
+    },
+    '/api/logistics/import': importOperation('Import', 'logistics', 'equipment'),
+    ...attachmentOperations('Attachments', '/api/logistics', 'equipment'),
+    ...Object.assign({}, ...EQUIPMENT_TYPES.map(type => {
+        const tag = 'Equipment';
+        const operations = recordOperations({
+            tag,
+            type,
+            base: `/api/${type}`,
+            resource: 'equipment',
+            noun: type,
+            listKey: type,
+            idParameter: equipmentId,
+            listParameters: equipmentFilterParameters,
+            detail: { schema: type[0].toUpperCase() + type.slice(1), putDescription: 'The ETag covers the Logistics row too.' }
+        });
+        operations[`/api/${type}`].post.description = `Needs an existing Logistics row of this type; /api/equipment/${type} adds both.`;
+        return { ...operations, [`/api/${type}/import`]: importOperation('Import', type, 'equipment') };
+    })),
+    '/api/equipment/{type}': {
+        post: op('Equipment', 'Add equipment with its subtype record', {
+            description: 'One transaction; `logisticsType` follows from `:type`.',
+            permissions: ['equipment:create'],
+            parameters: [equipmentType],
+            body: { oneOf: EQUIPMENT_TYPES.map(type => ({ title: type, allOf: [recordBody('logistics', { omit: ['logisticsType'] }), recordBody(type, { withKey: false })] })) },
+            responses: { 200: success({ equipmentID: string() }), 404: error('NotFound'), 409: error('Conflict') }
+        })
+    },
+    '/api/equipment/{type}/{id}': {
+        get: op('Equipment', 'Get equipment with its subtype record', {
+            permissions: ['equipment:read'],
+            parameters: [equipmentType, equipmentId],
+            responses: { 200: { description: 'OK', headers: { ETag: { description: 'The record\'s version', schema: string() } }, ...json(equipmentDetail) }, 404: error('NotFound') }
+        }),
+        put: op('Equipment', 'Update equipment and its subtype record', {
+            permissions: ['equipment:update'],
+            parameters: [equipmentType, equipmentId, ifMatchParameter],
+            body: { oneOf: EQUIPMENT_TYPES.map(type => ({ title: type, allOf: [recordBody('logistics', { withKey: false, omit: ['logisticsType'] }), recordBody(type, { withKey: false })] })) },
+            responses: { 200: versioned(), 404: error('NotFound'), 409: error('EditConflict'), 428: error('PreconditionRequired') }
+        }),
+        delete: op('Equipment', 'Delete equipment and its subtype record', {
+            permissions: ['equipment:delete'],
+            parameters: [equipmentType, equipmentId],
+            responses: { 200: success(), 404: error('NotFound') }
+        })
+    },
+    '/api/equipment/consistency': {
+        get: op('Equipment', 'Logistics rows whose type and subtype records disagree', {
+            permissions: ['equipment:read'],
+            responses: {
+                200: ok(object({
+                    checked: integer(), consistent: boolean(), flagged: integer(),
+                    unknownType: arrayOf(ref('ConsistencyItem')), orphans: arrayOf(ref('ConsistencyItem')),
+                    mismatched: arrayOf(ref('ConsistencyItem')), duplicates: arrayOf(ref('ConsistencyItem'))
+                }))
+            }
+        })
+    },
+    '/api/equipment/assigned/{personnelId}': {
+        get: op('Equipment', 'Equipment held by a member', {
+            description: '`equipment` is what they hold now; `history` is every custody record.',
+            permissions: ['equipment:read'],
+            parameters: [path('personnelId', 'Service ID')],
+            responses: { 200: ok(object({ equipment: arrayOf(ref('Logistics')), history: arrayOf({ allOf: [ref('Assignment'), object({ logisticsType: string(), location: string() })] }) })) }
+        })
+    },
+
+    // Maintenance
+    '/api/maintenance/plans': {
+        get: op('Maintenance', 'List maintenance plans', {
+            permissions: ['equipment:read'],
+            parameters: [query('type', 'logisticsType')],
+            responses: { 200: ok(object({ plans: arrayOf(ref('MaintenancePlan')), types: arrayOf(string()), dueWithinDays: integer() })) }
+        }),
+        post: op('Maintenance', 'Add a maintenance plan', {
+            permissions: ['equipment:update'],
+            body: ref('MaintenancePlanInput'),
+            responses: { 200: success({ planID: integer() }), 409: error('Conflict') }
+        })
+    },
+    '/api/maintenance/plans/{planId}': {
+        put: op('Maintenance', 'Update a maintenance plan', {
+            permissions: ['equipment:update'],
+            parameters: [path('planId', 'Plan ID', integer())],
+            body: ref('MaintenancePlanInput'),
+            responses: { 200: success(), 404: error('NotFound'), 409: error('Conflict') }
+        }),
+        delete: op('Maintenance', 'Delete a maintenance plan', {
+            description: 'Its work orders are kept without a plan.',
+            permissions: ['equipment:delete'],
+            parameters: [path('planId', 'Plan ID', integer())],
+            responses: { 200: success(), 404: error('NotFound') }
+        })
+    },
+    '/api/maintenance/work-orders': {
+        get: op('Maintenance', 'List work orders', {
+            permissions: ['equipment:read'],
+            parameters: [query('equipmentID', 'Equipment ID'), query('status', 'Status', string(undefined, { enum: WORK_ORDER_STATUSES })), query('planID', 'Plan ID', integer())],
+            responses: { 200: ok(object({ workOrders: arrayOf(ref('WorkOrder')) })), 400: error('BadRequest') }
+        }),
+        post: op('Maintenance', 'Open a work order', {
+            permissions: ['equipment:update'],
+            body: object({ equipmentID: string(), planID: integer('A plan for the item\'s type'), scheduledDate: date(), notes: string(), status: string(undefined, { enum: ['open', 'in_progress'], default: 'open' }) }, ['equipmentID']),
+            responses: { 200: success({ workOrderID: integer() }), 404: error('NotFound'), 409: error('Conflict') }
+        })
+    },
+    '/api/maintenance/work-orders/{workOrderId}': {
+        put: op('Maintenance', 'Update a work order', {
+            description: 'Status moves open → in_progress → completed, or to cancelled.',
+            permissions: ['equipment:update'],
+            parameters: [path('workOrderId', 'Work order ID', integer())],
+            body: object({ status: string(undefined, { enum: WORK_ORDER_STATUSES }), date: date('When it started or was completed; defaults to today'), scheduledDate: date(), notes: string() }),
+            responses: { 200: success(), 404: error('NotFound'), 409: error('Conflict') }
+        })
+    },
+    '/api/maintenance/upcoming': {
+        get: op('Maintenance', 'Maintenance due or overdue', {
+            permissions: ['equipment:read'],
+            parameters: [query('days', 'How far ahead to look', integer(undefined, { minimum: 0, maximum: 365, default: 30 }))],
+            responses: {
+                200: ok(object({
+                    days: integer(),
+                    due: arrayOf(object({ equipmentID: string(), logisticsType: string(), location: string(), planID: integer(), planName: string(), nextDue: date(), overdue: boolean() })),
+                    inProgress: arrayOf(object({ workOrderID: integer(), equipmentID: string(), startedDate: date(), notes: nullable(string()), logisticsType: string(), location: string(), planName: nullable(string()) }))
+                }))
+            }
+        })
+    },
+
+    // Statistics and reports
+    '/api/stats': {
+        get: op('Reports', 'Dashboard counts', {
+            permissions: ['reports:read'],
+            parameters: [unitIdParameter],
+            responses: { 200: ok(object({ total_serving: integer(), total_retired: integer(), total_equipment: integer(), total_artillery: integer(), total_ships: integer(), total_jets: integer() })) }
+        })
+    },
+    '/api/analytics': {
+        get: op('Reports', 'Dashboard chart data', {
+            description: 'Age and retirement figures are null without `personnel:sensitive`.',
+            permissions: ['reports:read'],
+            parameters: [...dateRange, unitIdParameter],
+            responses: { 200: ok(object({ from: date(), to: date(), personnel: object({}), equipment: object({}), masked: arrayOf(string()) })), 400: error('BadRequest') }
+        })
+    },
+    '/api/reports/personnel-equipment': {
+        get: op('Reports', 'Personnel with their assigned equipment', {
+            permissions: ['reports:read'],
+            parameters: [unitIdParameter, listParameters.find(p => p.name === 'format')],
+            responses: {
+                200: ok(object({
+                    assignments: arrayOf(object({ serviceID: string(), firstName: string(), lastName: string(), currRank: string(), regiment: nullable(string()), equipmentID: nullable(string()), logisticsType: nullable(string()), location: nullable(string()), cost: nullable(integer()) })),
+                    total: integer(),
+                    masked: arrayOf(string())
+                }), 'The report as JSON, or a CSV/XLSX/PDF download with ?format=')
+            }
+        })
+    },
+
+    // Recycle bin
+    '/api/recycle-bin': {
+        get: op('Recycle Bin', 'Deleted records you may manage', {
+            description: 'Each type is listed only with its delete permission.',
+            parameters: [query('type', 'Record type', string(undefined, { enum: RECYCLE_TYPES }))],
+            responses: { 200: ok(object({ items: arrayOf(object({ type: string(), id: { oneOf: [string(), integer()] }, label: string(), deletedAt: dateTime(), deletedBy: nullable(integer()), deletedByName: nullable(string()), purgeAfter: dateTime() })), types: arrayOf(string()), retentionDays: integer() })), 400: error('BadRequest') }
+        })
+    },
+    ...Object.assign({}, ...RECYCLE_TYPES.map(type => ({
+        [`/api/recycle-bin/${type}/{id}/restore`]: {
+            post: op('Recycle Bin', `Restore a deleted ${type} record`, {
+                description: 'Records deleted along with it come back too; `restored` names their types.',
+                permissions: [RECYCLE_PERMISSIONS[type]],
+                parameters: [path('id', 'Record key')],
+                responses: { 200: success({ type: string(), id: string(), restored: arrayOf(string()) }), 404: error('NotFound'), 409: error('Conflict') }
+            })
+        },
+        [`/api/recycle-bin/${type}/{id}`]: {
+            delete: op('Recycle Bin', `Purge a deleted ${type} record permanently`, {
+                permissions: [RECYCLE_PERMISSIONS[type]],
+                parameters: [path('id', 'Record key')],
+                responses: { 200: success({ type: string(), id: string() }), 404: error('NotFound') }
+            })
+        }
+    }))),
+
+    // Audit
+    '/api/audit': {
+        get: op('Audit', 'Query the audit trail', {
+            permissions: ['audit:read'],
+            parameters: [query('entity', 'Table name'), query('key', 'Record key'), query('user', 'userID or username'), ...dateRange, query('limit', 'Most entries returned', integer(undefined, { maximum: 1000, default: 200 }))],
+            responses: { 200: ok(object({ entries: arrayOf(object({ auditID: integer(), userID: nullable(integer()), username: nullable(string()), entity: string(), entityKey: string(), action: string(), beforeData: nullable(object({})), afterData: nullable(object({})), createdAt: dateTime() })) })) }
+        })
+    },
+    '/api/audit/logins': {
+        get: op('Audit', 'Sign-in, registration and password change attempts', {
+            permissions: ['audit:read'],
+            parameters: [
+                query('action', 'Attempt type', string(undefined, { enum: ['login', 'register', 'password'] })),
+                query('user', 'Username'),
+                query('ip', 'IP address'),
+                query('success', 'Outcome', string(undefined, { enum: ['true', 'false'] })),
+                ...dateRange,
+                query('limit', 'Most attempts returned', integer(undefined, { maximum: 1000, default: 200 }))
+            ],
+            responses: { 200: ok(object({ attempts: arrayOf(object({ attemptID: integer(), action: string(), username: string(), userID: nullable(integer()), ipAddress: nullable(string()), userAgent: nullable(string()), success: flag(), reason: string(), createdAt: dateTime() })) })) }
+        })
+    },
+
+    // Roles
+    '/api/roles': {
+        get: op('Users', 'Roles and the permission catalogue', {
+            permissions: ['roles:read'],
+            responses: { 200: ok(object({ roles: arrayOf(object({ roleName: string(), description: nullable(string()), builtIn: flag(), requireTwoFactor: boolean(), createdAt: dateTime(), userCount: integer(), permissions: arrayOf(string()) })), permissions: object({}) })) }
+        }),
+        post: op('Users', 'Add a role', {
+            permissions: ['roles:create'],
+            body: object({ roleName: string('Lowercase letters, digits and _', { pattern: '^[a-z0-9_]+$' }), description: string(), permissions: arrayOf(string()), requireTwoFactor: boolean() }, ['roleName']),
+            responses: { 200: success({ roleName: string() }), 409: error('Conflict') }
+        })
+    },
+    '/api/roles/{roleName}': {
+        put: op('Users', 'Update a role', {
+            description: 'On `admin` only `requireTwoFactor` can change.',
+            permissions: ['roles:update'],
+            parameters: [path('roleName', 'Role name')],
+            body: object({ description: string(), permissions: arrayOf(string()), requireTwoFactor: boolean() }),
+            responses: { 200: success(), 404: error('NotFound') }
+        }),
+        delete: op('Users', 'Delete a custom role that no user holds', {
+            permissions: ['roles:delete'],
+            parameters: [path('roleName', 'Role name')],
+            responses: { 200: success(), 404: error('NotFound'), 409: error('Conflict') }
+        })
+    },
+
+    // Users
+    '/api/users': {
+        get: op('Users', 'List users', {
+            permissions: ['users:read'],
+            parameters: [listParameters.find(p => p.name === 'deleted')],
+            responses: { 200: ok(object({ users: arrayOf(ref('User')), roles: arrayOf(string()), scopeOptions: object({ regiment: arrayOf(string()), location: arrayOf(string()) }) })) }
+        })
+    },
+    '/api/users/{userId}': {
+        delete: op('Users', 'Delete a user', {
+            description: 'The account goes to the recycle bin and its sessions end.',
+            permissions: ['users:delete'],
+            parameters: [userId],
+            responses: { 200: success(), 404: error('NotFound') }
+        })
+    },
+    '/api/users/{userId}/role': {
+        put: op('Users', 'Change a user\'s role', {
+            permissions: ['users:update'],
+            parameters: [userId],
+            body: object({ role: string() }, ['role']),
+            responses: { 200: success(), 404: error('NotFound') }
+        })
+    },
+    '/api/users/{userId}/scopes': {
+        put: op('Users', 'Replace a user\'s access scopes', {
+            description: 'An empty or missing list removes that restriction.',
+            permissions: ['users:update'],
+            parameters: [userId],
+            body: object({ regiment: arrayOf(string()), location: arrayOf(string()) }),
+            responses: { 200: success({ scopes: object({ regiment: arrayOf(string()), location: arrayOf(string()) }) }), 404: error('NotFound') }
+        })
+    },
+    '/api/users/{userId}/approve': {
+        post: op('Users', 'Approve a pending registration', {
+            permissions: ['users:update'],
+            parameters: [userId],
+            responses: { 200: success(), 404: error('NotFound') }
+        })
+    },
+    '/api/users/{userId}/unlock': {
+        post: op('Users', 'Lift a lockout', {
+            permissions: ['users:update'],
+            parameters: [userId],
+            responses: { 200: success(), 404: error('NotFound') }
+        })
+    },
+    '/api/users/{userId}/reset-password': {
+        post: op('Users', 'Issue a one-time password reset code', {
+            description: 'The user must change their password at the next login, and their sessions end.',
+            permissions: ['users:update'],
+            parameters: [userId],
+            responses: { 200: success({ resetToken: string('Shown only once'), expiresAt: dateTime() }), 400: error('BadRequest'), 404: error('NotFound') }
+        })
+    },
+    '/api/users/{userId}/2fa': {
+        delete: op('Users', 'Reset a user\'s two-factor enrollment', {
+            permissions: ['users:update'],
+            parameters: [userId],
+            responses: { 200: success(), 400: error('BadRequest'), 404: error('NotFound') }
+        })
+    },
+
+    // Invites
+    '/api/invites': {
+        get: op('Users', 'List invites', {
+            permissions: ['users:read'],
+            responses: { 200: ok(object({ invites: arrayOf(object({ inviteID: integer(), role: string(), note: nullable(string()), createdByName: nullable(string()), createdAt: dateTime(), expiresAt: dateTime(), usedAt: nullable(dateTime()), usedByName: nullable(string()), revokedAt: nullable(dateTime()), state: string(undefined, { enum: ['open', 'used', 'expired', 'revoked'] }) })), registration: string() })) }
+        }),
+        post: op('Users', 'Create an invite', {
+            permissions: ['users:update'],
+            body: object({ role: string(), note: string(), expiresInDays: integer(undefined, { minimum: 1, default: 7 }) }, ['role']),
+            responses: { 200: success({ inviteID: integer(), code: string('Shown only once'), role: string(), expiresInDays: integer() }) }
+        })
+    },
+    '/api/invites/{inviteId}': {
+        delete: op('Users', 'Revoke an unused invite', {
+            permissions: ['users:update'],
+            parameters: [path('inviteId', 'Invite ID', integer())],
+            responses: { 200: success(), 404: error('NotFound') }
+        })
+    }
+};
+
+const errorResponse = (description, extra = {}) => ({ description, ...json({ allOf: [ref('Error'), object(extra)] }) });
+
+const document = {
+    openapi: '3.0.3',
+    info: {
+        title: 'Armed Forces Management System API',
+        version,
+        description: 'Personnel, equipment, units and administration of AFMS. Sign in with POST /api/auth/login and send the access token as `Authorization: Bearer <token>`. Each route lists the permissions it needs in `x-permissions`.'
+    },
+    servers: [{ url: '/' }],
+    security: [{ bearerAuth: [] }],
+    tags: ['Docs', 'Auth', 'Personnel', 'Postings', 'Ranks', 'Units', 'Equipment', 'Maintenance', 'Import', 'Attachments', 'Reports', 'Recycle Bin', 'Audit', 'Users'].map(name => ({ name })),
+    paths,
+    components: {
+        securitySchemes: {
+            bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+        },
+        schemas: {
+            Error: object({
+                error: string('What went wrong'),
+                fields: arrayOf(ref('FieldError'))
+            }, ['error']),
+            FieldError: object({ field: nullable(string('The invalid field, or null when it cannot be told')), message: string() }, ['field', 'message']),
+            ServingPersonnel: recordSchema('serving', { unitID: nullable(integer()) }),
+            RetiredPersonnel: recordSchema('retired', { unitID: nullable(integer()) }),
+            Logistics: recordSchema('logistics', { locationID: nullable(integer()), readiness: equipmentColumns.readiness, nextMaintenance: equipmentColumns.nextMaintenance }),
+            Artillery: recordSchema('artillery', equipmentColumns),
+            Ships: recordSchema('ships', equipmentColumns),
+            Jets: recordSchema('jets', equipmentColumns),
+            Equipment: {
+                description: 'A Logistics row with the columns of its Artillery, Ships or Jets row',
+                allOf: [ref('Logistics'), { oneOf: [ref('Artillery'), ref('Ships'), ref('Jets')] }]
+            },
+            RankChange: object({ historyID: integer(), serviceID: string(), fromRank: nullable(string()), toRank: string(), effectiveDate: date(), oldSalary: nullable(integer()), newSalary: nullable(integer()), note: nullable(string()), authorizedBy: nullable(integer()), authorizedByName: nullable(string()), createdAt: dateTime() }),
+            Posting: object({ postingID: integer(), serviceID: string(), regiment: nullable(string()), unitID: nullable(integer()), location: nullable(string()), postingType: string(undefined, { enum: ['F', 'H', 'T'] }), fromDate: date(), toDate: nullable(date()), note: nullable(string()), orderedBy: nullable(integer()), orderedByName: nullable(string()), createdAt: dateTime(), pending: flag('1 while the order is dated ahead') }),
+            RetirementRule: object({ rankCode: string(), retirementAge: integer(), minServiceYears: integer(), fullServiceYears: integer(), ratePercent: number(), minimumPension: integer() }),
+            Unit: object({ unitID: integer(), name: string(), unitType: string(undefined, { enum: UNIT_TYPES }), parentID: nullable(integer()), parentName: nullable(string()), locations: nullable(string('Comma-separated location names')), createdAt: dateTime() }),
+            UnitInput: object({ name: string(undefined, { maxLength: 100 }), unitType: string(undefined, { enum: UNIT_TYPES }), parentID: nullable(integer('A higher echelon')) }, ['name', 'unitType']),
+            Assignment: object({ assignmentID: integer(), equipmentID: string(), serviceID: string(), fromDate: date(), toDate: nullable(date('Null while they still hold it')), issuedBy: nullable(integer()), issuedByName: nullable(string()), handoverNote: nullable(string()), returnedBy: nullable(integer()), returnedByName: nullable(string()), returnNote: nullable(string()), createdAt: dateTime() }),
+            ConsistencyItem: object({ equipmentID: string(), logisticsType: string(), location: string(), tables: arrayOf(string()) }),
+            MaintenancePlan: object({ planID: integer(), logisticsType: string(), name: string(), intervalDays: integer(), description: nullable(string()), createdAt: dateTime() }),
+            MaintenancePlanInput: recordBody('maintenancePlan'),
+            WorkOrder: object({ workOrderID: integer(), equipmentID: string(), planID: nullable(integer()), planName: nullable(string()), status: string(undefined, { enum: WORK_ORDER_STATUSES }), scheduledDate: nullable(date()), startedDate: nullable(date()), completedDate: nullable(date()), notes: nullable(string()), createdByName: nullable(string()), createdAt: dateTime(), logisticsType: string(), location: string() }),
+            Attachment: object({ attachmentID: integer(), category: string(), fileName: string(), mimeType: string(), size: integer(), sha256: string(), uploadedByName: nullable(string()), createdAt: dateTime() }),
+            ImportResult: object({
+                success: boolean(), dryRun: boolean(), committed: boolean(), total: integer(), valid: integer(), imported: integer(),
+                errors: arrayOf(object({ row: integer('Spreadsheet row number'), key: nullable(string()), error: string(), fields: arrayOf(ref('FieldError')) })),
+                error: string()
+            }),
+            User: object({
+                userID: integer(), username: string(), role: string(), status: string(undefined, { enum: ['pending', 'active'] }), createdAt: dateTime(),
+                failedLogins: integer(), locked: nullable(flag()), lockedUntil: nullable(dateTime()),
+                mustChangePassword: flag(), resetPending: nullable(flag()), resetTokenExpires: nullable(dateTime()),
+                twoFactorEnabled: flag(), passwordChangedAt: nullable(dateTime()), passwordExpired: flag(),
+                deletedAt: nullable(dateTime()), deletedByName: nullable(string()),
+                scopes: object({ regiment: arrayOf(string()), location: arrayOf(string()) })
+            })
+        },
+        responses: {
+            BadRequest: errorResponse('Invalid request; `fields` names each invalid field'),
+            Unauthorized: errorResponse('Missing, invalid or expired credentials'),
+            Forbidden: errorResponse('Missing permission, or a password change or two-factor setup is required first', { passwordChangeRequired: boolean(), twoFactorSetupRequired: boolean() }),
+            NotFound: errorResponse('Not found, or outside your access scope'),
+            Conflict: errorResponse('Conflicts with the stored data'),
+            EditConflict: errorResponse('The record changed since you read it', { current: object({}), masked: arrayOf(string()), version: string() }),
+            Locked: errorResponse('The account is locked after failed logins', { retryAfter: integer() }),
+            PreconditionRequired: errorResponse('If-Match header missing'),
+            TooManyRequests: errorResponse('Too many attempts; see the Retry-After header', { retryAfter: integer('Seconds to wait') }),
+            ServerError: errorResponse('Server error')
+        }
+    }
+};
+
+// Operation IDs from the method and path, e.g. getPersonnelServingById
+for (const [route, operations] of Object.entries(paths)) {
+    const words = route.replace(/^\/api\//, '').split(/[/.-]/).map(part => part.startsWith('{')
+        ? 'By' + part[1].toUpperCase() + part.slice(2, -1)
+        : part.charAt(0).toUpperCase() + part.slice(1));
+    for (const [method, operation] of Object.entries(operations)) {
+        operation.operationId = method + words.join('');
+    }
+}
+
+/**
+ * The page at /api/docs: Swagger UI from the bundled swagger-ui-dist files, reading /api/openapi.json.
+ */
+function docsPage() {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>AFMS API</title>
+  <link rel="stylesheet" href="/api/docs/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="/api/docs/swagger-ui-bundle.js"></script>
+  <script>
+    window.ui = SwaggerUIBundle({ url: '/api/openapi.json', dom_id: '#swagger-ui', persistAuthorization: true });
+  </script>
+</body>
+</html>`;
+}
+
+module.exports = { document, docsPage };
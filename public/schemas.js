@@ -0,0 +1,232 @@
+/**
+ * Field schemas for every record type, shared by the API (require('./public/schemas'))
+ * and the web forms (<script src="/schemas.js">, exposed as window.AFMSSchemas).
+ * Limits follow the columns and CHECK constraints in database/init.sql, so a record
+ * that passes here should not be refused by MySQL for its shape.
+ *
+ * A field rule has a `type` (string, integer, decimal, date or enum) and optionally:
+ *   required       must be present and non-empty
+ *   key            the record's primary key; not validated on update (it is in the URL)
+ *   length         exact string length (CHAR columns)
+ *   maxLength      longest allowed string (VARCHAR columns)
+ *   positive       number must be greater than 0
+ *   precision      [digits, scale] of a DECIMAL column
+ *   values         allowed enum values
+ *   age            [min, max) age in years for a date of birth on today's date; checked
+ *                  on create only, as members age past it without their record changing
+ *   past           date cannot be in the future
+ *   after          date must be later than the named field
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.AFMSSchemas = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const INT_MAX = 2147483647;
+
+    const commissionDate = { type: 'date', past: true, after: 'DOB' };
+
+    const FIELD_SCHEMAS = {
+        serving: {
+            serviceID: { type: 'string', required: true, key: true, length: 8 },
+            firstName: { type: 'string', required: true, maxLength: 20 },
+            lastName: { type: 'string', required: true, maxLength: 20 },
+            // Mirrors the check_age_serving_personnel trigger (18 <= age < 60), which fires on INSERT only
+            DOB: { type: 'date', required: true, past: true, age: [18, 60] },
+            commissionDate,
+            currRank: { type: 'string', required: true, maxLength: 9 },
+            regiment: { type: 'string', maxLength: 100 },
+            salary: { type: 'integer', required: true, positive: true },
+            awards: { type: 'string', maxLength: 255 },
+            skills: { type: 'string', maxLength: 255 },
+            postingType: { type: 'enum', required: true, values: ['F', 'H', 'T'] },
+            medical: { type: 'string', maxLength: 255 },
+            healthPlan: { type: 'string', maxLength: 100 }
+        },
+        retired: {
+            serviceID: { type: 'string', required: true, key: true, length: 8 },
+            firstName: { type: 'string', required: true, maxLength: 20 },
+            lastName: { type: 'string', required: true, maxLength: 20 },
+            DOB: { type: 'date', required: true, past: true },
+            commissionDate,
+            lastRank: { type: 'string', required: true, maxLength: 9 },
+            regiment: { type: 'string', maxLength: 100 },
+            retirementDate: { type: 'date', required: true, after: 'DOB' },
+            pension: { type: 'integer', required: true, positive: true },
+            awards: { type: 'string', maxLength: 255 },
+            skills: { type: 'string', maxLength: 255 },
+            healthPlan: { type: 'string', maxLength: 100 }
+        },
+        logistics: {
+            equipmentID: { type: 'string', required: true, key: true, maxLength: 12 },
+            logisticsType: { type: 'string', required: true, maxLength: 50 },
+            cost: { type: 'integer', required: true, positive: true },
+            procurementDate: { type: 'date', required: true },
+            tech: { type: 'string', maxLength: 100 },
+            location: { type: 'string', required: true, maxLength: 100 },
+            assignedTo: { type: 'string', length: 8 }
+        },
+        artillery: {
+            equipmentID: { type: 'string', required: true, key: true, maxLength: 12 },
+            type: { type: 'string', required: true, maxLength: 50 },
+            artRange: { type: 'decimal', required: true, precision: [10, 2] },
+            commissioningDate: { type: 'date', required: true }
+        },
+        ships: {
+            equipmentID: { type: 'string', required: true, key: true, maxLength: 12 },
+            shipName: { type: 'string', required: true, maxLength: 100 },
+            shipType: { type: 'string', required: true, maxLength: 50 },
+            staffSize: { type: 'integer', required: true, positive: true },
+            commissioningDate: { type: 'date', required: true }
+        },
+        jets: {
+            equipmentID: { type: 'string', required: true, key: true, maxLength: 12 },
+            jetName: { type: 'string', required: true, maxLength: 100 },
+            jetType: { type: 'string', required: true, maxLength: 50 },
+            speed: { type: 'decimal', required: true, positive: true, precision: [10, 2] },
+            commissioningDate: { type: 'date', required: true }
+        },
+        maintenancePlan: {
+            logisticsType: { type: 'enum', required: true, values: ['Artillery', 'Ships', 'Jets'] },
+            name: { type: 'string', required: true, maxLength: 100 },
+            intervalDays: { type: 'integer', required: true, positive: true },
+            description: { type: 'string', maxLength: 500 }
+        },
+        workOrder: {
+            equipmentID: { type: 'string', required: true, maxLength: 12 },
+            planID: { type: 'integer', positive: true },
+            status: { type: 'enum', values: ['open', 'in_progress', 'completed', 'cancelled'] },
+            scheduledDate: { type: 'date' },
+            notes: { type: 'string', maxLength: 500 }
+        }
+    };
+
+    function isEmpty(value) {
+        return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+    }
+
+    function pad(n) {
+        return String(n).padStart(2, '0');
+    }
+
+    /**
+     * YYYY-MM-DD for a Date, or for a string starting with one (ISO timestamps
+     * are cut to their date part); null if it is not a real calendar date.
+     */
+    function normaliseDate(value) {
+        if (value instanceof Date) {
+            return isNaN(value.getTime()) ? null : `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+        }
+        const match = /^(\d{4})-(\d{2})-(\d{2})(?:[T ].*)?$/.exec(String(value).trim());
+        if (!match) return null;
+        const [, y, m, d] = match.map(Number);
+        const date = new Date(Date.UTC(y, m - 1, d));
+        if (date.getUTCFullYear() !== y || date.getUTCMonth() !== m - 1 || date.getUTCDate() !== d) return null;
+        return match.slice(1, 4).join('-');
+    }
+
+    function today() {
+        const now = new Date();
+        return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+    }
+
+    /** Whole years from `dob` to `on`, both YYYY-MM-DD. */
+    function ageOn(dob, on) {
+        const [by, bm, bd] = dob.split('-').map(Number);
+        const [ty, tm, td] = on.split('-').map(Number);
+        return ty - by - (tm < bm || (tm === bm && td < bd) ? 1 : 0);
+    }
+
+    /**
+     * Checks one value against its rule. Returns [normalised value, error message or null].
+     */
+    function checkField(field, rule, value, update) {
+        if (rule.type === 'string') {
+            const text = String(value).trim();
+            if (rule.length && text.length !== rule.length) return [text, `${field} must be exactly ${rule.length} characters`];
+            if (rule.maxLength && text.length > rule.maxLength) return [text, `${field} must be at most ${rule.maxLength} characters`];
+            return [text, null];
+        }
+        if (rule.type === 'enum') {
+            const text = String(value).trim();
+            if (!rule.values.includes(text)) return [text, `${field} must be one of ${rule.values.join(', ')}`];
+            return [text, null];
+        }
+        if (rule.type === 'integer' || rule.type === 'decimal') {
+            const text = String(value).trim();
+            const pattern = rule.type === 'integer' ? /^-?\d+$/ : /^-?\d+(\.\d+)?$/;
+            if (typeof value !== 'number' && !pattern.test(text)) {
+                return [value, `${field} must be ${rule.type === 'integer' ? 'a whole number' : 'a number'}`];
+            }
+            const number = Number(value);
+            if (!Number.isFinite(number) || (rule.type === 'integer' && !Number.isInteger(number))) {
+                return [value, `${field} must be ${rule.type === 'integer' ? 'a whole number' : 'a number'}`];
+            }
+            if (rule.positive && !(number > 0)) return [number, `${field} must be greater than 0`];
+            const [digits, scale] = rule.precision || [];
+            const max = rule.precision ? Math.pow(10, digits - scale) - Math.pow(10, -scale) : INT_MAX;
+            if (Math.abs(number) > max) return [number, `${field} must be at most ${max}`];
+            if (rule.precision && (String(number).split('.')[1] || '').length > scale) {
+                return [number, `${field} can have at most ${scale} decimal places`];
+            }
+            return [number, null];
+        }
+        if (rule.type === 'date') {
+            const date = normaliseDate(value);
+            if (!date) return [value, `${field} must be a valid date (YYYY-MM-DD)`];
+            if (rule.past && date > today()) return [date, `${field} cannot be in the future`];
+            if (rule.age && !update) {
+                const age = ageOn(date, today());
+                if (age < rule.age[0] || age >= rule.age[1]) {
+                    return [date, `${field}: age must be at least ${rule.age[0]} and under ${rule.age[1]}`];
+                }
+            }
+            return [date, null];
+        }
+        return [value, null];
+    }
+
+    /**
+     * Validates `data` against the schema for record type `type`.
+     * Options: `update` skips key fields (they come from the URL) and `age` rules, `skip` lists
+     * fields to leave unchecked (e.g. ones hidden from the user).
+     * Returns { errors: [{ field, message }], values } where `values` is a copy of
+     * `data` with the schema's fields trimmed, coerced and empty ones set to null.
+     */
+    function validateRecord(type, data, options) {
+        const schema = FIELD_SCHEMAS[type];
+        if (!schema) throw new Error(`Unknown record type ${type}`);
+        const { update = false, skip = [] } = options || {};
+        const errors = [];
+        const values = Object.assign({}, data);
+
+        Object.keys(schema).forEach(field => {
+            const rule = schema[field];
+            if ((update && rule.key) || skip.includes(field)) return;
+            if (isEmpty(data[field])) {
+                values[field] = null;
+                if (rule.required) errors.push({ field, message: `${field} is required` });
+                return;
+            }
+            const [value, message] = checkField(field, rule, data[field], update);
+            values[field] = value;
+            if (message) errors.push({ field, message });
+        });
+
+        Object.keys(schema).forEach(field => {
+            const rule = schema[field];
+            if (!rule.after || skip.includes(field) || errors.some(e => e.field === field || e.field === rule.after)) return;
+            if (values[field] && values[rule.after] && normaliseDate(values[rule.after]) >= values[field]) {
+                errors.push({ field, message: `${field} must be after ${rule.after}` });
+            }
+        });
+
+        return { errors, values };
+    }
+
+    return { FIELD_SCHEMAS, validateRecord, normaliseDate };
+}));
@@ -5,16 +5,30 @@ require('dotenv').config();
 const express = require('express');
 const mysql = require('mysql2/promise');
 const path = require('path');
+const fs = require('fs/promises');
+const crypto = require('crypto');
 const cors = require('cors');
 const bodyParser = require('body-parser');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const multer = require('multer');
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const swaggerUiDist = require('swagger-ui-dist');
+const { FIELD_SCHEMAS, validateRecord, normaliseDate } = require('./public/schemas');
+const openapi = require('./openapi');
 
 // --- 2. SETUP ---
 const app = express();
+// Behind a reverse proxy, set TRUST_PROXY (e.g. 1 or loopback) so req.ip is the client's address
+if (process.env.TRUST_PROXY) app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
 // Use the PORT variable from .env, or default to 5500
 const PORT = process.env.PORT || 5500;
 const JWT_SECRET = process.env.JWT_SECRET || 'afms_secret_key_change_in_production';
+// Access tokens are short-lived; sessions are kept alive with rotating refresh tokens
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS, 10) || 7;
 
 console.log("--- AFMS SERVER.JS (with Authentication)");
 
@@ -23,7 +37,7 @@ console.log("--- AFMS SERVER.JS (with Authentication)");
 app.use(cors({
     origin: '*', 
     credentials: true,
-    exposedHeaders: ['Authorization']
+    exposedHeaders: ['Authorization', 'Content-Disposition', 'ETag']
 }));
 app.use(express.json()); // For parsing application/json
 app.use(express.urlencoded({ extended: true })); // For parsing application/x-www-form-urlencoded
@@ -43,289 +57,5302 @@ const pool = mysql.createPool(dbConfig);
 
 /**
  * Executes a query that is expected to return a single row (e.g., SELECT by ID).
+ * Pass a transaction connection as `db` to run it inside that transaction.
  */
-async function getSql(sql, params = []) {
-    const [rows] = await pool.query(sql, params);
+async function getSql(sql, params = [], db = pool) {
+    const [rows] = await db.query(sql, params);
     return rows[0];
 }
 
 /**
  * Executes a query that is expected to return multiple rows (e.g., SELECT all).
  */
-async function allSql(sql, params = []) {
-    const [rows] = await pool.query(sql, params);
+async function allSql(sql, params = [], db = pool) {
+    const [rows] = await db.query(sql, params);
     return rows;
 }
 
 /**
- * Executes a DML query (INSERT, UPDATE, DELETE).
+ * Executes a DML query (INSERT, UPDATE, DELETE). Errors MySQL raises for a bad
+ * value (length, type, range, NOT NULL, foreign key, CHECK or trigger) are
+ * rethrown as 400s naming the field; see `sqlFieldError`.
  */
-async function runSql(sql, params = []) {
-    const [result] = await pool.query(sql, params);
+async function runSql(sql, params = [], db = pool) {
+    try {
+        const [result] = await db.query(sql, params);
+        return result;
+    } catch (e) {
+        throw (await sqlFieldError(e)) || e;
+    }
+}
+
+/**
+ * What each MySQL value error says about the column it names.
+ */
+const SQL_FIELD_ERRORS = {
+    ER_DATA_TOO_LONG: 'is too long',
+    ER_TRUNCATED_WRONG_VALUE: 'has an invalid value',
+    ER_TRUNCATED_WRONG_VALUE_FOR_FIELD: 'has an invalid value',
+    ER_WARN_DATA_OUT_OF_RANGE: 'is out of range',
+    ER_BAD_NULL_ERROR: 'is required',
+    ER_NO_DEFAULT_FOR_FIELD: 'is required',
+    ER_NO_REFERENCED_ROW_2: 'refers to a record that does not exist'
+};
+
+/**
+ * Fields named by the SIGNALs of database triggers, matched on the message text.
+ */
+const TRIGGER_FIELDS = [
+    { pattern: /Serving Personnel must be between/, field: 'DOB' }
+];
+
+/**
+ * Turns a MySQL constraint, CHECK or trigger error into a 400 with the same
+ * `fields` details as request validation, or returns null for any other error.
+ * Duplicate keys are left to the routes, which answer them with 409.
+ */
+async function sqlFieldError(e) {
+    let field = null;
+    let message = null;
+    if (SQL_FIELD_ERRORS[e.code]) {
+        const column = /(?:column|Field) '([^']+)'/.exec(e.sqlMessage) || /FOREIGN KEY \(`([^`]+)`\)/.exec(e.sqlMessage);
+        field = column ? column[1] : null;
+        message = field ? `${field} ${SQL_FIELD_ERRORS[e.code]}` : e.sqlMessage;
+    } else if (e.code === 'ER_CHECK_CONSTRAINT_VIOLATED') {
+        const name = /constraint '([^']+)'/i.exec(e.sqlMessage);
+        const check = name ? await getSql(
+            'SELECT CHECK_CLAUSE AS clause FROM information_schema.CHECK_CONSTRAINTS WHERE CONSTRAINT_SCHEMA = DATABASE() AND CONSTRAINT_NAME = ?',
+            [name[1]]
+        ) : null;
+        const column = check && /`([^`]+)`/.exec(check.clause);
+        field = column ? column[1] : null;
+        message = check ? `${field || 'Value'} must satisfy ${check.clause.replace(/`/g, '')}` : e.sqlMessage;
+    } else if (e.sqlState === '45000') {
+        const trigger = TRIGGER_FIELDS.find(t => t.pattern.test(e.sqlMessage));
+        field = trigger ? trigger.field : null;
+        message = e.sqlMessage;
+    } else {
+        return null;
+    }
+    return httpError(400, message, { fields: [{ field, message }] });
+}
+
+/**
+ * Runs `work(conn)` inside a single MySQL transaction.
+ * Commits if it resolves, rolls back and rethrows if it throws. A failed
+ * rollback is logged, and the error from `work` is the one rethrown.
+ */
+async function withTransaction(work) {
+    const conn = await pool.getConnection();
+    try {
+        await conn.beginTransaction();
+        const result = await work(conn);
+        await conn.commit();
+        return result;
+    } catch (e) {
+        try {
+            await conn.rollback();
+        } catch (rollbackError) {
+            console.error('❌ Error rolling back transaction:', rollbackError);
+        }
+        throw e;
+    } finally {
+        conn.release();
+    }
+}
+
+// --- ENTITY DEFINITIONS ---
+
+/**
+ * Table, key and columns of each record type; their field rules are in
+ * FIELD_SCHEMAS (public/schemas.js), which `assertValid` checks. Equipment subtypes
+ * name the Logistics.logisticsType their rows must have. unitID and locationID are
+ * filled in from the regiment and location names, never taken from the request.
+ */
+const ENTITIES = {
+    serving: {
+        table: 'ServingPersonnel',
+        key: 'serviceID',
+        columns: ['serviceID', 'firstName', 'lastName', 'DOB', 'commissionDate', 'currRank', 'regiment', 'unitID', 'salary', 'awards', 'skills', 'postingType', 'medical', 'healthPlan']
+    },
+    retired: {
+        table: 'RetiredPersonnel',
+        key: 'serviceID',
+        columns: ['serviceID', 'firstName', 'lastName', 'DOB', 'commissionDate', 'lastRank', 'regiment', 'unitID', 'retirementDate', 'pension', 'awards', 'skills', 'healthPlan']
+    },
+    logistics: {
+        table: 'Logistics',
+        key: 'equipmentID',
+        columns: ['equipmentID', 'logisticsType', 'cost', 'procurementDate', 'tech', 'location', 'locationID', 'assignedTo']
+    },
+    artillery: {
+        table: 'Artillery',
+        key: 'equipmentID',
+        logisticsType: 'Artillery',
+        columns: ['equipmentID', 'type', 'artRange', 'commissioningDate']
+    },
+    ships: {
+        table: 'Ships',
+        key: 'equipmentID',
+        logisticsType: 'Ships',
+        columns: ['equipmentID', 'shipName', 'shipType', 'staffSize', 'commissioningDate']
+    },
+    jets: {
+        table: 'Jets',
+        key: 'equipmentID',
+        logisticsType: 'Jets',
+        columns: ['equipmentID', 'jetName', 'jetType', 'speed', 'commissioningDate']
+    }
+};
+
+/**
+ * Validates a record against the FIELD_SCHEMAS entry of `types` (a key of ENTITIES,
+ * or several for a Logistics row with its subtype) and returns the normalised values.
+ * Throws 400 listing every invalid field as `fields: [{ field, message }]`.
+ * Pass `{ update: true }` when the key comes from the URL.
+ */
+function assertValid(types, data, options) {
+    const errors = [];
+    let values = data;
+    [].concat(types).forEach(type => {
+        const result = validateRecord(type, values, options);
+        errors.push(...result.errors.filter(e => !errors.some(seen => seen.field === e.field)));
+        values = result.values;
+    });
+    if (errors.length) {
+        throw httpError(400, errors.map(e => e.message).join('; '), { fields: errors });
+    }
+    return values;
+}
+
+/**
+ * A 400 error about a single request field, in the shape `assertValid` uses.
+ */
+function fieldError(field, message) {
+    return httpError(400, message, { fields: [{ field, message }] });
+}
+
+/**
+ * INSERT statement for all of an entity's columns, in the order of `entityValues`.
+ */
+function entityInsertSql(entity) {
+    return `INSERT INTO ${entity.table} (${entity.columns.join(', ')}) VALUES (${entity.columns.map(() => '?').join(', ')})`;
+}
+
+function entityValues(entity, data) {
+    return entity.columns.map(c => data[c] === undefined ? null : data[c]);
+}
+
+/**
+ * Age at which the check_age_serving_personnel trigger stops accepting a serving member.
+ */
+const SERVING_AGE_LIMIT = FIELD_SCHEMAS.serving.DOB.age[1];
+
+// --- AUDIT HELPERS ---
+
+/**
+ * Tables whose writes are recorded in AuditLog, with their key column and the
+ * columns captured in before/after snapshots (password hashes are never logged).
+ * Writes to them go through auditedRunSql or recordAudit, including the ones a
+ * foreign key would otherwise make on a purge. Not recorded: the startup migrations
+ * and backfills in the initialize* functions, and the sign-in bookkeeping on Users
+ * (failed login counts, automatic lockouts, password hashes and two-factor secrets),
+ * which AuthAttempts covers instead.
+ */
+const AUDITED_TABLES = {
+    ServingPersonnel: { key: 'serviceID', columns: '*' },
+    RetiredPersonnel: { key: 'serviceID', columns: '*' },
+    Postings: { key: 'postingID', columns: '*' },
+    Logistics: { key: 'equipmentID', columns: '*' },
+    Artillery: { key: 'equipmentID', columns: '*' },
+    Ships: { key: 'equipmentID', columns: '*' },
+    Jets: { key: 'equipmentID', columns: '*' },
+    MaintenancePlans: { key: 'planID', columns: '*' },
+    WorkOrders: { key: 'workOrderID', columns: '*' },
+    Units: { key: 'unitID', columns: '*' },
+    Locations: { key: 'locationID', columns: '*' },
+    RetirementRules: { key: 'rankCode', columns: '*' },
+    Attachments: { key: 'attachmentID', columns: '*' },
+    Users: {
+        key: 'userID',
+        columns: `userID, username, role, status, failedLogins, lockedUntil, mustChangePassword, totpEnabledAt IS NOT NULL AS twoFactorEnabled, createdAt, deletedAt,
+            (SELECT GROUP_CONCAT(CONCAT(s.scopeType, ':', s.scopeValue) ORDER BY s.scopeType, s.scopeValue) FROM UserScopes s WHERE s.userID = Users.userID) AS scopes`
+    },
+    Roles: {
+        key: 'roleName',
+        columns: `roleName, description, builtIn, requireTwoFactor,
+            (SELECT GROUP_CONCAT(p.permission ORDER BY p.permission) FROM RolePermissions p WHERE p.roleName = Roles.roleName) AS permissions`
+    },
+    Invites: { key: 'inviteID', columns: 'inviteID, role, note, createdBy, createdByName, createdAt, expiresAt, usedAt, usedBy, revokedAt' }
+};
+
+/**
+ * Reads the current state of an audited row, or null if it does not exist.
+ * The row version (updatedAt) is left out; it changes with every update.
+ */
+async function snapshotRow(table, key, db = pool) {
+    const { key: keyColumn, columns } = AUDITED_TABLES[table];
+    const row = await getSql(`SELECT ${columns} FROM ${table} WHERE ${keyColumn} = ?`, [key], db);
+    if (!row) return null;
+    delete row.updatedAt;
+    return row;
+}
+
+/**
+ * Inserts one AuditLog entry for the acting user on `req`.
+ */
+async function recordAudit(req, table, key, action, before, after, db = pool) {
+    const actor = req.user || {};
+    await runSql(
+        'INSERT INTO AuditLog (userID, username, entity, entityKey, action, beforeData, afterData) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        [
+            actor.userID || null,
+            actor.username || null,
+            table,
+            String(key),
+            action,
+            before ? JSON.stringify(before) : null,
+            after ? JSON.stringify(after) : null
+        ],
+        db
+    );
+}
+
+/**
+ * Shared audit hook: runs a write through runSql and, if it touched a row,
+ * records who did it along with before/after snapshots of that row.
+ * `action` is 'create', 'update', 'delete', 'restore' (out of the recycle bin) or
+ * 'purge' (deleted for good). Without a transaction connection it opens one,
+ * so the write and its AuditLog entry commit or roll back together.
+ */
+async function auditedRunSql(req, table, key, action, sql, params = [], db = pool) {
+    if (db === pool) {
+        return withTransaction(conn => auditedRunSql(req, table, key, action, sql, params, conn));
+    }
+
+    const before = action === 'create' ? null : await snapshotRow(table, key, db);
+    const result = await runSql(sql, params, db);
+    if (result.affectedRows === 0) return result;
+
+    const after = action === 'delete' ? null : await snapshotRow(table, key, db);
+    await recordAudit(req, table, key, action, before, after, db);
     return result;
 }
 
-// --- 6. AUTHENTICATION MIDDLEWARE ---
+// --- EXPORT HELPERS ---
+
+const EXPORT_FORMATS = ['csv', 'xlsx', 'pdf'];
+
+/**
+ * Permission resource, title, file name and [column, label] pairs for every exportable list.
+ */
+const EXPORTS = {
+    serving: {
+        resource: 'personnel',
+        filename: 'serving-personnel',
+        title: 'Serving Personnel',
+        columns: [['serviceID', 'Service ID'], ['firstName', 'First Name'], ['lastName', 'Last Name'], ['DOB', 'Date of Birth'], ['commissionDate', 'Commissioned'], ['currRank', 'Rank'], ['regiment', 'Regiment'], ['salary', 'Salary'], ['awards', 'Awards'], ['skills', 'Skills'], ['postingType', 'Posting'], ['medical', 'Medical'], ['healthPlan', 'Health Plan']]
+    },
+    retired: {
+        resource: 'personnel',
+        filename: 'retired-personnel',
+        title: 'Retired Personnel',
+        columns: [['serviceID', 'Service ID'], ['firstName', 'First Name'], ['lastName', 'Last Name'], ['DOB', 'Date of Birth'], ['commissionDate', 'Commissioned'], ['lastRank', 'Last Rank'], ['regiment', 'Regiment'], ['retirementDate', 'Retirement Date'], ['pension', 'Pension'], ['awards', 'Awards'], ['skills', 'Skills'], ['healthPlan', 'Health Plan']]
+    },
+    logistics: {
+        resource: 'equipment',
+        filename: 'logistics',
+        title: 'Logistics & Equipment',
+        columns: [['equipmentID', 'Equipment ID'], ['logisticsType', 'Type'], ['cost', 'Cost'], ['procurementDate', 'Procurement Date'], ['tech', 'Technology'], ['location', 'Location'], ['assignedTo', 'Assigned To'], ['readiness', 'Readiness'], ['nextMaintenance', 'Next Maintenance']]
+    },
+    artillery: {
+        resource: 'equipment',
+        filename: 'artillery',
+        title: 'Artillery Equipment',
+        columns: [['equipmentID', 'Equipment ID'], ['type', 'Type'], ['artRange', 'Range (km)'], ['commissioningDate', 'Commissioning Date'], ['location', 'Location'], ['cost', 'Cost'], ['assignedTo', 'Assigned To'], ['readiness', 'Readiness'], ['nextMaintenance', 'Next Maintenance']]
+    },
+    ships: {
+        resource: 'equipment',
+        filename: 'ships',
+        title: 'Naval Ships',
+        columns: [['equipmentID', 'Equipment ID'], ['shipName', 'Ship Name'], ['shipType', 'Type'], ['staffSize', 'Staff Size'], ['commissioningDate', 'Commissioning Date'], ['location', 'Location'], ['cost', 'Cost'], ['assignedTo', 'Assigned To'], ['readiness', 'Readiness'], ['nextMaintenance', 'Next Maintenance']]
+    },
+    jets: {
+        resource: 'equipment',
+        filename: 'jets',
+        title: 'Aircraft (Jets)',
+        columns: [['equipmentID', 'Equipment ID'], ['jetName', 'Jet Name'], ['jetType', 'Type'], ['speed', 'Speed (km/h)'], ['commissioningDate', 'Commissioning Date'], ['location', 'Location'], ['cost', 'Cost'], ['assignedTo', 'Assigned To'], ['readiness', 'Readiness'], ['nextMaintenance', 'Next Maintenance']]
+    },
+    personnelEquipment: {
+        resource: 'reports',
+        filename: 'personnel-equipment',
+        title: 'Personnel-Equipment Assignments',
+        columns: [['serviceID', 'Service ID'], ['firstName', 'First Name'], ['lastName', 'Last Name'], ['currRank', 'Rank'], ['regiment', 'Regiment'], ['equipmentID', 'Equipment ID'], ['logisticsType', 'Equipment Type'], ['location', 'Location'], ['cost', 'Cost']]
+    }
+};
+
+/**
+ * Formats a value for export; DATE columns come back from mysql2 as local-midnight Dates.
+ */
+function formatExportValue(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) {
+        const pad = n => String(n).padStart(2, '0');
+        return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+    }
+    return value;
+}
+
+/**
+ * Streams `rows` as a CSV, XLSX or PDF download using the named EXPORTS layout.
+ */
+async function sendExport(res, format, exportName, rows) {
+    const { filename, title, columns } = EXPORTS[exportName];
+    const table = rows.map(row => columns.map(([key]) => formatExportValue(row[key])));
+    const file = `${filename}-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${file}"`);
+
+    if (format === 'csv') {
+        const escape = v => /[",\r\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v);
+        const lines = [columns.map(([, label]) => label), ...table].map(r => r.map(escape).join(','));
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        return res.send('\uFEFF' + lines.join('\r\n') + '\r\n');
+    }
+
+    if (format === 'xlsx') {
+        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res });
+        const sheet = workbook.addWorksheet(title.slice(0, 31));
+        sheet.columns = columns.map(([key, label]) => ({ header: label, key, width: Math.max(12, label.length + 2) }));
+        sheet.getRow(1).font = { bold: true };
+        table.forEach(r => sheet.addRow(r).commit());
+        sheet.commit();
+        return workbook.commit();
+    }
+
+    // Printable PDF: landscape A4 table with the header row repeated on every page
+    res.setHeader('Content-Type', 'application/pdf');
+    const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 30 });
+    doc.pipe(res);
+
+    const left = doc.page.margins.left;
+    const width = doc.page.width - left - doc.page.margins.right;
+    const colWidth = width / columns.length;
+    const drawRow = (cells, bold) => {
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(7).fillColor('#0f172a');
+        const height = Math.max(...cells.map(c => doc.heightOfString(String(c), { width: colWidth - 4 }))) + 6;
+        if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+            doc.addPage();
+            if (!bold) drawRow(columns.map(([, label]) => label), true);
+            doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(7);
+        }
+        const y = doc.y;
+        cells.forEach((c, i) => doc.text(String(c), left + i * colWidth + 2, y + 3, { width: colWidth - 4 }));
+        doc.moveTo(left, y + height).lineTo(left + width, y + height).strokeColor('#e2e8f0').stroke();
+        doc.x = left;
+        doc.y = y + height;
+    };
+
+    doc.font('Helvetica-Bold').fontSize(14).fillColor('#1e3a8a').text(title);
+    doc.font('Helvetica').fontSize(8).fillColor('#64748b')
+        .text(`Generated ${new Date().toLocaleString()} - ${rows.length} record(s)`);
+    doc.moveDown();
+    drawRow(columns.map(([, label]) => label), true);
+    table.forEach(r => drawRow(r, false));
+    doc.end();
+}
+
+/**
+ * Answers a list route: JSON by default, or a download when `?format=` is csv, xlsx or pdf
+ * (downloads also need the list's export permission). Sensitive fields are masked in both.
+ * `meta` (total count, paging and sort info) is merged into the JSON body.
+ */
+async function sendList(req, res, key, rows, exportName, meta = { total: rows.length }) {
+    const format = req.query.format;
+    if (!format || format === 'json') {
+        const { rows: visible, masked } = maskRows(req.user, rows);
+        return res.json({ [key]: visible, ...meta, masked });
+    }
+    if (!EXPORT_FORMATS.includes(format)) {
+        return res.status(400).json({ error: `Unsupported format. Use one of: json, ${EXPORT_FORMATS.join(', ')}` });
+    }
+    if (!hasPermission(req.user, `${EXPORTS[exportName].resource}:export`)) {
+        return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+    await sendExport(res, format, exportName, maskRows(req.user, rows, MASKED_VALUE).rows);
+}
+
+// --- LIST QUERY HELPERS ---
+
+/**
+ * Builds a filtered, searchable, sortable and optionally paginated SELECT.
+ * - `clauses`/`params`: the route's own filters
+ * - `search`: SQL expressions matched by every whitespace-separated term of `q`
+ * - `sortable`: public sort keys mapped to SQL columns
+ * Pagination only applies when `page` or `pageSize` is given (and never to
+ * exports), so callers that expect the whole list still get every row.
+ */
+function buildListQuery(query, { select = '*', from, clauses = [], params = [], search = [], sortable, defaultSort, defaultOrder = 'ASC' }) {
+    const where = [...clauses];
+    const values = [...params];
+
+    const terms = String(query.q || '').trim().split(/\s+/).filter(Boolean);
+    for (const term of terms) {
+        where.push('(' + search.map(col => `${col} LIKE ?`).join(' OR ') + ')');
+        search.forEach(() => values.push('%' + term + '%'));
+    }
+
+    const sort = query.sort || defaultSort;
+    if (!Object.hasOwn(sortable, sort)) {
+        throw httpError(400, `Invalid sort column. Use one of: ${Object.keys(sortable).join(', ')}`);
+    }
+    const order = String(query.order || defaultOrder).toUpperCase() === 'DESC' ? 'DESC' : 'ASC';
+
+    const whereSql = where.length ? (' WHERE ' + where.join(' AND ')) : '';
+    // Tie-break on the default column so rows never shuffle between pages
+    let sql = `SELECT ${select} FROM ${from}${whereSql} ORDER BY ${sortable[sort]} ${order}`;
+    if (sort !== defaultSort) sql += `, ${sortable[defaultSort]} ASC`;
+
+    const paged = Boolean(query.page || query.pageSize) && !query.format;
+    const page = Math.max(parseInt(query.page, 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(query.pageSize, 10) || 25, 1), 200);
+    const listParams = [...values];
+    if (paged) {
+        sql += ' LIMIT ? OFFSET ?';
+        listParams.push(pageSize, (page - 1) * pageSize);
+    }
+
+    return {
+        sql,
+        params: listParams,
+        countSql: `SELECT COUNT(*) as c FROM ${from}${whereSql}`,
+        countParams: values,
+        meta: { page: paged ? page : 1, pageSize: paged ? pageSize : null, sort, order: order.toLowerCase() }
+    };
+}
+
+/**
+ * Runs a list query built by buildListQuery and returns its rows plus the
+ * total number of matching rows and the paging/sort info.
+ */
+async function runListQuery(query, spec) {
+    const list = buildListQuery(query, spec);
+    const rows = await allSql(list.sql, list.params);
+    const count = await getSql(list.countSql, list.countParams);
+    return { rows, meta: { total: count.c, ...list.meta } };
+}
+
+/**
+ * Filters shared by the typed equipment lists (Artillery, Ships, Jets):
+ * `type` matches the subtype's own type column, `location`, `assignedTo` and
+ * `readiness` the Logistics row.
+ */
+function equipmentFilters(query, typeColumn) {
+    const { type, location, assignedTo } = query;
+    let clauses = [];
+    let params = [];
+
+    if (type) {
+        clauses.push(`${typeColumn} = ?`);
+        params.push(type);
+    }
+    if (location) {
+        clauses.push('l.location = ?');
+        params.push(location);
+    }
+    if (assignedTo) {
+        clauses.push('l.assignedTo = ?');
+        params.push(assignedTo);
+    }
+    const readiness = readinessFilter(query, 'l');
+    return { clauses: [...clauses, ...readiness.clauses], params: [...params, ...readiness.params] };
+}
+
+// --- SCOPE HELPERS ---
+
+/**
+ * Access scopes tie a user to regiments (personnel) and/or locations (equipment).
+ * A user with no scopes of a type is not restricted by that type.
+ */
+const SCOPE_TYPES = ['regiment', 'location'];
+
+/**
+ * How to find the regiment or location of a row in each scoped table, and when it
+ * went to the recycle bin. Equipment subtypes take the location of their Logistics
+ * row and are deleted when either row is; `column` is the body field that sets it on create/update.
+ */
+const SCOPED_TABLES = {
+    ServingPersonnel: { type: 'regiment', column: 'regiment', lookup: 'SELECT regiment AS value, deletedAt FROM ServingPersonnel WHERE serviceID = ?' },
+    RetiredPersonnel: { type: 'regiment', column: 'regiment', lookup: 'SELECT regiment AS value, deletedAt FROM RetiredPersonnel WHERE serviceID = ?' },
+    Logistics: { type: 'location', column: 'location', lookup: 'SELECT location AS value, deletedAt FROM Logistics WHERE equipmentID = ?' },
+    Artillery: { type: 'location', lookup: 'SELECT l.location AS value, COALESCE(l.deletedAt, t.deletedAt) AS deletedAt FROM Logistics l LEFT JOIN Artillery t ON t.equipmentID = l.equipmentID WHERE l.equipmentID = ?' },
+    Ships: { type: 'location', lookup: 'SELECT l.location AS value, COALESCE(l.deletedAt, t.deletedAt) AS deletedAt FROM Logistics l LEFT JOIN Ships t ON t.equipmentID = l.equipmentID WHERE l.equipmentID = ?' },
+    Jets: { type: 'location', lookup: 'SELECT l.location AS value, COALESCE(l.deletedAt, t.deletedAt) AS deletedAt FROM Logistics l LEFT JOIN Jets t ON t.equipmentID = l.equipmentID WHERE l.equipmentID = ?' }
+};
+
+/**
+ * Returns a user's scopes as { regiment: [...], location: [...] }.
+ */
+async function loadUserScopes(userId, db = pool) {
+    const rows = await allSql('SELECT scopeType, scopeValue FROM UserScopes WHERE userID = ? ORDER BY scopeValue', [userId], db);
+    const scopes = { regiment: [], location: [] };
+    rows.forEach(r => scopes[r.scopeType].push(r.scopeValue));
+    return scopes;
+}
+
+function inScope(user, type, value) {
+    const values = user.scopes[type];
+    return values.length === 0 || values.includes(value);
+}
+
+/**
+ * Filter clauses limiting `column` to the user's scope of `type` (none when unrestricted),
+ * in the same { clauses, params } shape the list routes build.
+ */
+function scopeFilter(user, type, column) {
+    const values = user.scopes[type];
+    if (values.length === 0) return { clauses: [], params: [] };
+    return { clauses: [`${column} IN (${values.map(() => '?').join(', ')})`], params: [...values] };
+}
+
+/**
+ * Throws unless a write to `table` stays within the user's scope: an existing row
+ * outside it is reported as not found, and `data` (the new values) may not move
+ * the row, or create it, outside the scope. A row in the recycle bin can be neither
+ * changed nor created again until it is restored or purged.
+ */
+async function assertInScope(user, table, key, data = null, db = pool) {
+    const { type, column, lookup } = SCOPED_TABLES[table];
+    const stored = await getSql(lookup, [key], db);
+    if (stored && !inScope(user, type, stored.value)) {
+        throw httpError(404, 'Record not found');
+    }
+    if (stored && stored.deletedAt) {
+        throw httpError(409, `${key} is in the recycle bin; restore or purge it first`);
+    }
+    if (data && column && !inScope(user, type, data[column] || null)) {
+        throw httpError(403, `${column} ${data[column] || '(none)'} is outside your access scope`);
+    }
+}
+
+/**
+ * Carries the rename of a unit (`type` 'regiment') or location from `from` to `to` over
+ * to the records placed there and to the user scopes naming it, with an AuditLog entry
+ * for every record and user changed. `id` is the unitID or locationID.
+ */
+async function renameScopeValue(req, type, id, from, to, db) {
+    const idColumn = type === 'regiment' ? 'unitID' : 'locationID';
+    for (const [table, scoped] of Object.entries(SCOPED_TABLES)) {
+        if (scoped.type !== type || !scoped.column) continue;
+        const keyColumn = AUDITED_TABLES[table].key;
+        const rows = await allSql(`SELECT ${keyColumn} AS id FROM ${table} WHERE ${idColumn} = ?`, [id], db);
+        for (const row of rows) {
+            await auditedRunSql(req, table, row.id, 'update', `UPDATE ${table} SET ${scoped.column} = ? WHERE ${keyColumn} = ?`, [to, row.id], db);
+        }
+    }
+
+    const users = await allSql('SELECT DISTINCT userID FROM UserScopes WHERE scopeType = ? AND scopeValue = ?', [type, from], db);
+    const before = [];
+    for (const { userID } of users) before.push(await snapshotRow('Users', userID, db));
+    await runSql('UPDATE UserScopes SET scopeValue = ? WHERE scopeType = ? AND scopeValue = ?', [to, type, from], db);
+    for (const [i, { userID }] of users.entries()) {
+        await recordAudit(req, 'Users', userID, 'update', before[i], await snapshotRow('Users', userID, db), db);
+    }
+}
+
+// --- FIELD POLICY HELPERS ---
+
+/**
+ * Sensitive personnel columns and the permission needed to see them. Without it
+ * they come back as null in JSON (named in the response's `masked` list) and as
+ * MASKED_VALUE in exports and audit snapshots.
+ */
+const SENSITIVE_FIELDS = {
+    DOB: 'personnel:sensitive',
+    salary: 'personnel:sensitive',
+    pension: 'personnel:sensitive',
+    medical: 'personnel:sensitive',
+    healthPlan: 'personnel:sensitive',
+    oldSalary: 'personnel:sensitive',
+    newSalary: 'personnel:sensitive'
+};
+
+const MASKED_VALUE = '***';
+
+function hiddenFields(user) {
+    return Object.keys(SENSITIVE_FIELDS).filter(field => !hasPermission(user, SENSITIVE_FIELDS[field]));
+}
+
+/**
+ * Returns copies of `rows` with the fields the user may not see replaced by
+ * `placeholder`, plus the names of the fields that were masked.
+ */
+function maskRows(user, rows, placeholder = null) {
+    const masked = hiddenFields(user).filter(field => rows.some(row => row && field in row));
+    if (!masked.length) return { rows, masked };
+
+    return {
+        rows: rows.map(row => {
+            if (!row) return row;
+            const copy = { ...row };
+            masked.filter(field => field in copy).forEach(field => { copy[field] = placeholder; });
+            return copy;
+        }),
+        masked
+    };
+}
+
+/**
+ * Drops hidden fields from a list route's sort keys, so ordering cannot reveal them.
+ */
+function visibleSortable(user, sortable) {
+    const hidden = hiddenFields(user);
+    return Object.fromEntries(Object.entries(sortable).filter(([key]) => !hidden.includes(key)));
+}
+
+/**
+ * For updates by a user who cannot see some fields: the stored values of those
+ * fields are kept, whatever the (masked) form sent back.
+ */
+async function keepHiddenFields(user, table, key, body, db = pool) {
+    const hidden = hiddenFields(user);
+    if (!hidden.length) return body;
+
+    const stored = await snapshotRow(table, key, db);
+    if (!stored) return body;
+    const merged = { ...body };
+    hidden.filter(field => field in stored).forEach(field => { merged[field] = stored[field]; });
+    return merged;
+}
+
+// --- RANK HELPERS ---
+
+/**
+ * Canonical officer ranks, most junior first, with their Navy and Air Force
+ * equivalents and the pay-scale salary a promotion can apply. Seeded into Ranks;
+ * `rankCode` is what currRank and lastRank hold. `retirementAge` seeds the rank's
+ * superannuation age in RetirementRules.
+ */
+const DEFAULT_RANKS = [
+    { rankCode: 'Lt', title: 'Lieutenant', navyEquivalent: 'Sub Lieutenant', airForceEquivalent: 'Flying Officer', payScale: 90000, retirementAge: 52 },
+    { rankCode: 'Capt', title: 'Captain', navyEquivalent: 'Lieutenant', airForceEquivalent: 'Flight Lieutenant', payScale: 105000, retirementAge: 52 },
+    { rankCode: 'Maj', title: 'Major', navyEquivalent: 'Lieutenant Commander', airForceEquivalent: 'Squadron Leader', payScale: 120000, retirementAge: 52 },
+    { rankCode: 'Lt Col', title: 'Lieutenant Colonel', navyEquivalent: 'Commander', airForceEquivalent: 'Wing Commander', payScale: 140000, retirementAge: 54 },
+    { rankCode: 'Col', title: 'Colonel', navyEquivalent: 'Captain', airForceEquivalent: 'Group Captain', payScale: 150000, retirementAge: 54 },
+    { rankCode: 'Brig', title: 'Brigadier', navyEquivalent: 'Commodore', airForceEquivalent: 'Air Commodore', payScale: 165000, retirementAge: 56 },
+    { rankCode: 'Maj Gen', title: 'Major General', navyEquivalent: 'Rear Admiral', airForceEquivalent: 'Air Vice Marshal', payScale: 180000, retirementAge: 58 },
+    { rankCode: 'Lt Gen', title: 'Lieutenant General', navyEquivalent: 'Vice Admiral', airForceEquivalent: 'Air Marshal', payScale: 200000, retirementAge: 60 },
+    { rankCode: 'Gen', title: 'General', navyEquivalent: 'Admiral', airForceEquivalent: 'Air Chief Marshal', payScale: 250000, retirementAge: 60 }
+];
+
+/**
+ * Throws 400 unless `rankCode` is in the Ranks table; returns its row.
+ * `field` names the body field in the message.
+ */
+async function assertRank(rankCode, field, db = pool) {
+    const rank = rankCode ? await getSql('SELECT * FROM Ranks WHERE rankCode = ?', [rankCode], db) : null;
+    if (!rank) throw fieldError(field, `${field} ${rankCode || '(none)'} is not a recognised rank`);
+    return rank;
+}
+
+/**
+ * Appends a RankHistory entry for `serviceID`, authorized by the acting user.
+ * `effectiveDate` defaults to today.
+ */
+async function recordRankChange(req, serviceID, { fromRank = null, toRank, effectiveDate = null, oldSalary = null, newSalary = null, note = null }, db = pool) {
+    const actor = req.user || {};
+    await runSql(
+        `INSERT INTO RankHistory (serviceID, fromRank, toRank, effectiveDate, oldSalary, newSalary, note, authorizedBy, authorizedByName)
+         VALUES (?, ?, ?, COALESCE(?, CURDATE()), ?, ?, ?, ?, ?)`,
+        [serviceID, fromRank, toRank, effectiveDate, oldSalary, newSalary, note, actor.userID || null, actor.username || null],
+        db
+    );
+}
+
+/**
+ * A member's rank timeline, oldest first, with salaries masked for users who may not see them.
+ */
+async function rankTimeline(user, serviceID, db = pool) {
+    const rows = await allSql(
+        'SELECT * FROM RankHistory WHERE serviceID = ? ORDER BY effectiveDate, historyID',
+        [serviceID],
+        db
+    );
+    return maskRows(user, rows).rows;
+}
+
+// --- RETIREMENT HELPERS ---
+
+/**
+ * Pension rule seeded for every rank in RetirementRules: no pension below
+ * `minServiceYears`, then `ratePercent` of the last salary pro rata to
+ * `fullServiceYears`, and never less than `minimumPension`.
+ */
+const DEFAULT_PENSION_RULE = { minServiceYears: 10, fullServiceYears: 20, ratePercent: 50, minimumPension: 9000 };
+const SUPERANNUATION_NOTICE_MONTHS = 12;
+const SUPERANNUATION_CHECK_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * SQL for the date serving member `sp` reaches the retirement age of their rank's
+ * rule `rr` (joined on currRank), or SERVING_AGE_LIMIT for a rank without one.
+ */
+function superannuationDateSql(sp, rr) {
+    return `DATE_ADD(${sp}.DOB, INTERVAL COALESCE(${rr}.retirementAge, ${SERVING_AGE_LIMIT}) YEAR)`;
+}
+
+/**
+ * Serving members reaching their superannuation date within `months` months, and
+ * those already past it, soonest first. `filters` are { clauses, params } on `sp`.
+ */
+async function superannuationDue(months, filters = [], db = pool) {
+    const clauses = filters.flatMap(f => f.clauses);
+    return allSql(
+        `SELECT due.*, superannuationDate < CURDATE() AS overdue, TIMESTAMPDIFF(MONTH, CURDATE(), superannuationDate) AS monthsLeft FROM (
+            SELECT sp.serviceID, sp.firstName, sp.lastName, sp.currRank, sp.regiment, sp.DOB, sp.commissionDate,
+                   COALESCE(rr.retirementAge, ?) AS retirementAge, ${superannuationDateSql('sp', 'rr')} AS superannuationDate
+            FROM ServingPersonnel sp
+            LEFT JOIN RetirementRules rr ON rr.rankCode = sp.currRank
+            WHERE ${['sp.deletedAt IS NULL', ...clauses].join(' AND ')}
+         ) due
+         WHERE superannuationDate <= DATE_ADD(CURDATE(), INTERVAL ? MONTH)
+         ORDER BY superannuationDate, serviceID`,
+        [SERVING_AGE_LIMIT, ...filters.flatMap(f => f.params), months],
+        db
+    );
+}
+
+/**
+ * The pension a serving member would draw on retiring on `retirementDate` (default
+ * today), from their rank's rule, salary and completed years since commissionDate.
+ * `pension` is null when they are short of the rule's minimum service.
+ */
+async function computePension(serviceID, retirementDate = null, db = pool) {
+    const row = await getSql(
+        `SELECT sp.serviceID, sp.currRank, sp.salary, DATE_FORMAT(sp.commissionDate, '%Y-%m-%d') AS commissionDate,
+                DATE_FORMAT(COALESCE(?, CURDATE()), '%Y-%m-%d') AS retirementDate,
+                TIMESTAMPDIFF(YEAR, sp.commissionDate, COALESCE(?, CURDATE())) AS serviceYears,
+                rr.minServiceYears, rr.fullServiceYears, rr.ratePercent, rr.minimumPension
+         FROM ServingPersonnel sp
+         LEFT JOIN RetirementRules rr ON rr.rankCode = sp.currRank
+         WHERE sp.serviceID = ? AND sp.deletedAt IS NULL`,
+        [retirementDate, retirementDate, serviceID],
+        db
+    );
+    if (!row) throw httpError(404, 'Personnel not found');
+    if (!row.commissionDate) throw httpError(400, `${serviceID} has no commissionDate on record, so service length is unknown`);
+    if (row.serviceYears < 0) throw httpError(400, 'retirementDate is before the commission date');
+    if (row.minServiceYears === null) {
+        throw httpError(409, `${row.currRank} is not a recognised rank; correct it before computing a pension`);
+    }
+
+    const rule = {
+        minServiceYears: row.minServiceYears,
+        fullServiceYears: row.fullServiceYears,
+        ratePercent: Number(row.ratePercent),
+        minimumPension: row.minimumPension
+    };
+    const eligible = row.serviceYears >= rule.minServiceYears;
+    const share = Math.min(row.serviceYears, rule.fullServiceYears) / rule.fullServiceYears;
+    return {
+        serviceID,
+        rankCode: row.currRank,
+        salary: row.salary,
+        commissionDate: row.commissionDate,
+        retirementDate: row.retirementDate,
+        serviceYears: row.serviceYears,
+        rule,
+        eligible,
+        pension: eligible ? Math.max(rule.minimumPension, Math.round(row.salary * rule.ratePercent / 100 * share)) : null
+    };
+}
+
+/**
+ * Logs serving members past their superannuation date (rows the age trigger would
+ * now reject) and those reaching it within SUPERANNUATION_NOTICE_MONTHS.
+ */
+async function checkSuperannuation() {
+    const due = await superannuationDue(SUPERANNUATION_NOTICE_MONTHS);
+    const overdue = due.filter(row => row.overdue);
+    if (overdue.length) {
+        console.warn(`⚠️  ${overdue.length} serving member(s) past their superannuation date: ${overdue.map(row => row.serviceID).join(', ')}`);
+    }
+    if (due.length > overdue.length) {
+        console.log(`ℹ️  ${due.length - overdue.length} serving member(s) reach superannuation within ${SUPERANNUATION_NOTICE_MONTHS} months`);
+    }
+}
+
+// --- UNIT HELPERS ---
+
+/**
+ * Echelons of the order of battle, highest first. A unit's parent must be of a
+ * higher echelon, so a command has no parent and the tree cannot loop.
+ */
+const UNIT_TYPES = ['command', 'division', 'brigade', 'regiment'];
+
+/**
+ * Unit ID for a personnel `regiment` (the name of a unit at any echelon), or null
+ * if none is given. Throws 400 for a name that is not in Units.
+ */
+async function resolveUnitID(regiment, db = pool) {
+    if (!regiment) return null;
+    const unit = await getSql('SELECT unitID FROM Units WHERE name = ?', [regiment], db);
+    if (!unit) throw fieldError('regiment', `Unit ${regiment} not found; add it under /api/units first`);
+    return unit.unitID;
+}
+
+/**
+ * Location ID for an equipment `location` name. Throws 400 for a name that is not in Locations.
+ */
+async function resolveLocationID(location, db = pool) {
+    if (!location) return null;
+    const row = await getSql('SELECT locationID FROM Locations WHERE name = ?', [location], db);
+    if (!row) throw fieldError('location', `Location ${location} not found; add it under /api/locations first`);
+    return row.locationID;
+}
+
+/**
+ * IDs of `unitID` and every unit below it. Throws 404 if the unit does not exist.
+ */
+async function unitSubtree(unitID, db = pool) {
+    const rows = await allSql(
+        `WITH RECURSIVE subtree AS (
+            SELECT unitID FROM Units WHERE unitID = ?
+            UNION ALL
+            SELECT u.unitID FROM Units u INNER JOIN subtree t ON u.parentID = t.unitID
+         )
+         SELECT unitID FROM subtree`,
+        [unitID],
+        db
+    );
+    if (!rows.length) throw httpError(404, 'Unit not found');
+    return rows.map(r => r.unitID);
+}
+
+/**
+ * WHERE fragments for an optional `?unitId=` roll-up filter: personnel whose
+ * `column` (a unitID) is in the unit's subtree, or with `viaLocation`, equipment
+ * whose `column` (a locationID) belongs to a unit in it. Same shape as scopeFilter.
+ */
+async function unitFilter(unitId, column, { viaLocation = false } = {}) {
+    if (!unitId) return { clauses: [], params: [] };
+    const ids = await unitSubtree(unitId);
+    const list = ids.map(() => '?').join(', ');
+    return {
+        clauses: [viaLocation
+            ? `${column} IN (SELECT locationID FROM Locations WHERE unitID IN (${list}))`
+            : `${column} IN (${list})`],
+        params: ids
+    };
+}
+
+/**
+ * Throws 400 unless `unitType` is an echelon below its parent's and above all
+ * of its children's (for an existing `unitID`).
+ */
+async function assertUnitPlacement(unitType, parentID, unitID = null, db = pool) {
+    const level = UNIT_TYPES.indexOf(unitType);
+    if (level < 0) throw httpError(400, `unitType must be one of ${UNIT_TYPES.join(', ')}`);
+
+    if (parentID) {
+        const parent = await getSql('SELECT unitType FROM Units WHERE unitID = ?', [parentID], db);
+        if (!parent) throw httpError(400, `Parent unit ${parentID} not found`);
+        if (UNIT_TYPES.indexOf(parent.unitType) >= level) {
+            throw httpError(400, `A ${unitType} cannot be placed under a ${parent.unitType}`);
+        }
+    }
+    if (unitID) {
+        const children = await allSql('SELECT DISTINCT unitType FROM Units WHERE parentID = ?', [unitID], db);
+        const blocking = children.find(c => UNIT_TYPES.indexOf(c.unitType) <= level);
+        if (blocking) throw httpError(400, `A ${unitType} cannot have a ${blocking.unitType} under it`);
+    }
+}
+
+// --- POSTING HELPERS ---
+
+/**
+ * Posting types (ServingPersonnel.postingType) and the most consecutive months a
+ * member may spend in postings of each type before they are due for rotation.
+ */
+const POSTING_TYPES = { F: 'Field', H: 'Headquarters', T: 'Training' };
+const MAX_TENURE_MONTHS = { F: 36, H: 48, T: 24 };
+const ROTATION_NOTICE_MONTHS = 6;
+const POSTING_SYNC_INTERVAL_MS = 60 * 60 * 1000;
+
+function assertPostingType(postingType) {
+    if (!POSTING_TYPES[postingType]) {
+        throw fieldError('postingType', `postingType must be one of ${Object.keys(POSTING_TYPES).join(', ')}`);
+    }
+}
+
+/**
+ * SQL condition: posting `p` is in effect today. Postings end on the day the next one starts.
+ */
+function activePostingSql(p) {
+    return `${p}.fromDate <= CURDATE() AND (${p}.toDate IS NULL OR ${p}.toDate > CURDATE())`;
+}
+
+/**
+ * SQL for the first day of the unbroken run of same-type postings that ends with posting `p`.
+ */
+function tenureStartSql(p) {
+    return `COALESCE((SELECT MIN(r.fromDate) FROM Postings r
+        WHERE r.serviceID = ${p}.serviceID AND r.fromDate <= ${p}.fromDate
+          AND r.fromDate > COALESCE((SELECT MAX(o.fromDate) FROM Postings o
+              WHERE o.serviceID = ${p}.serviceID AND o.postingType <> ${p}.postingType AND o.fromDate <= ${p}.fromDate), '1000-01-01')
+    ), ${p}.fromDate)`;
+}
+
+/**
+ * SQL for the date the run ending with posting `p` reaches its type's tenure limit.
+ */
+function rotationDueSql(p) {
+    const months = Object.entries(MAX_TENURE_MONTHS).map(([type, limit]) => `WHEN '${type}' THEN ${limit}`).join(' ');
+    return `DATE_ADD(${tenureStartSql(p)}, INTERVAL CASE ${p}.postingType ${months} END MONTH)`;
+}
+
+/**
+ * Throws 400 if a `postingType` order effective on `date` would extend a run of
+ * that type which has already reached its tenure limit.
+ */
+async function assertTenure(serviceID, postingType, date, db = pool) {
+    const run = await getSql(
+        `SELECT p.postingType, TIMESTAMPDIFF(MONTH, ${tenureStartSql('p')}, COALESCE(?, CURDATE())) AS months
+         FROM Postings p
+         WHERE p.serviceID = ? AND p.fromDate <= COALESCE(?, CURDATE())
+         ORDER BY p.fromDate DESC, p.postingID DESC LIMIT 1`,
+        [date, serviceID, date],
+        db
+    );
+    const limit = MAX_TENURE_MONTHS[postingType];
+    if (run && run.postingType === postingType && run.months >= limit) {
+        throw httpError(400, `${serviceID} has served ${run.months} consecutive months in ${POSTING_TYPES[postingType]} postings; the limit is ${limit}`);
+    }
+}
+
+/**
+ * Opens a posting for `serviceID` from `effectiveDate` (default today) and ends
+ * the one before it on that date, auditing both on the caller's transaction. Returns the new postingID.
+ */
+async function recordPosting(req, serviceID, { regiment = null, unitID = null, location = null, postingType, effectiveDate = null, note = null }, db) {
+    const actor = req.user || {};
+    const open = await allSql('SELECT postingID FROM Postings WHERE serviceID = ? AND toDate IS NULL', [serviceID], db);
+    for (const { postingID } of open) {
+        await auditedRunSql(req, 'Postings', postingID, 'update',
+            'UPDATE Postings SET toDate = COALESCE(?, CURDATE()) WHERE postingID = ?',
+            [effectiveDate, postingID],
+            db
+        );
+    }
+    const result = await runSql(
+        `INSERT INTO Postings (serviceID, regiment, unitID, location, postingType, fromDate, note, orderedBy, orderedByName)
+         VALUES (?, ?, ?, ?, ?, COALESCE(?, CURDATE()), ?, ?, ?)`,
+        [serviceID, regiment, unitID, location, postingType, effectiveDate, note, actor.userID || null, actor.username || null],
+        db
+    );
+    await recordAudit(req, 'Postings', result.insertId, 'create', null, await snapshotRow('Postings', result.insertId, db), db);
+    return result.insertId;
+}
+
+/**
+ * Ends a member's postings on `date` (default today) when they leave service;
+ * orders that had not taken effect by then are dropped. Audited on the caller's transaction.
+ */
+async function endPostings(req, serviceID, date, db) {
+    const later = await allSql('SELECT postingID FROM Postings WHERE serviceID = ? AND fromDate > COALESCE(?, CURDATE())', [serviceID, date], db);
+    for (const { postingID } of later) {
+        await auditedRunSql(req, 'Postings', postingID, 'delete', 'DELETE FROM Postings WHERE postingID = ?', [postingID], db);
+    }
+    const open = await allSql(
+        'SELECT postingID FROM Postings WHERE serviceID = ? AND (toDate IS NULL OR toDate > COALESCE(?, CURDATE()))',
+        [serviceID, date],
+        db
+    );
+    for (const { postingID } of open) {
+        await auditedRunSql(req, 'Postings', postingID, 'update',
+            'UPDATE Postings SET toDate = COALESCE(?, CURDATE()) WHERE postingID = ?',
+            [date, postingID],
+            db
+        );
+    }
+}
+
+/**
+ * Copies each serving member's posting in effect today into ServingPersonnel.regiment,
+ * unitID and postingType, so orders dated in the future take effect on their day.
+ * Limited to `serviceID` when given; returns how many members changed.
+ */
+async function applyPostings(req, serviceID = null, db = pool) {
+    const stale = await allSql(
+        `SELECT sp.serviceID, p.regiment, p.unitID, p.postingType
+         FROM ServingPersonnel sp
+         JOIN Postings p ON p.serviceID = sp.serviceID AND ${activePostingSql('p')}
+         WHERE sp.deletedAt IS NULL AND (NOT (sp.regiment <=> p.regiment) OR NOT (sp.unitID <=> p.unitID) OR sp.postingType <> p.postingType)${serviceID ? ' AND sp.serviceID = ?' : ''}`,
+        serviceID ? [serviceID] : [],
+        db
+    );
+    for (const row of stale) {
+        await auditedRunSql(req, 'ServingPersonnel', row.serviceID, 'update',
+            'UPDATE ServingPersonnel SET regiment = ?, unitID = ?, postingType = ? WHERE serviceID = ?',
+            [row.regiment, row.unitID, row.postingType, row.serviceID],
+            db
+        );
+    }
+    return stale.length;
+}
+
+/**
+ * A member's posting history, oldest first; `pending` marks orders not yet in effect.
+ */
+async function postingTimeline(serviceID, db = pool) {
+    const rows = await allSql(
+        'SELECT *, fromDate > CURDATE() AS pending FROM Postings WHERE serviceID = ? ORDER BY fromDate, postingID',
+        [serviceID],
+        db
+    );
+    return rows.map(row => ({ ...row, pending: Boolean(row.pending) }));
+}
+
+// --- CUSTODY HELPERS ---
+
+/**
+ * Throws 400 unless `serviceID` is a serving member in the user's scope;
+ * retired members and unknown IDs cannot hold equipment.
+ */
+async function assertAssignable(user, serviceID, db = pool) {
+    const holder = await getSql('SELECT regiment FROM ServingPersonnel WHERE serviceID = ? AND deletedAt IS NULL', [serviceID], db);
+    if (holder && inScope(user, 'regiment', holder.regiment)) return;
+
+    const retired = await getSql('SELECT serviceID FROM RetiredPersonnel WHERE serviceID = ? AND deletedAt IS NULL', [serviceID], db);
+    if (retired) {
+        throw httpError(400, `${serviceID} is retired and cannot be assigned equipment`);
+    }
+    throw httpError(400, `Serving personnel ${serviceID} not found`);
+}
+
+/**
+ * Records a change of custody in EquipmentAssignment: closes the item's open
+ * assignment, if any, and opens one for `serviceID` unless it is null (a return).
+ * `date` defaults to today; `note` is the handover note, or the return note when
+ * nothing new is opened. Callers update Logistics.assignedTo themselves.
+ */
+async function recordCustody(req, equipmentID, serviceID, { date = null, note = null } = {}, db = pool) {
+    const actor = req.user || {};
+    await runSql(
+        `UPDATE EquipmentAssignment
+         SET toDate = COALESCE(?, CURDATE()), returnedBy = ?, returnedByName = ?, returnNote = ?
+         WHERE equipmentID = ? AND toDate IS NULL`,
+        [date, actor.userID || null, actor.username || null, serviceID ? `Handed over to ${serviceID}` : note, equipmentID],
+        db
+    );
+    if (serviceID) {
+        await runSql(
+            `INSERT INTO EquipmentAssignment (equipmentID, serviceID, fromDate, issuedBy, issuedByName, handoverNote)
+             VALUES (?, ?, COALESCE(?, CURDATE()), ?, ?, ?)`,
+            [equipmentID, serviceID, date, actor.userID || null, actor.username || null, note],
+            db
+        );
+    }
+}
+
+// --- EQUIPMENT HELPERS ---
+
+// Artillery, Ships and Jets: each Logistics row has at most one of them, matching its logisticsType
+const EQUIPMENT_SUBTYPES = Object.values(ENTITIES).filter(e => e.logisticsType);
+
+function subtypeFor(logisticsType) {
+    return EQUIPMENT_SUBTYPES.find(e => e.logisticsType === logisticsType);
+}
+
+/**
+ * Throws unless `equipmentID` can have type `logisticsType`: the type must be
+ * known and the item must not have a row in another subtype's table.
+ */
+async function assertEquipmentType(equipmentID, logisticsType, db = pool) {
+    const subtype = subtypeFor(logisticsType);
+    if (!subtype) {
+        throw httpError(400, `logisticsType must be one of: ${EQUIPMENT_SUBTYPES.map(e => e.logisticsType).join(', ')}`);
+    }
+    for (const other of EQUIPMENT_SUBTYPES.filter(e => e !== subtype)) {
+        const row = await getSql(`SELECT equipmentID FROM ${other.table} WHERE equipmentID = ?`, [equipmentID], db);
+        if (row) throw httpError(409, `${equipmentID} has a ${other.table} record, so its logisticsType cannot be ${logisticsType}`);
+    }
+}
+
+/**
+ * Throws unless a `subtype` row can be added for `equipmentID`: the Logistics
+ * parent must exist with the subtype's logisticsType.
+ */
+async function assertSubtypeParent(subtype, equipmentID, db = pool) {
+    const parent = await getSql('SELECT logisticsType FROM Logistics WHERE equipmentID = ? AND deletedAt IS NULL', [equipmentID], db);
+    if (!parent) throw httpError(400, `Logistics record ${equipmentID} not found`);
+    if (parent.logisticsType !== subtype.logisticsType) {
+        throw httpError(409, `${equipmentID} is listed as ${parent.logisticsType}, not ${subtype.logisticsType}`);
+    }
+    await assertEquipmentType(equipmentID, subtype.logisticsType, db);
+}
+
+/**
+ * Inserts a Logistics row from `data`, checking its type and holder and
+ * opening a custody record when it is assigned.
+ */
+async function insertLogistics(req, data, db) {
+    await assertEquipmentType(data.equipmentID, data.logisticsType, db);
+    data = { ...data, locationID: await resolveLocationID(data.location, db) };
+    if (data.assignedTo) await assertAssignable(req.user, data.assignedTo, db);
+
+    await auditedRunSql(req, 'Logistics', data.equipmentID, 'create',
+        entityInsertSql(ENTITIES.logistics), entityValues(ENTITIES.logistics, data), db);
+    if (data.assignedTo) await recordCustody(req, data.equipmentID, data.assignedTo, {}, db);
+}
+
+/**
+ * Updates the Logistics row `id` from `data`, checking its type and recording a
+ * custody change when assignedTo changes. Run it inside a transaction.
+ */
+async function updateLogistics(req, id, data, db) {
+    const current = await getSql('SELECT assignedTo FROM Logistics WHERE equipmentID = ? FOR UPDATE', [id], db);
+    const holder = data.assignedTo || null;
+    const holderChanged = current && current.assignedTo !== holder;
+
+    await assertEquipmentType(id, data.logisticsType, db);
+    if (holderChanged && holder) await assertAssignable(req.user, holder, db);
+
+    await auditedRunSql(req, 'Logistics', id, 'update',
+        'UPDATE Logistics SET logisticsType = ?, cost = ?, procurementDate = ?, tech = ?, location = ?, locationID = ?, assignedTo = ? WHERE equipmentID = ?',
+        [data.logisticsType, data.cost, data.procurementDate, data.tech || null, data.location, await resolveLocationID(data.location, db), holder, id],
+        db
+    );
+    if (holderChanged) await recordCustody(req, id, holder, {}, db);
+}
+
+// --- MAINTENANCE HELPERS ---
+
+/**
+ * Readiness of an item, most urgent first: `in-maintenance` while a work order is
+ * in progress, then `overdue` or `due` from the earliest plan due date, else `operational`.
+ */
+const READINESS_STATES = ['in-maintenance', 'overdue', 'due', 'operational'];
+
+// An item is `due` when one of its plans falls due within this many days
+const MAINTENANCE_DUE_DAYS = 30;
+
+// Allowed work order status changes; completed and cancelled orders are closed
+const WORK_ORDER_TRANSITIONS = {
+    open: ['in_progress', 'completed', 'cancelled'],
+    in_progress: ['completed', 'cancelled']
+};
+
+/**
+ * SQL for the date plan `p` next falls due on Logistics row `l`: the plan's interval
+ * after its last completed work order or, if it was never done, after commissioning
+ * (procurement for items without a subtype record).
+ */
+function planDueSql(l, p) {
+    const commissioned = EQUIPMENT_SUBTYPES.map(e => `(SELECT commissioningDate FROM ${e.table} WHERE equipmentID = ${l}.equipmentID)`);
+    return `DATE_ADD(COALESCE(
+        (SELECT MAX(wo.completedDate) FROM WorkOrders wo WHERE wo.equipmentID = ${l}.equipmentID AND wo.planID = ${p}.planID AND wo.status = 'completed'),
+        ${commissioned.join(', ')}, ${l}.procurementDate
+    ), INTERVAL ${p}.intervalDays DAY)`;
+}
+
+// Earliest due date over every plan for the item's type (NULL when its type has no plans)
+function nextMaintenanceSql(l) {
+    return `(SELECT MIN(${planDueSql(l, 'mp')}) FROM MaintenancePlans mp WHERE mp.logisticsType = ${l}.logisticsType)`;
+}
+
+function readinessSql(l) {
+    const next = nextMaintenanceSql(l);
+    return `(CASE
+        WHEN EXISTS (SELECT 1 FROM WorkOrders ip WHERE ip.equipmentID = ${l}.equipmentID AND ip.status = 'in_progress') THEN 'in-maintenance'
+        WHEN ${next} < CURDATE() THEN 'overdue'
+        WHEN ${next} <= CURDATE() + INTERVAL ${MAINTENANCE_DUE_DAYS} DAY THEN 'due'
+        ELSE 'operational'
+    END)`;
+}
+
+// `readiness` and `nextMaintenance` select columns for a list whose Logistics alias is `l`
+function readinessColumns(l) {
+    return `${readinessSql(l)} AS readiness, ${nextMaintenanceSql(l)} AS nextMaintenance`;
+}
+
+/**
+ * The `readiness` query filter in the { clauses, params } shape the list routes build.
+ */
+function readinessFilter(query, l) {
+    if (!query.readiness) return { clauses: [], params: [] };
+    if (!READINESS_STATES.includes(query.readiness)) {
+        throw httpError(400, `readiness must be one of: ${READINESS_STATES.join(', ')}`);
+    }
+    return { clauses: [`${readinessSql(l)} = ?`], params: [query.readiness] };
+}
+
+// --- ANALYTICS HELPERS ---
+
+/**
+ * Lower bounds of the age bands in the analytics age distribution; the last band is open-ended.
+ */
+const AGE_BANDS = [18, 25, 30, 35, 40, 45, 50, 55];
+
+/**
+ * Years ahead the retirements-due forecast covers when no `to` date is given.
+ */
+const RETIREMENT_FORECAST_YEARS = 5;
+
+/**
+ * Validates the `?from=&to=` date range of the analytics routes. Either end may be
+ * left open; both come back as 'YYYY-MM-DD' strings or null.
+ */
+function analyticsRange(query) {
+    const range = {};
+    for (const key of ['from', 'to']) {
+        const value = query[key] || null;
+        if (value && (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(new Date(value).getTime()))) {
+            throw httpError(400, `${key} must be a date (YYYY-MM-DD)`);
+        }
+        range[key] = value;
+    }
+    if (range.from && range.to && range.from > range.to) {
+        throw httpError(400, 'from must not be after to');
+    }
+    return range;
+}
+
+/**
+ * Sorts age counts ({ age, count } rows) into AGE_BANDS, labelled '18-24' ... '55+'.
+ */
+function ageBands(rows) {
+    const bands = AGE_BANDS.map((min, i) => ({
+        band: i < AGE_BANDS.length - 1 ? `${min}-${AGE_BANDS[i + 1] - 1}` : `${min}+`,
+        min,
+        count: 0
+    }));
+    rows.forEach(row => {
+        const band = [...bands].reverse().find(b => row.age >= b.min);
+        if (band) band.count += row.count;
+    });
+    return bands.map(({ band, count }) => ({ band, count }));
+}
+
+// --- ATTACHMENT HELPERS ---
+
+/**
+ * Records that can carry attachments, by the `ownerType` stored with each file:
+ * the ENTITIES entry naming its table and key, the permission resource guarding
+ * it and the route prefix its attachment endpoints hang off.
+ */
+const ATTACHMENT_OWNERS = {
+    serving: { entity: 'serving', resource: 'personnel', path: '/api/personnel/serving' },
+    retired: { entity: 'retired', resource: 'personnel', path: '/api/personnel/retired' },
+    logistics: { entity: 'logistics', resource: 'equipment', path: '/api/logistics' }
+};
+
+/**
+ * Accepted file types, recognised by their leading bytes as well as the declared
+ * MIME type, so a renamed file is refused.
+ */
+const ATTACHMENT_TYPES = {
+    'application/pdf': { extension: '.pdf', signature: Buffer.from('%PDF-') },
+    'image/png': { extension: '.png', signature: Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+    'image/jpeg': { extension: '.jpg', signature: Buffer.from([0xff, 0xd8, 0xff]) }
+};
+
+/**
+ * Attachment categories: the owners they apply to, the file types they accept and
+ * the extra permission (beyond reading the record) needed to list or download them.
+ */
+const ATTACHMENT_CATEGORIES = {
+    photo: { owners: ['serving', 'retired'], types: ['image/png', 'image/jpeg'] },
+    medical: { owners: ['serving', 'retired'], permission: 'personnel:sensitive' },
+    certificate: { owners: ['serving', 'retired', 'logistics'] },
+    manual: { owners: ['logistics'] },
+    other: { owners: ['serving', 'retired', 'logistics'] }
+};
+
+const ATTACHMENT_MAX_BYTES = (parseInt(process.env.ATTACHMENT_MAX_MB, 10) || 10) * 1024 * 1024;
+
+/**
+ * Attachment contents on local disk under `root`, one file per storage key.
+ * Routes only use save/read/remove, so another store (e.g. object storage)
+ * with the same methods can replace it.
+ */
+function localDiskStorage(root) {
+    const file = (key) => {
+        if (!/^[0-9a-f-]{36}$/.test(key)) throw new Error(`Invalid storage key ${key}`);
+        return path.join(root, key);
+    };
+    return {
+        async save(key, buffer) {
+            await fs.mkdir(root, { recursive: true });
+            await fs.writeFile(file(key), buffer, { flag: 'wx' });
+        },
+        read(key) {
+            return fs.readFile(file(key));
+        },
+        remove(key) {
+            return fs.rm(file(key), { force: true });
+        }
+    };
+}
+
+const attachmentStorage = localDiskStorage(process.env.ATTACHMENTS_DIR || path.join(__dirname, 'uploads'));
+
+function sha256(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Throws 400 unless `file` is an accepted type, matching its content, for `category`
+ * on an `ownerType` record.
+ */
+function assertAttachmentFile(ownerType, category, file) {
+    const rule = ATTACHMENT_CATEGORIES[category];
+    if (!rule || !rule.owners.includes(ownerType)) {
+        const allowed = Object.keys(ATTACHMENT_CATEGORIES).filter(c => ATTACHMENT_CATEGORIES[c].owners.includes(ownerType));
+        throw httpError(400, `category must be one of: ${allowed.join(', ')}`);
+    }
+    const type = ATTACHMENT_TYPES[file.mimetype];
+    const allowedTypes = rule.types || Object.keys(ATTACHMENT_TYPES);
+    if (!type || !allowedTypes.includes(file.mimetype)) {
+        throw httpError(400, `A ${category} attachment must be one of: ${allowedTypes.join(', ')}`);
+    }
+    if (!file.buffer.subarray(0, type.signature.length).equals(type.signature)) {
+        throw httpError(400, `File content is not ${file.mimetype}`);
+    }
+}
+
+/**
+ * Categories of attachment `user` may not see (those needing a permission they lack).
+ */
+function hiddenAttachmentCategories(user) {
+    return Object.keys(ATTACHMENT_CATEGORIES).filter(c => {
+        const permission = ATTACHMENT_CATEGORIES[c].permission;
+        return permission && !hasPermission(user, permission);
+    });
+}
+
+/**
+ * Deletes the attachment rows of a record being purged and returns their storage
+ * keys, so the files can be removed with removeStoredFiles once the transaction commits.
+ */
+async function deleteAttachments(req, ownerType, ownerID, db = pool) {
+    const rows = await allSql('SELECT attachmentID, storageKey FROM Attachments WHERE ownerType = ? AND ownerID = ?', [ownerType, ownerID], db);
+    for (const { attachmentID } of rows) {
+        await auditedRunSql(req, 'Attachments', attachmentID, 'purge', 'DELETE FROM Attachments WHERE attachmentID = ?', [attachmentID], db);
+    }
+    return rows.map(r => r.storageKey);
+}
+
+/**
+ * Removes stored files whose rows are gone. Failures are logged, not thrown: the
+ * record change has already been committed.
+ */
+async function removeStoredFiles(keys) {
+    for (const key of keys) {
+        await attachmentStorage.remove(key).catch(e => console.error(`❌ Error removing attachment file ${key}:`, e));
+    }
+}
+
+// --- RECYCLE BIN HELPERS ---
+
+/**
+ * Records whose DELETE routes soft-delete them: the row keeps its data and its
+ * attachments, gains deletedAt/deletedBy and drops out of every list, report and
+ * lookup until it is restored or purged. `permission` (the record's delete permission)
+ * lists, restores and purges it; `scope` is the scope type and column it is limited by
+ * and `label` what the recycle bin shows for it. `children` go to the bin with the
+ * record and come back with it; a record with a `parent` is restored only while its parent is not deleted.
+ */
+const RECYCLE_BIN = {
+    serving: { table: 'ServingPersonnel', key: 'serviceID', permission: 'personnel:delete', label: "CONCAT(t.firstName, ' ', t.lastName)", scope: ['regiment', 't.regiment'], attachments: 'serving' },
+    retired: { table: 'RetiredPersonnel', key: 'serviceID', permission: 'personnel:delete', label: "CONCAT(t.firstName, ' ', t.lastName)", scope: ['regiment', 't.regiment'], attachments: 'retired' },
+    logistics: { table: 'Logistics', key: 'equipmentID', permission: 'equipment:delete', label: 't.logisticsType', scope: ['location', 't.location'], attachments: 'logistics', children: ['artillery', 'ships', 'jets'] },
+    artillery: { table: 'Artillery', key: 'equipmentID', permission: 'equipment:delete', label: 't.type', scope: ['location', 'p.location'], parent: 'logistics' },
+    ships: { table: 'Ships', key: 'equipmentID', permission: 'equipment:delete', label: 't.shipName', scope: ['location', 'p.location'], parent: 'logistics' },
+    jets: { table: 'Jets', key: 'equipmentID', permission: 'equipment:delete', label: 't.jetName', scope: ['location', 'p.location'], parent: 'logistics' },
+    users: { table: 'Users', key: 'userID', permission: 'users:delete', label: 't.username' }
+};
+
+// Records are purged for good this many days after they were deleted
+const RECYCLE_RETENTION_DAYS = parseInt(process.env.RECYCLE_RETENTION_DAYS, 10) || 30;
+const RECYCLE_PURGE_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Filter leaving records in the recycle bin out of a list whose deletedAt is `column`,
+ * in the { clauses, params } shape the list routes build. Users holding `permission`
+ * can ask for `?deleted=include` (every record) or `?deleted=only` instead.
+ */
+function deletedFilter(user, query, column, permission) {
+    const mode = query.deleted || 'exclude';
+    if (!['exclude', 'include', 'only'].includes(mode)) {
+        throw httpError(400, 'deleted must be one of: exclude, include, only');
+    }
+    if (mode !== 'exclude' && !hasPermission(user, permission)) {
+        throw httpError(403, `Listing deleted records requires ${permission}`);
+    }
+    if (mode === 'include') return { clauses: [], params: [] };
+    return { clauses: [`${column} IS ${mode === 'only' ? 'NOT NULL' : 'NULL'}`], params: [] };
+}
+
+/**
+ * Moves record `key` of RECYCLE_BIN `type` to the recycle bin with its children. They
+ * share one deletedAt, which is how restoreDeleted finds them again. Throws 404 if the
+ * record is not there (or already deleted).
+ */
+async function softDelete(req, type, key, db = pool) {
+    const actor = req.user || {};
+    const { now } = await getSql('SELECT NOW() AS now', [], db);
+    const remove = entry => auditedRunSql(req, entry.table, key, 'delete',
+        `UPDATE ${entry.table} SET deletedAt = ?, deletedBy = ?, deletedByName = ? WHERE ${entry.key} = ? AND deletedAt IS NULL`,
+        [now, actor.userID || null, actor.username || null, key],
+        db
+    );
+
+    const result = await remove(RECYCLE_BIN[type]);
+    if (result.affectedRows === 0) throw httpError(404, 'Record not found');
+    for (const child of RECYCLE_BIN[type].children || []) await remove(RECYCLE_BIN[child]);
+}
+
+/**
+ * Locks record `key` of RECYCLE_BIN `type` and returns it, or throws 404 unless it is
+ * in the recycle bin and, when a `user` is given, within their scope.
+ */
+async function findDeleted(user, type, key, db = pool) {
+    const entry = RECYCLE_BIN[type];
+    const row = await getSql(`SELECT * FROM ${entry.table} WHERE ${entry.key} = ? AND deletedAt IS NOT NULL FOR UPDATE`, [key], db);
+    const scoped = SCOPED_TABLES[entry.table];
+    const stored = row && scoped && user ? await getSql(scoped.lookup, [key], db) : null;
+    if (!row || (stored && !inScope(user, scoped.type, stored.value))) {
+        throw httpError(404, 'Record not found in the recycle bin');
+    }
+    return row;
+}
+
+/**
+ * Takes record `key` of RECYCLE_BIN `type` out of the recycle bin together with the
+ * children deleted along with it; children deleted on their own stay there. Returns
+ * the types of the children restored.
+ */
+async function restoreDeleted(req, type, key, db = pool) {
+    const entry = RECYCLE_BIN[type];
+    const row = await findDeleted(req.user, type, key, db);
+    if (entry.parent) {
+        const parent = RECYCLE_BIN[entry.parent];
+        const live = await getSql(`SELECT ${parent.key} FROM ${parent.table} WHERE ${parent.key} = ? AND deletedAt IS NULL`, [key], db);
+        if (!live) throw httpError(409, `${parent.table} record ${key} is deleted; restore it first`);
+    }
+
+    const restore = (e, deletedAt) => auditedRunSql(req, e.table, key, 'restore',
+        `UPDATE ${e.table} SET deletedAt = NULL, deletedBy = NULL, deletedByName = NULL WHERE ${e.key} = ? AND deletedAt = ?`,
+        [key, deletedAt],
+        db
+    );
+    await restore(entry, row.deletedAt);
+    const restored = [];
+    for (const child of entry.children || []) {
+        const result = await restore(RECYCLE_BIN[child], row.deletedAt);
+        if (result.affectedRows) restored.push(child);
+    }
+    return restored;
+}
+
+/**
+ * Permanently deletes record `key` of RECYCLE_BIN `type`, which must be in the recycle
+ * bin. A serving member's equipment is returned and their postings ended; a Logistics
+ * row takes its subtype row, custody records and work orders with it. Returns the
+ * storage keys of the record's attachments, for removeStoredFiles once the transaction commits.
+ */
+async function purgeDeleted(req, type, key, db = pool) {
+    const entry = RECYCLE_BIN[type];
+    await findDeleted(req.user, type, key, db);
+
+    if (type === 'serving') {
+        // Release their equipment here rather than leave it to the Logistics foreign key, so it is audited
+        const held = await allSql('SELECT equipmentID FROM Logistics WHERE assignedTo = ? FOR UPDATE', [key], db);
+        for (const { equipmentID } of held) {
+            await auditedRunSql(req, 'Logistics', equipmentID, 'update', 'UPDATE Logistics SET assignedTo = NULL WHERE equipmentID = ?', [equipmentID], db);
+            await recordCustody(req, equipmentID, null, { note: `Holder ${key} deleted` }, db);
+        }
+        await endPostings(req, key, null, db);
+    }
+    if (type === 'logistics') {
+        // Likewise the subtype row and work orders the foreign keys would cascade to
+        for (const child of entry.children) {
+            const { table, key: keyColumn } = RECYCLE_BIN[child];
+            await auditedRunSql(req, table, key, 'purge', `DELETE FROM ${table} WHERE ${keyColumn} = ?`, [key], db);
+        }
+        const workOrders = await allSql('SELECT workOrderID FROM WorkOrders WHERE equipmentID = ?', [key], db);
+        for (const { workOrderID } of workOrders) {
+            await auditedRunSql(req, 'WorkOrders', workOrderID, 'purge', 'DELETE FROM WorkOrders WHERE workOrderID = ?', [workOrderID], db);
+        }
+    }
+    await auditedRunSql(req, entry.table, key, 'purge', `DELETE FROM ${entry.table} WHERE ${entry.key} = ?`, [key], db);
+    return entry.attachments ? deleteAttachments(req, entry.attachments, key, db) : [];
+}
+
+/**
+ * Purges every record that has been in the recycle bin for more than
+ * RECYCLE_RETENTION_DAYS. Returns how many were purged.
+ */
+async function purgeExpired() {
+    let purged = 0;
+    for (const [type, entry] of Object.entries(RECYCLE_BIN)) {
+        const expired = await allSql(
+            `SELECT ${entry.key} AS id FROM ${entry.table} WHERE deletedAt < DATE_SUB(NOW(), INTERVAL ? DAY)`,
+            [RECYCLE_RETENTION_DAYS]
+        );
+        for (const { id } of expired) {
+            const files = await withTransaction(conn => purgeDeleted({}, type, id, conn));
+            await removeStoredFiles(files);
+            purged++;
+        }
+    }
+    if (purged) {
+        console.log(`ℹ️  Purged ${purged} record(s) deleted more than ${RECYCLE_RETENTION_DAYS} days ago`);
+    }
+    return purged;
+}
+
+// --- VERSION HELPERS ---
+
+/**
+ * Personnel and equipment rows carry an updatedAt that MySQL moves on every change
+ * (to the millisecond). It is the row's version: GET routes send it as an ETag and
+ * list rows as `version`, and PUT routes only overwrite a record whose version still
+ * matches the If-Match header. An equipment subtype record's version covers its
+ * Logistics row as well, since the typed equipment routes update both.
+ */
+const VERSIONED_TABLES = ['ServingPersonnel', 'RetiredPersonnel', 'Logistics', 'Artillery', 'Ships', 'Jets'];
+
+// SQL for the version of the rows aliased `aliases`, e.g. versionSql('l', 'a')
+function versionSql(...aliases) {
+    return `CONCAT_WS('-', ${aliases.map(a => `UNIX_TIMESTAMP(${a}.updatedAt)`).join(', ')})`;
+}
+
+/**
+ * Reads (and, inside a transaction, locks) the live record `id` of ENTITIES `type`
+ * with its `version`; subtype records come with their Logistics columns.
+ */
+async function getVersioned(type, id, db = pool, lock = false) {
+    const entity = ENTITIES[type];
+    const sql = entity.logisticsType
+        ? `SELECT t.*, l.logisticsType, l.cost, l.procurementDate, l.tech, l.location, l.assignedTo, ${versionSql('l', 't')} AS version
+           FROM ${entity.table} t INNER JOIN Logistics l ON l.equipmentID = t.equipmentID
+           WHERE t.equipmentID = ? AND t.deletedAt IS NULL AND l.deletedAt IS NULL`
+        : `SELECT t.*, ${versionSql('t')} AS version FROM ${entity.table} t WHERE t.${entity.key} = ? AND t.deletedAt IS NULL`;
+    return getSql(lock ? `${sql} FOR UPDATE` : sql, [id], db);
+}
+
+/**
+ * Sets the ETag of a record's version. It names the record rather than the whole
+ * response body, so the response must not be cached and revalidated against it.
+ */
+function setVersion(res, version) {
+    res.set({ 'ETag': `"${version}"`, 'Cache-Control': 'no-store' });
+}
+
+/**
+ * Locks record `id` of ENTITIES `type` for a PUT and checks it against the request's
+ * If-Match header. Throws 428 without If-Match, 404 if the record is gone and 409,
+ * with the current record (masked) and its version, if it changed since it was read.
+ */
+async function assertVersion(req, type, id, db) {
+    const ifMatch = req.get('If-Match');
+    if (!ifMatch) throw httpError(428, 'If-Match is required; send the ETag of the record being edited');
+
+    const current = await getVersioned(type, id, db, true);
+    if (!current) throw httpError(404, 'Record not found');
+
+    const tags = ifMatch.split(',').map(tag => tag.trim().replace(/^W\//, ''));
+    if (!tags.includes('*') && !tags.includes(`"${current.version}"`)) {
+        const { rows: [record], masked } = maskRows(req.user, [current]);
+        throw httpError(409, 'The record was changed by someone else since you opened it', { current: record, masked, version: current.version });
+    }
+    return current;
+}
+
+/**
+ * Creates an error carrying an HTTP status, so handlers can abort a transaction
+ * and still answer with a specific status code. `details` are added to the JSON
+ * body by routes that send them.
+ */
+function httpError(status, message, details) {
+    const err = new Error(message);
+    err.status = status;
+    if (details) err.details = details;
+    return err;
+}
+
+// --- 6. AUTHENTICATION MIDDLEWARE ---
+
+/**
+ * Permission catalogue: every resource and the actions that can be granted on it.
+ * A permission is written as "resource:action", e.g. "equipment:update";
+ * "personnel:sensitive" unmasks the fields listed in SENSITIVE_FIELDS.
+ */
+const PERMISSIONS = {
+    personnel: ['read', 'create', 'update', 'delete', 'export', 'sensitive'],
+    equipment: ['read', 'create', 'update', 'delete', 'export'],
+    reports: ['read', 'export'],
+    units: ['read', 'create', 'update', 'delete'],
+    audit: ['read'],
+    users: ['read', 'update', 'delete'],
+    roles: ['read', 'create', 'update', 'delete']
+};
+
+const ALL_PERMISSIONS = Object.entries(PERMISSIONS)
+    .flatMap(([resource, actions]) => actions.map(action => `${resource}:${action}`));
+
+/**
+ * Roles created on first start. Apart from admin (which always holds every
+ * permission), their permissions can be changed later through /api/roles.
+ */
+const DEFAULT_ROLES = {
+    admin: {
+        description: 'Full access, including user and role management',
+        permissions: ALL_PERMISSIONS
+    },
+    personnel_officer: {
+        description: 'Manages serving and retired personnel',
+        permissions: ['personnel:read', 'personnel:create', 'personnel:update', 'personnel:delete', 'personnel:export', 'personnel:sensitive', 'equipment:read', 'reports:read', 'reports:export', 'units:read']
+    },
+    logistics_officer: {
+        description: 'Manages logistics, artillery, ships and jets',
+        permissions: ['equipment:read', 'equipment:create', 'equipment:update', 'equipment:delete', 'equipment:export', 'personnel:read', 'reports:read', 'reports:export', 'units:read']
+    },
+    auditor: {
+        description: 'Reads and exports all records and the audit log',
+        permissions: ['personnel:read', 'personnel:export', 'equipment:read', 'equipment:export', 'reports:read', 'reports:export', 'units:read', 'audit:read']
+    },
+    user: {
+        description: 'Read-only access to personnel, equipment and reports',
+        permissions: ['personnel:read', 'equipment:read', 'reports:read', 'units:read']
+    }
+};
+
+/**
+ * Returns the permissions granted to a role, sorted.
+ */
+async function rolePermissions(roleName, db = pool) {
+    const rows = await allSql('SELECT permission FROM RolePermissions WHERE roleName = ? ORDER BY permission', [roleName], db);
+    return rows.map(r => r.permission);
+}
+
+function hasPermission(user, permission) {
+    return Boolean(user && user.permissions && user.permissions.includes(permission));
+}
+
+/**
+ * Middleware to authenticate JWT token.
+ * The token only identifies the user and session; the role, its permissions and
+ * the user's scopes are read from the database so changes, deletions and revoked
+ * sessions take effect immediately.
+ */
+async function authenticateToken(req, res, next) {
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+
+    if (!token) {
+        return res.status(401).json({ error: 'Access token required' });
+    }
+
+    let payload;
+    try {
+        payload = jwt.verify(token, JWT_SECRET);
+    } catch (err) {
+        return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+
+    try {
+        const user = await getSql(
+            `SELECT u.userID, u.username, u.role, u.mustChangePassword,
+                    ${passwordExpiredSql('u')} AS passwordExpired, ${passwordExpiresSql('u')} AS passwordExpiresAt,
+                    u.totpEnabledAt IS NOT NULL AS twoFactorEnabled, r.requireTwoFactor
+             FROM Users u
+             INNER JOIN UserSessions s ON s.userID = u.userID
+             LEFT JOIN Roles r ON r.roleName = u.role
+             WHERE u.userID = ? AND u.deletedAt IS NULL AND s.sessionID = ? AND s.revokedAt IS NULL AND s.expiresAt > NOW()`,
+            [payload.userID, payload.sid]
+        );
+        if (!user) {
+            return res.status(401).json({ error: 'Session has ended. Please login again.' });
+        }
+        const { mustChangePassword, passwordExpired, requireTwoFactor, ...account } = user;
+        req.user = {
+            ...account,
+            permissions: await rolePermissions(user.role),
+            scopes: await loadUserScopes(user.userID),
+            sessionID: payload.sid,
+            passwordChangeReason: passwordChangeReason(user),
+            twoFactorEnabled: Boolean(user.twoFactorEnabled),
+            twoFactorRequired: Boolean(requireTwoFactor),
+            twoFactorSetupRequired: Boolean(requireTwoFactor) && !user.twoFactorEnabled
+        };
+
+        // Until a required password change is made, the session can only make it (or read /me);
+        // after that, a role requiring two-factor authentication only lets it set that up
+        if (req.user.passwordChangeReason) {
+            if (!PASSWORD_CHANGE_ROUTES.includes(req.path)) {
+                return res.status(403).json({
+                    error: 'You must change your password before continuing',
+                    passwordChangeRequired: true,
+                    passwordChangeReason: req.user.passwordChangeReason
+                });
+            }
+        } else if (req.user.twoFactorSetupRequired && !TWO_FACTOR_SETUP_ROUTES.includes(req.path)) {
+            return res.status(403).json({
+                error: 'Your role requires two-factor authentication; set it up before continuing',
+                twoFactorSetupRequired: true
+            });
+        }
+        next();
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: 'Server error' });
+    }
+}
+
+/**
+ * Middleware to require one or more permissions (all of them must be granted)
+ */
+function requirePermission(...permissions) {
+    return (req, res, next) => {
+        if (!req.user) {
+            return res.status(401).json({ error: 'Authentication required' });
+        }
+
+        if (!permissions.every(p => hasPermission(req.user, p))) {
+            return res.status(403).json({ error: 'Insufficient permissions' });
+        }
+
+        next();
+    };
+}
+
+// --- 7. AUTHENTICATION ROUTES ---
+
+/**
+ * Hashes a refresh token for storage; only the hash is kept server-side.
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function signAccessToken(user, sessionID) {
+    return jwt.sign(
+        {
+            userID: user.userID,
+            username: user.username,
+            role: user.role,
+            sid: sessionID
+        },
+        JWT_SECRET,
+        { expiresIn: ACCESS_TOKEN_TTL }
+    );
+}
+
+/**
+ * Starts a new session for `user` and returns its first access/refresh token pair.
+ */
+async function createSession(user, req) {
+    const sessionID = crypto.randomBytes(16).toString('hex');
+    const refreshToken = crypto.randomBytes(48).toString('base64url');
+
+    await runSql(
+        `INSERT INTO UserSessions (sessionID, userID, refreshTokenHash, expiresAt, userAgent, ipAddress)
+         VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ? DAY), ?, ?)`,
+        [sessionID, user.userID, hashToken(refreshToken), REFRESH_TOKEN_DAYS, (req.headers['user-agent'] || '').slice(0, 255), req.ip]
+    );
+
+    return { token: signAccessToken(user, sessionID), refreshToken };
+}
+
+/**
+ * Ends every open session of a user (used when their role changes or they are deleted).
+ */
+async function revokeUserSessions(userId, db = pool) {
+    await runSql('UPDATE UserSessions SET revokedAt = NOW() WHERE userID = ? AND revokedAt IS NULL', [userId], db);
+}
+
+/**
+ * Login throttling. Every login and registration is recorded in AuthAttempts:
+ * - an IP address with `maxFailuresPerIp` failed logins (or `registrationsPerIp`
+ *   registrations) within `windowMinutes` is refused until the oldest falls out of the window
+ * - an account locks after `lockoutThreshold` failed logins in a row, for `lockoutMinutes`,
+ *   doubling with each further failure up to `maxLockoutMinutes`; a successful login resets it
+ */
+const LOGIN_POLICY = {
+    windowMinutes: parseInt(process.env.LOGIN_WINDOW_MINUTES, 10) || 15,
+    maxFailuresPerIp: parseInt(process.env.LOGIN_MAX_FAILURES_PER_IP, 10) || 20,
+    registrationsPerIp: parseInt(process.env.REGISTRATIONS_PER_IP, 10) || 5,
+    lockoutThreshold: parseInt(process.env.LOCKOUT_THRESHOLD, 10) || 5,
+    lockoutMinutes: parseInt(process.env.LOCKOUT_MINUTES, 10) || 5,
+    maxLockoutMinutes: parseInt(process.env.LOCKOUT_MAX_MINUTES, 10) || 24 * 60
+};
+
+// AuthAttempts rows are kept this many days
+const AUTH_ATTEMPT_RETENTION_DAYS = 90;
+
+/**
+ * How new accounts are let in: with `approval` (the default) a registration without an
+ * invite code waits for an administrator; with `invite` an invite code is required.
+ * Invited accounts are active at once, with the invite's role.
+ */
+const REGISTRATION_MODE = process.env.REGISTRATION_MODE === 'invite' ? 'invite' : 'approval';
+
+// Invite codes expire after this many days unless the invite says otherwise
+const INVITE_DEFAULT_DAYS = 7;
+
+/**
+ * Password strength rules for new passwords: a minimum length, a number of the
+ * character classes (lowercase, uppercase, digits, symbols) and not containing the username.
+ */
+const PASSWORD_POLICY = {
+    minLength: parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 10,
+    minClasses: Math.min(parseInt(process.env.PASSWORD_MIN_CLASSES, 10) || 3, 4)
+};
+
+const PASSWORD_CLASSES = [/[a-z]/, /[A-Z]/, /[0-9]/, /[^a-zA-Z0-9]/];
+
+/**
+ * Returns what `password` falls short of in PASSWORD_POLICY, as messages; empty if it complies.
+ */
+function passwordPolicyErrors(password, username) {
+    const errors = [];
+    if (password.length < PASSWORD_POLICY.minLength) {
+        errors.push(`at least ${PASSWORD_POLICY.minLength} characters`);
+    }
+    if (PASSWORD_CLASSES.filter(re => re.test(password)).length < PASSWORD_POLICY.minClasses) {
+        errors.push(`${PASSWORD_POLICY.minClasses} of: lowercase letters, uppercase letters, digits, symbols`);
+    }
+    if (username && password.toLowerCase().includes(username.toLowerCase())) {
+        errors.push('not containing the username');
+    }
+    return errors;
+}
+
+/**
+ * Throws 400 listing the rules `password` breaks.
+ */
+function assertPasswordPolicy(password, username) {
+    const errors = passwordPolicyErrors(password, username);
+    if (errors.length) throw httpError(400, `Password must have ${errors.join('; ')}`);
+}
+
+/**
+ * Password expiry and resets:
+ * - a password older than `maxAgeDays` (0, the default, never expires) must be changed at the next login
+ * - an administrator's reset issues a one-time code valid for `resetHours`, and the user
+ *   must change their password at the next login even if they never use the code
+ */
+const PASSWORD_EXPIRY = {
+    maxAgeDays: parseInt(process.env.PASSWORD_MAX_AGE_DAYS, 10) || 0,
+    resetHours: parseInt(process.env.PASSWORD_RESET_HOURS, 10) || 24
+};
+
+// Routes a session with a required password change can still use
+const PASSWORD_CHANGE_ROUTES = ['/api/auth/me', '/api/auth/change-password'];
+
+/**
+ * SQL for whether the password of the Users row `alias` has expired.
+ */
+function passwordExpiredSql(alias) {
+    if (!PASSWORD_EXPIRY.maxAgeDays) return 'FALSE';
+    return `${alias}.passwordChangedAt < DATE_SUB(NOW(), INTERVAL ${PASSWORD_EXPIRY.maxAgeDays} DAY)`;
+}
+
+/**
+ * SQL for when the password of the Users row `alias` expires (NULL when passwords never expire).
+ */
+function passwordExpiresSql(alias) {
+    if (!PASSWORD_EXPIRY.maxAgeDays) return 'NULL';
+    return `DATE_ADD(${alias}.passwordChangedAt, INTERVAL ${PASSWORD_EXPIRY.maxAgeDays} DAY)`;
+}
+
+/**
+ * Why `user` must change their password before doing anything else ('reset' or 'expired'), or null.
+ */
+function passwordChangeReason(user) {
+    if (user.mustChangePassword) return 'reset';
+    if (user.passwordExpired) return 'expired';
+    return null;
+}
+
+/**
+ * Records a login, registration or password change attempt; `reason` says why it failed (or how it succeeded).
+ */
+async function recordAuthAttempt(req, action, { username, userID = null, success, reason }) {
+    await runSql(
+        'INSERT INTO AuthAttempts (action, username, userID, ipAddress, userAgent, success, reason) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        [action, String(username).slice(0, 50), userID, req.ip, (req.headers['user-agent'] || '').slice(0, 255), success, reason]
+    );
+}
+
+/**
+ * Throws 400 unless `password` is the signed-in user's current password, and returns their
+ * Users row. Wrong passwords are recorded as failed 'password' attempts and throttled per IP address.
+ */
+async function assertCurrentPassword(req, password) {
+    await assertIpNotThrottled(req, 'password', LOGIN_POLICY.maxFailuresPerIp);
+    const user = await getSql('SELECT userID, password FROM Users WHERE userID = ?', [req.user.userID]);
+    if (typeof password !== 'string' || !await bcrypt.compare(password, user.password)) {
+        await recordAuthAttempt(req, 'password', { username: req.user.username, userID: req.user.userID, success: false, reason: 'bad_password' });
+        throw httpError(400, 'Current password is incorrect');
+    }
+    return user;
+}
+
+/**
+ * Two-factor authentication with TOTP (RFC 6238): 6-digit codes for 30-second time steps,
+ * accepted `window` steps either side for clock drift. Secrets are stored encrypted with
+ * TOTP_ENCRYPTION_KEY (JWT_SECRET if unset); changing that key invalidates every enrollment.
+ */
+const TOTP = {
+    issuer: process.env.TOTP_ISSUER || 'AFMS',
+    periodSeconds: 30,
+    window: 1,
+    recoveryCodes: 10,
+    // How long the second login step may take after the password was accepted
+    challengeTtl: '5m'
+};
+
+const TOTP_KEY = crypto.createHash('sha256').update(process.env.TOTP_ENCRYPTION_KEY || JWT_SECRET).digest();
+
+// Routes a session whose role requires two-factor authentication can use before setting it up
+const TWO_FACTOR_SETUP_ROUTES = ['/api/auth/me', '/api/auth/2fa', '/api/auth/2fa/setup', '/api/auth/2fa/enable'];
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+    let bits = '';
+    for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+    let text = '';
+    for (let i = 0; i < bits.length; i += 5) {
+        text += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    }
+    return text;
+}
+
+function base32Decode(text) {
+    let bits = '';
+    for (const ch of text.toUpperCase()) bits += BASE32_ALPHABET.indexOf(ch).toString(2).padStart(5, '0');
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    return Buffer.from(bytes);
+}
+
+/**
+ * The 6-digit TOTP code of the base32 `secret` for time step `step`.
+ */
+function totpCode(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    return String((hmac.readUInt32BE(offset) & 0x7fffffff) % 1000000).padStart(6, '0');
+}
+
+/**
+ * The time step a 6-digit `code` is valid for under `secret`, or null. Steps up to
+ * `lastStep` were already used and are refused, so a code cannot be replayed.
+ */
+function matchTotp(secret, code, lastStep = null) {
+    const now = Math.floor(Date.now() / 1000 / TOTP.periodSeconds);
+    for (let step = now - TOTP.window; step <= now + TOTP.window; step++) {
+        if (lastStep !== null && step <= lastStep) continue;
+        if (crypto.timingSafeEqual(Buffer.from(totpCode(secret, step)), Buffer.from(code))) return step;
+    }
+    return null;
+}
+
+/**
+ * Encrypts a TOTP secret for storage (AES-256-GCM); openSecret reverses it.
+ */
+function sealSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', TOTP_KEY, iv);
+    const data = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), data].map(part => part.toString('base64url')).join('.');
+}
+
+function openSecret(sealed) {
+    const [iv, tag, data] = sealed.split('.').map(part => Buffer.from(part, 'base64url'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', TOTP_KEY, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Replaces a user's recovery codes with new ones and returns them; only their hashes are kept.
+ */
+async function issueRecoveryCodes(userId, db = pool) {
+    await runSql('DELETE FROM RecoveryCodes WHERE userID = ?', [userId], db);
+    const codes = [];
+    for (let i = 0; i < TOTP.recoveryCodes; i++) {
+        const code = crypto.randomBytes(5).toString('hex');
+        await runSql('INSERT INTO RecoveryCodes (userID, codeHash) VALUES (?, ?)', [userId, hashToken(code)], db);
+        codes.push(`${code.slice(0, 5)}-${code.slice(5)}`);
+    }
+    return codes;
+}
+
+/**
+ * Checks the second-factor `code` of `user` (a Users row): a current TOTP code, which
+ * cannot be used again, or an unused recovery code, which is used up.
+ * Returns 'totp', 'recovery' or null.
+ */
+async function verifySecondFactor(user, code) {
+    const input = code.replace(/\s+/g, '');
+    if (/^\d{6}$/.test(input)) {
+        const step = matchTotp(openSecret(user.totpSecret), input, user.totpLastStep);
+        if (step === null) return null;
+        // A concurrent login with the same code loses here
+        const result = await runSql(
+            'UPDATE Users SET totpLastStep = ? WHERE userID = ? AND (totpLastStep IS NULL OR totpLastStep < ?)',
+            [step, user.userID, step]
+        );
+        return result.affectedRows ? 'totp' : null;
+    }
+    const recovery = input.toLowerCase().replace(/[^0-9a-f]/g, '');
+    const result = await runSql(
+        'UPDATE RecoveryCodes SET usedAt = NOW() WHERE userID = ? AND codeHash = ? AND usedAt IS NULL',
+        [user.userID, hashToken(recovery)]
+    );
+    return result.affectedRows ? 'recovery' : null;
+}
+
+/**
+ * SQL reading a Users row for login by `where`, with its lockout, password expiry and
+ * whether its role requires two-factor authentication.
+ */
+function loginUserSql(where) {
+    return `SELECT *, TIMESTAMPDIFF(SECOND, NOW(), lockedUntil) AS lockedFor, ${passwordExpiredSql('Users')} AS passwordExpired,
+                   (SELECT r.requireTwoFactor FROM Roles r WHERE r.roleName = Users.role) AS requireTwoFactor
+            FROM Users WHERE ${where} AND deletedAt IS NULL`;
+}
+
+/**
+ * Counts a failed login of `user` towards its lockout and records it with `reason`.
+ */
+async function recordFailedLogin(req, user, reason) {
+    const lockFor = lockoutMinutes(user.failedLogins + 1);
+    await runSql(
+        `UPDATE Users SET failedLogins = failedLogins + 1${lockFor ? ', lockedUntil = DATE_ADD(NOW(), INTERVAL ? MINUTE)' : ''} WHERE userID = ?`,
+        lockFor ? [lockFor, user.userID] : [user.userID]
+    );
+    await recordAuthAttempt(req, 'login', { username: user.username, userID: user.userID, success: false, reason });
+}
+
+/**
+ * Refuses a login of a locked `user` with 429 and records it; returns whether it did.
+ */
+async function refuseLockedLogin(req, res, user) {
+    if (!(user.lockedFor > 0)) return false;
+    await recordAuthAttempt(req, 'login', { username: user.username, userID: user.userID, success: false, reason: 'locked' });
+    res.set('Retry-After', String(user.lockedFor));
+    res.status(429).json({
+        error: `Account locked after repeated failed logins; try again in ${Math.ceil(user.lockedFor / 60)} minute(s)`,
+        retryAfter: user.lockedFor
+    });
+    return true;
+}
+
+/**
+ * Finishes a successful login of `user` (a row from loginUserSql): clears its failed logins,
+ * records the attempt with `reason`, starts a session and sends its tokens.
+ */
+async function completeLogin(req, res, user, reason = 'ok') {
+    await runSql('UPDATE Users SET failedLogins = 0, lockedUntil = NULL WHERE userID = ?', [user.userID]);
+    await recordAuthAttempt(req, 'login', { username: user.username, userID: user.userID, success: true, reason });
+
+    // Drop sessions that expired long ago and old login records, then start a new session
+    await runSql('DELETE FROM UserSessions WHERE expiresAt < DATE_SUB(NOW(), INTERVAL 30 DAY)');
+    await runSql('DELETE FROM AuthAttempts WHERE createdAt < DATE_SUB(NOW(), INTERVAL ? DAY)', [AUTH_ATTEMPT_RETENTION_DAYS]);
+    const { token, refreshToken } = await createSession(user, req);
+
+    // A reset or expired password is signed in, but can only be changed until it is;
+    // likewise a missing second factor that the role requires can only be set up
+    const changeReason = passwordChangeReason(user);
+    res.json({
+        success: true,
+        token: token,
+        refreshToken: refreshToken,
+        expiresIn: ACCESS_TOKEN_TTL,
+        role: user.role,
+        permissions: await rolePermissions(user.role),
+        username: user.username,
+        passwordChangeRequired: Boolean(changeReason),
+        passwordChangeReason: changeReason,
+        twoFactorSetupRequired: Boolean(user.requireTwoFactor) && !user.totpEnabledAt
+    });
+}
+
+/**
+ * Throws 429 (with the seconds to wait in `retryAfter`) if the request's IP address
+ * has used up its `limit` of `action` attempts (failed ones only, except for registrations) in the window.
+ */
+async function assertIpNotThrottled(req, action, limit) {
+    const row = await getSql(
+        `SELECT COUNT(*) AS c, TIMESTAMPDIFF(SECOND, NOW(), DATE_ADD(MIN(createdAt), INTERVAL ? MINUTE)) AS wait
+         FROM AuthAttempts
+         WHERE action = ? AND ipAddress = ? AND createdAt > DATE_SUB(NOW(), INTERVAL ? MINUTE)${action !== 'register' ? ' AND success = FALSE' : ''}`,
+        [LOGIN_POLICY.windowMinutes, action, req.ip, LOGIN_POLICY.windowMinutes]
+    );
+    if (row.c >= limit) {
+        throw httpError(429, 'Too many attempts from this address; try again later', { retryAfter: Math.max(row.wait, 1) });
+    }
+}
+
+/**
+ * Minutes an account is locked for after `failures` failed logins in a row (0 below the threshold).
+ */
+function lockoutMinutes(failures) {
+    const { lockoutThreshold, lockoutMinutes: base, maxLockoutMinutes } = LOGIN_POLICY;
+    if (failures < lockoutThreshold) return 0;
+    return Math.min(base * 2 ** (failures - lockoutThreshold), maxLockoutMinutes);
+}
+
+// Initialize UserSessions table (called on server start)
+async function initializeSessionsTable() {
+    try {
+        await runSql(`
+            CREATE TABLE IF NOT EXISTS UserSessions (
+                sessionID CHAR(32) PRIMARY KEY,
+                userID INT NOT NULL,
+                refreshTokenHash CHAR(64) NOT NULL UNIQUE,
+                previousTokenHash CHAR(64),
+                expiresAt DATETIME NOT NULL,
+                revokedAt DATETIME,
+                userAgent VARCHAR(255),
+                ipAddress VARCHAR(45),
+                createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                lastUsedAt TIMESTAMP NULL,
+                INDEX idx_sessions_user (userID),
+                INDEX idx_sessions_previous (previousTokenHash),
+                FOREIGN KEY (userID) REFERENCES Users(userID) ON DELETE CASCADE
+            )
+        `);
+        console.log('✅ UserSessions table initialized');
+    } catch (e) {
+        console.error('❌ Error initializing UserSessions table:', e);
+    }
+}
+
+// Initialize AuthAttempts and Invites tables (called on server start, after the Users table)
+// Users gain a status (existing accounts are active), failedLogins and lockedUntil.
+async function initializeLoginSecurity() {
+    try {
+        await ensureColumn('Users', 'status', "status ENUM('pending', 'active') NOT NULL DEFAULT 'active'");
+        await ensureColumn('Users', 'failedLogins', 'failedLogins INT NOT NULL DEFAULT 0');
+        await ensureColumn('Users', 'lockedUntil', 'lockedUntil DATETIME');
+        await runSql(`
+            CREATE TABLE IF NOT EXISTS AuthAttempts (
+                attemptID BIGINT AUTO_INCREMENT PRIMARY KEY,
+                action ENUM('login', 'register', 'password') NOT NULL,
+                username VARCHAR(50) NOT NULL,
+                userID INT,
+                ipAddress VARCHAR(45),
+                userAgent VARCHAR(255),
+                success BOOLEAN NOT NULL,
+                reason VARCHAR(20) NOT NULL,
+                createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                INDEX idx_attempts_ip (ipAddress, action, createdAt),
+                INDEX idx_attempts_username (username, createdAt),
+                INDEX idx_attempts_created (createdAt)
+            )
+        `);
+        await runSql(`
+            CREATE TABLE IF NOT EXISTS Invites (
+                inviteID INT AUTO_INCREMENT PRIMARY KEY,
+                codeHash CHAR(64) NOT NULL UNIQUE,
+                role VARCHAR(50) NOT NULL,
+                note VARCHAR(100),
+                createdBy INT,
+                createdByName VARCHAR(50),
+                createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                expiresAt DATETIME NOT NULL,
+                usedAt DATETIME,
+                usedBy INT,
+                revokedAt DATETIME
+            )
+        `);
+        console.log('✅ AuthAttempts and Invites tables initialized');
+    } catch (e) {
+        console.error('❌ Error initializing AuthAttempts and Invites tables:', e);
+    }
+}
+
+// Add password age and reset columns to Users (called on server start, after initializeLoginSecurity).
+// Existing passwords count as set now; password changes and resets are logged as 'password' AuthAttempts.
+async function initializePasswordManagement() {
+    try {
+        await ensureColumn('Users', 'passwordChangedAt', 'passwordChangedAt TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP');
+        await ensureColumn('Users', 'mustChangePassword', 'mustChangePassword BOOLEAN NOT NULL DEFAULT FALSE');
+        await ensureColumn('Users', 'resetTokenHash', 'resetTokenHash CHAR(64)');
+        await ensureColumn('Users', 'resetTokenExpires', 'resetTokenExpires DATETIME');
+        // Password changes are logged as attempts too; widen the enum once, not on every start
+        const action = await getSql(
+            `SELECT COLUMN_TYPE AS type FROM information_schema.COLUMNS
+             WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'AuthAttempts' AND COLUMN_NAME = 'action'`
+        );
+        if (action && !action.type.includes("'password'")) {
+            await runSql("ALTER TABLE AuthAttempts MODIFY action ENUM('login', 'register', 'password') NOT NULL");
+        }
+        console.log('✅ Password management initialized');
+    } catch (e) {
+        console.error('❌ Error initializing password management:', e);
+    }
+}
+
+// Add two-factor columns to Users and Roles and the RecoveryCodes table (called on server start,
+// after the Users and Roles tables). Only hashes of recovery codes are stored.
+async function initializeTwoFactor() {
+    try {
+        await ensureColumn('Users', 'totpSecret', 'totpSecret VARCHAR(255)');
+        await ensureColumn('Users', 'totpPendingSecret', 'totpPendingSecret VARCHAR(255)');
+        await ensureColumn('Users', 'totpEnabledAt', 'totpEnabledAt DATETIME');
+        await ensureColumn('Users', 'totpLastStep', 'totpLastStep BIGINT');
+        await ensureColumn('Roles', 'requireTwoFactor', 'requireTwoFactor BOOLEAN NOT NULL DEFAULT FALSE');
+        await runSql(`
+            CREATE TABLE IF NOT EXISTS RecoveryCodes (
+                codeID INT AUTO_INCREMENT PRIMARY KEY,
+                userID INT NOT NULL,
+                codeHash CHAR(64) NOT NULL,
+                usedAt DATETIME,
+                INDEX idx_recovery_user (userID),
+                FOREIGN KEY (userID) REFERENCES Users(userID) ON DELETE CASCADE
+            )
+        `);
+        console.log('✅ Two-factor authentication initialized');
+    } catch (e) {
+        console.error('❌ Error initializing two-factor authentication:', e);
+    }
+}
+
+// Initialize Roles and RolePermissions tables and seed the default roles (called on server start)
+async function initializeRolesTables() {
+    try {
+        await runSql(`
+            CREATE TABLE IF NOT EXISTS Roles (
+                roleName VARCHAR(50) PRIMARY KEY,
+                description VARCHAR(255),
+                builtIn BOOLEAN NOT NULL DEFAULT FALSE,
+                createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        await runSql(`
+            CREATE TABLE IF NOT EXISTS RolePermissions (
+                roleName VARCHAR(50) NOT NULL,
+                permission VARCHAR(50) NOT NULL,
+                PRIMARY KEY (roleName, permission),
+                FOREIGN KEY (roleName) REFERENCES Roles(roleName) ON DELETE CASCADE
+            )
+        `);
+
+        // Default roles only get their permissions when first created, so later edits are kept
+        for (const [roleName, role] of Object.entries(DEFAULT_ROLES)) {
+            const created = await runSql(
+                'INSERT IGNORE INTO Roles (roleName, description, builtIn) VALUES (?, ?, TRUE)',
+                [roleName, role.description]
+            );
+            if (created.affectedRows > 0 || roleName === 'admin') {
+                for (const permission of role.permissions) {
+                    await runSql('INSERT IGNORE INTO RolePermissions (roleName, permission) VALUES (?, ?)', [roleName, permission]);
+                }
+            }
+        }
+        console.log('✅ Roles tables initialized');
+    } catch (e) {
+        console.error('❌ Error initializing Roles tables:', e);
+    }
+}
+
+// Initialize Users table (called on server start)
+async function initializeUsersTable() {
+    try {
+        await runSql(`
+            CREATE TABLE IF NOT EXISTS Users (
+                userID INT AUTO_INCREMENT PRIMARY KEY,
+                username VARCHAR(50) UNIQUE NOT NULL,
+                password VARCHAR(255) NOT NULL,
+                role VARCHAR(50) NOT NULL DEFAULT 'user',
+                createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        // Databases created before named roles still have role as ENUM('admin', 'user')
+        const roleColumn = await getSql(
+            `SELECT DATA_TYPE AS type FROM information_schema.COLUMNS
+             WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'Users' AND COLUMN_NAME = 'role'`
+        );
+        if (roleColumn && roleColumn.type === 'enum') {
+            await runSql("ALTER TABLE Users MODIFY role VARCHAR(50) NOT NULL DEFAULT 'user'");
+        }
+        console.log('✅ Users table initialized');
+    } catch (e) {
+        console.error('❌ Error initializing Users table:', e);
+    }
+}
+
+// Initialize the recycle bin (called on server start, after the Users table)
+// Every RECYCLE_BIN table gains deletedAt, deletedBy and deletedByName; rows without them are not deleted.
+async function initializeRecycleBin() {
+    try {
+        for (const { table } of Object.values(RECYCLE_BIN)) {
+            await ensureColumn(table, 'deletedAt', 'deletedAt DATETIME, ADD INDEX idx_deleted_at (deletedAt)');
+            await ensureColumn(table, 'deletedBy', 'deletedBy INT');
+            await ensureColumn(table, 'deletedByName', 'deletedByName VARCHAR(50)');
+        }
+        console.log('✅ Recycle bin initialized');
+    } catch (e) {
+        console.error('❌ Error initializing recycle bin:', e);
+    }
+}
+
+// Give personnel and equipment rows the updatedAt their ETags are made from (called on server start)
+async function initializeRowVersions() {
+    try {
+        for (const table of VERSIONED_TABLES) {
+            await ensureColumn(table, 'updatedAt', 'updatedAt TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3) ON UPDATE CURRENT_TIMESTAMP(3)');
+        }
+        console.log('✅ Row versions initialized');
+    } catch (e) {
+        console.error('❌ Error initializing row versions:', e);
+    }
+}
+
+// Initialize UserScopes table (called on server start)
+async function initializeUserScopesTable() {
+    try {
+        await runSql(`
+            CREATE TABLE IF NOT EXISTS UserScopes (
+                userID INT NOT NULL,
+                scopeType ENUM('regiment', 'location') NOT NULL,
+                scopeValue VARCHAR(100) NOT NULL,
+                PRIMARY KEY (userID, scopeType, scopeValue),
+                FOREIGN KEY (userID) REFERENCES Users(userID) ON DELETE CASCADE
+            )
+        `);
+        console.log('✅ UserScopes table initialized');
+    } catch (e) {
+        console.error('❌ Error initializing UserScopes table:', e);
+    }
+}
+
+// Initialize EquipmentAssignment table (called on server start)
+// Custody held before the table existed, or changed outside the API, is brought in line with Logistics.assignedTo.
+async function initializeEquipmentAssignmentTable() {
+    try {
+        await runSql(`
+            CREATE TABLE IF NOT EXISTS EquipmentAssignment (
+                assignmentID INT AUTO_INCREMENT PRIMARY KEY,
+                equipmentID CHAR(12) NOT NULL,
+                serviceID CHAR(8) NOT NULL,
+                fromDate DATE NOT NULL,
+                toDate DATE,
+                issuedBy INT,
+                issuedByName VARCHAR(50),
+                handoverNote VARCHAR(500),
+                returnedBy INT,
+                returnedByName VARCHAR(50),
+                returnNote VARCHAR(500),
+                createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                INDEX idx_assignment_equipment (equipmentID, toDate),
+                INDEX idx_assignment_service (serviceID),
+                FOREIGN KEY (equipmentID) REFERENCES Logistics(equipmentID) ON DELETE CASCADE
+            )
+        `);
+        await runSql(`
+            UPDATE EquipmentAssignment ea
+            LEFT JOIN Logistics l ON l.equipmentID = ea.equipmentID
+            SET ea.toDate = CURDATE(), ea.returnNote = 'Closed on startup: no longer the recorded holder'
+            WHERE ea.toDate IS NULL AND (l.assignedTo IS NULL OR l.assignedTo <> ea.serviceID)
+        `);
+        await runSql(`
+            INSERT INTO EquipmentAssignment (equipmentID, serviceID, fromDate, handoverNote)
+            SELECT l.equipmentID, l.assignedTo, CURDATE(), 'Recorded on startup: existing holder'
+            FROM Logistics l
+            WHERE l.assignedTo IS NOT NULL
+              AND NOT EXISTS (SELECT 1 FROM EquipmentAssignment ea WHERE ea.equipmentID = l.equipmentID AND ea.toDate IS NULL)
+        `);
+        console.log('✅ EquipmentAssignment table initialized');
+    } catch (e) {
+        console.error('❌ Error initializing EquipmentAssignment table:', e);
+    }
+}
+
+// Adds `column` to a table created before it existed; `definition` is the column
+// definition and may carry further ALTER clauses such as a foreign key.
+async function ensureColumn(table, column, definition) {
+    const existing = await getSql(
+        `SELECT 1 AS present FROM information_schema.COLUMNS
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+        [table, column]
+    );
+    if (!existing) await runSql(`ALTER TABLE ${table} ADD COLUMN ${definition}`);
+}
+
+// Initialize Units and Locations tables (called on server start)
+// Personnel and equipment gain unitID/locationID; every regiment and location name
+// already in use becomes a unit (of type regiment, with no parent) or a location.
+async function initializeUnitsTables() {
+    try {
+        await runSql(`
+            CREATE TABLE IF NOT EXISTS Units (
+                unitID INT AUTO_INCREMENT PRIMARY KEY,
+                name VARCHAR(100) NOT NULL UNIQUE,
+                unitType ENUM('command', 'division', 'brigade', 'regiment') NOT NULL,
+                parentID INT,
+                createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (parentID) REFERENCES Units(unitID)
+            )
+        `);
+        await runSql(`
+            CREATE TABLE IF NOT EXISTS Locations (
+                locationID INT AUTO_INCREMENT PRIMARY KEY,
+                name VARCHAR(100) NOT NULL UNIQUE,
+                unitID INT,
+                createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (unitID) REFERENCES Units(unitID)
+            )
+        `);
+
+        await ensureColumn('ServingPersonnel', 'unitID', 'unitID INT, ADD FOREIGN KEY (unitID) REFERENCES Units(unitID)');
+        await ensureColumn('RetiredPersonnel', 'unitID', 'unitID INT, ADD FOREIGN KEY (unitID) REFERENCES Units(unitID)');
+        await ensureColumn('Logistics', 'locationID', 'locationID INT, ADD FOREIGN KEY (locationID) REFERENCES Locations(locationID)');
+
+        await runSql(`
+            INSERT IGNORE INTO Units (name, unitType)
+            SELECT regiment, 'regiment' FROM ServingPersonnel WHERE regiment IS NOT NULL
+            UNION SELECT regiment, 'regiment' FROM RetiredPersonnel WHERE regiment IS NOT NULL
+        `);
+        await runSql('INSERT IGNORE INTO Locations (name) SELECT DISTINCT location FROM Logistics');
+        await runSql('UPDATE ServingPersonnel sp INNER JOIN Units u ON u.name = sp.regiment SET sp.unitID = u.unitID WHERE sp.unitID IS NULL');
+        await runSql('UPDATE RetiredPersonnel rp INNER JOIN Units u ON u.name = rp.regiment SET rp.unitID = u.unitID WHERE rp.unitID IS NULL');
+        await runSql('UPDATE Logistics l INNER JOIN Locations loc ON loc.name = l.location SET l.locationID = loc.locationID WHERE l.locationID IS NULL');
+        console.log('✅ Units and Locations tables initialized');
+    } catch (e) {
+        console.error('❌ Error initializing Units tables:', e);
+    }
+}
+
+// Initialize the Attachments table (called on server start)
+// Rows describe files held in attachmentStorage; ownerType/ownerID name the record.
+async function initializeAttachmentsTable() {
+    try {
+        await runSql(`
+            CREATE TABLE IF NOT EXISTS Attachments (
+                attachmentID INT AUTO_INCREMENT PRIMARY KEY,
+                ownerType ENUM('serving', 'retired', 'logistics') NOT NULL,
+                ownerID VARCHAR(12) NOT NULL,
+                category VARCHAR(20) NOT NULL,
+                fileName VARCHAR(255) NOT NULL,
+                mimeType VARCHAR(100) NOT NULL,
+                size INT NOT NULL,
+                sha256 CHAR(64) NOT NULL,
+                storageKey CHAR(36) NOT NULL UNIQUE,
+                uploadedBy INT,
+                uploadedByName VARCHAR(50),
+                createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                INDEX idx_attachments_owner (ownerType, ownerID)
+            )
+        `);
+        console.log('✅ Attachments table initialized');
+    } catch (e) {
+        console.error('❌ Error initializing Attachments table:', e);
+    }
+}
+
+// Initialize the Postings table (called on server start)
+// Serving members with no postings get one for their current regiment and posting type,
+// and orders that have come into effect are applied.
+async function initializePostingsTable() {
+    try {
+        await runSql(`
+            CREATE TABLE IF NOT EXISTS Postings (
+                postingID INT AUTO_INCREMENT PRIMARY KEY,
+                serviceID CHAR(8) NOT NULL,
+                regiment VARCHAR(100),
+                unitID INT,
+                location VARCHAR(100),
+                postingType CHAR(1) NOT NULL CHECK (postingType IN ('F', 'H', 'T')),
+                fromDate DATE NOT NULL,
+                toDate DATE,
+                note VARCHAR(500),
+                orderedBy INT,
+                orderedByName VARCHAR(50),
+                createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                INDEX idx_postings_service (serviceID, fromDate),
+                INDEX idx_postings_open (toDate)
+            )
+        `);
+
+        await ensureColumn('Postings', 'unitID', 'unitID INT');
+        await runSql('UPDATE Postings p INNER JOIN Units u ON u.name = p.regiment SET p.unitID = u.unitID WHERE p.unitID IS NULL');
+
+        await runSql(`
+            INSERT INTO Postings (serviceID, regiment, unitID, postingType, fromDate, note)
+            SELECT sp.serviceID, sp.regiment, sp.unitID, sp.postingType, CURDATE(), 'Posting on record when posting history was introduced'
+            FROM ServingPersonnel sp
+            WHERE NOT EXISTS (SELECT 1 FROM Postings p WHERE p.serviceID = sp.serviceID)
+        `);
+        await applyPostings({});
+        console.log('✅ Postings table initialized');
+    } catch (e) {
+        console.error('❌ Error initializing Postings table:', e);
+    }
+}
+
+// Initialize Ranks and RankHistory tables and seed the canonical ranks (called on server start)
+// Serving members with no history get an entry for their current rank.
+async function initializeRanksTables() {
+    try {
+        await runSql(`
+            CREATE TABLE IF NOT EXISTS Ranks (
+                rankCode VARCHAR(9) PRIMARY KEY,
+                title VARCHAR(50) NOT NULL,
+                seniority INT NOT NULL UNIQUE,
+                navyEquivalent VARCHAR(50),
+                airForceEquivalent VARCHAR(50),
+                payScale INT CHECK (payScale > 0)
+            )
+        `);
+        await runSql(`
+            CREATE TABLE IF NOT EXISTS RankHistory (
+                historyID INT AUTO_INCREMENT PRIMARY KEY,
+                serviceID CHAR(8) NOT NULL,
+                fromRank VARCHAR(9),
+                toRank VARCHAR(9) NOT NULL,
+                effectiveDate DATE NOT NULL,
+                oldSalary INT,
+                newSalary INT,
+                note VARCHAR(500),
+                authorizedBy INT,
+                authorizedByName VARCHAR(50),
+                createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                INDEX idx_rank_history_service (serviceID, effectiveDate)
+            )
+        `);
+
+        for (const [i, rank] of DEFAULT_RANKS.entries()) {
+            await runSql(
+                'INSERT IGNORE INTO Ranks (rankCode, title, seniority, navyEquivalent, airForceEquivalent, payScale) VALUES (?, ?, ?, ?, ?, ?)',
+                [rank.rankCode, rank.title, i + 1, rank.navyEquivalent, rank.airForceEquivalent, rank.payScale]
+            );
+        }
+
+        await runSql(`
+            INSERT INTO RankHistory (serviceID, toRank, effectiveDate, newSalary, note)
+            SELECT sp.serviceID, sp.currRank, CURDATE(), sp.salary, 'Rank on record when rank history was introduced'
+            FROM ServingPersonnel sp
+            WHERE NOT EXISTS (SELECT 1 FROM RankHistory rh WHERE rh.serviceID = sp.serviceID)
+        `);
+        console.log('✅ Ranks and RankHistory tables initialized');
+    } catch (e) {
+        console.error('❌ Error initializing Ranks tables:', e);
+    }
+}
+
+// Initialize RetirementRules (called on server start, after Ranks)
+// Every rank gets its superannuation age and DEFAULT_PENSION_RULE; personnel gain a
+// commissionDate, left empty on existing records, which pensions count service from.
+async function initializeRetirementTables() {
+    try {
+        await runSql(`
+            CREATE TABLE IF NOT EXISTS RetirementRules (
+                rankCode VARCHAR(9) PRIMARY KEY,
+                retirementAge INT NOT NULL CHECK (retirementAge BETWEEN 18 AND ${SERVING_AGE_LIMIT}),
+                minServiceYears INT NOT NULL CHECK (minServiceYears >= 0),
+                fullServiceYears INT NOT NULL CHECK (fullServiceYears > 0),
+                ratePercent DECIMAL(5,2) NOT NULL CHECK (ratePercent > 0 AND ratePercent <= 100),
+                minimumPension INT NOT NULL DEFAULT 0 CHECK (minimumPension >= 0),
+                updatedAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                FOREIGN KEY (rankCode) REFERENCES Ranks(rankCode) ON DELETE CASCADE
+            )
+        `);
+        await ensureColumn('ServingPersonnel', 'commissionDate', 'commissionDate DATE');
+        await ensureColumn('RetiredPersonnel', 'commissionDate', 'commissionDate DATE');
+
+        const { minServiceYears, fullServiceYears, ratePercent, minimumPension } = DEFAULT_PENSION_RULE;
+        for (const rank of DEFAULT_RANKS) {
+            await runSql(
+                'INSERT IGNORE INTO RetirementRules (rankCode, retirementAge, minServiceYears, fullServiceYears, ratePercent, minimumPension) VALUES (?, ?, ?, ?, ?, ?)',
+                [rank.rankCode, rank.retirementAge, minServiceYears, fullServiceYears, ratePercent, minimumPension]
+            );
+        }
+        console.log('✅ RetirementRules table initialized');
+        await checkSuperannuation();
+    } catch (e) {
+        console.error('❌ Error initializing RetirementRules table:', e);
+    }
+}
+
+// Initialize MaintenancePlans and WorkOrders tables (called on server start)
+async function initializeMaintenanceTables() {
+    try {
+        await runSql(`
+            CREATE TABLE IF NOT EXISTS MaintenancePlans (
+                planID INT AUTO_INCREMENT PRIMARY KEY,
+                logisticsType VARCHAR(50) NOT NULL,
+                name VARCHAR(100) NOT NULL,
+                intervalDays INT NOT NULL CHECK (intervalDays > 0),
+                description VARCHAR(500),
+                createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE KEY uq_plan_type_name (logisticsType, name)
+            )
+        `);
+        await runSql(`
+            CREATE TABLE IF NOT EXISTS WorkOrders (
+                workOrderID INT AUTO_INCREMENT PRIMARY KEY,
+                equipmentID CHAR(12) NOT NULL,
+                planID INT,
+                status ENUM('open', 'in_progress', 'completed', 'cancelled') NOT NULL DEFAULT 'open',
+                scheduledDate DATE,
+                startedDate DATE,
+                completedDate DATE,
+                notes VARCHAR(500),
+                createdBy INT,
+                createdByName VARCHAR(50),
+                createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                INDEX idx_workorder_equipment (equipmentID, status),
+                FOREIGN KEY (equipmentID) REFERENCES Logistics(equipmentID) ON DELETE CASCADE,
+                FOREIGN KEY (planID) REFERENCES MaintenancePlans(planID) ON DELETE SET NULL
+            )
+        `);
+        console.log('✅ MaintenancePlans and WorkOrders tables initialized');
+    } catch (e) {
+        console.error('❌ Error initializing maintenance tables:', e);
+    }
+}
+
+// Initialize AuditLog table (called on server start)
+async function initializeAuditLogTable() {
+    try {
+        await runSql(`
+            CREATE TABLE IF NOT EXISTS AuditLog (
+                auditID BIGINT AUTO_INCREMENT PRIMARY KEY,
+                userID INT,
+                username VARCHAR(50),
+                entity VARCHAR(50) NOT NULL,
+                entityKey VARCHAR(50) NOT NULL,
+                action VARCHAR(20) NOT NULL,
+                beforeData JSON,
+                afterData JSON,
+                createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                INDEX idx_audit_entity (entity, entityKey),
+                INDEX idx_audit_user (userID),
+                INDEX idx_audit_created (createdAt)
+            )
+        `);
+        console.log('✅ AuditLog table initialized');
+    } catch (e) {
+        console.error('❌ Error initializing AuditLog table:', e);
+    }
+}
+
+// Register route
+// An invite code activates the account at once with the invite's role; otherwise it waits
+// for approval (REGISTRATION_MODE=invite refuses registrations without a code).
+app.post('/api/auth/register', async (req, res) => {
+    try {
+        const { username, password, inviteCode } = req.body;
+
+        // Input validation
+        if (!username || !password) {
+            return res.status(400).json({ error: 'Username and password are required' });
+        }
+
+        if (typeof username !== 'string' || typeof password !== 'string' || (inviteCode && typeof inviteCode !== 'string')) {
+            return res.status(400).json({ error: 'Invalid input format' });
+        }
+
+        if (username.length < 3 || username.length > 50) {
+            return res.status(400).json({ error: 'Username must be 3 to 50 characters' });
+        }
+
+        assertPasswordPolicy(password, username);
+
+        if (REGISTRATION_MODE === 'invite' && !inviteCode) {
+            return res.status(400).json({ error: 'An invite code is required to register' });
+        }
+
+        await assertIpNotThrottled(req, 'register', LOGIN_POLICY.registrationsPerIp);
+
+        // Check if username already exists
+        const existingUser = await getSql('SELECT userID FROM Users WHERE username = ?', [username]);
+        if (existingUser) {
+            await recordAuthAttempt(req, 'register', { username, success: false, reason: 'username_taken' });
+            return res.status(409).json({ error: 'Username already exists' });
+        }
+
+        const invite = inviteCode ? await getSql(
+            `SELECT i.inviteID, i.role FROM Invites i INNER JOIN Roles r ON r.roleName = i.role
+             WHERE i.codeHash = ? AND i.usedAt IS NULL AND i.revokedAt IS NULL AND i.expiresAt > NOW()`,
+            [hashToken(inviteCode.trim())]
+        ) : null;
+        if (inviteCode && !invite) {
+            await recordAuthAttempt(req, 'register', { username, success: false, reason: 'bad_invite' });
+            return res.status(400).json({ error: 'Invite code is invalid or has expired' });
+        }
+
+        // Hash password
+        const hashedPassword = await bcrypt.hash(password, 10);
+
+        // Insert new user: invited users get the invite's role, everyone else 'user' pending approval
+        const status = invite ? 'active' : 'pending';
+        const userID = await withTransaction(async (conn) => {
+            const result = await runSql(
+                'INSERT INTO Users (username, password, role, status) VALUES (?, ?, ?, ?)',
+                [username, hashedPassword, invite ? invite.role : 'user', status],
+                conn
+            );
+            if (invite) {
+                const used = await auditedRunSql(req, 'Invites', invite.inviteID, 'update', 'UPDATE Invites SET usedAt = NOW(), usedBy = ? WHERE inviteID = ? AND usedAt IS NULL', [result.insertId, invite.inviteID], conn);
+                if (used.affectedRows === 0) throw httpError(400, 'Invite code is invalid or has expired');
+            }
+            return result.insertId;
+        });
+        await recordAuthAttempt(req, 'register', { username, userID, success: true, reason: invite ? 'invited' : 'pending' });
+
+        res.json({
+            success: true,
+            status,
+            message: invite
+                ? 'Registration successful. Please login.'
+                : 'Registration received. An administrator must approve your account before you can login.'
+        });
+    } catch (e) {
+        console.error(e);
+        if (e.status) {
+            if (e.details) res.set('Retry-After', String(e.details.retryAfter));
+            return res.status(e.status).json({ error: e.message, ...e.details });
+        }
+        if (e.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ error: 'Username already exists' });
+        }
+        res.status(500).json({ error: 'Server error during registration' });
+    }
+});
+
+// Password rules for new passwords, so the registration form can show them
+app.get('/api/auth/password-policy', (req, res) => {
+    res.json({ ...PASSWORD_POLICY, registration: REGISTRATION_MODE });
+});
+
+// Login route
+// Throttled per IP address and per account (see LOGIN_POLICY); every attempt is recorded in AuthAttempts.
+app.post('/api/auth/login', async (req, res) => {
+    try {
+        const { username, password } = req.body;
+
+        // Input validation
+        if (!username || !password) {
+            return res.status(400).json({ error: 'Username and password are required' });
+        }
+
+        if (typeof username !== 'string' || typeof password !== 'string') {
+            return res.status(400).json({ error: 'Invalid input format' });
+        }
+
+        await assertIpNotThrottled(req, 'login', LOGIN_POLICY.maxFailuresPerIp);
+
+        // Find user in database
+        const user = await getSql(loginUserSql('username = ?'), [username]);
+
+        if (!user) {
+            await recordAuthAttempt(req, 'login', { username, success: false, reason: 'unknown_user' });
+            return res.status(401).json({ error: 'Invalid credentials' });
+        }
+
+        // A locked account is refused without checking the password
+        if (await refuseLockedLogin(req, res, user)) return;
+
+        // Verify password
+        const isValidPassword = await bcrypt.compare(password, user.password);
+
+        if (!isValidPassword) {
+            await recordFailedLogin(req, user, 'bad_password');
+            return res.status(401).json({ error: 'Invalid credentials' });
+        }
+
+        if (user.status === 'pending') {
+            await recordAuthAttempt(req, 'login', { username, userID: user.userID, success: false, reason: 'pending' });
+            return res.status(403).json({ error: 'Your account is waiting for administrator approval' });
+        }
+
+        // With two-factor authentication the session only starts after /api/auth/login/2fa;
+        // failed logins are only cleared then, so the code cannot be guessed without lockout
+        if (user.totpEnabledAt) {
+            return res.json({
+                success: true,
+                twoFactorRequired: true,
+                challengeToken: jwt.sign({ userID: user.userID, purpose: 'login-2fa' }, JWT_SECRET, { expiresIn: TOTP.challengeTtl }),
+                username: user.username
+            });
+        }
+
+        await completeLogin(req, res, user);
+    } catch (e) {
+        console.error(e);
+        if (e.status) {
+            if (e.details) res.set('Retry-After', String(e.details.retryAfter));
+            return res.status(e.status).json({ error: e.message, ...e.details });
+        }
+        res.status(500).json({ error: 'Server error during login' });
+    }
+});
+
+// Second login step for accounts with two-factor authentication: the `challengeToken` from
+// /api/auth/login and a `code` from the authenticator app, or an unused recovery code
+app.post('/api/auth/login/2fa', async (req, res) => {
+    try {
+        const { challengeToken, code } = req.body;
+
+        if (!challengeToken || !code) {
+            return res.status(400).json({ error: 'Challenge token and code are required' });
+        }
+
+        if (typeof challengeToken !== 'string' || typeof code !== 'string') {
+            return res.status(400).json({ error: 'Invalid input format' });
+        }
+
+        await assertIpNotThrottled(req, 'login', LOGIN_POLICY.maxFailuresPerIp);
+
+        let payload = null;
+        try {
+            payload = jwt.verify(challengeToken, JWT_SECRET);
+        } catch (err) {
+            // Expired or forged; refused below
+        }
+        const user = payload && payload.purpose === 'login-2fa'
+            ? await getSql(loginUserSql('userID = ?'), [payload.userID])
+            : null;
+        if (!user || !user.totpEnabledAt || user.status !== 'active') {
+            return res.status(401).json({ error: 'Login has expired. Please login again.' });
+        }
+
+        if (await refuseLockedLogin(req, res, user)) return;
+
+        const factor = await verifySecondFactor(user, code);
+        if (!factor) {
+            await recordFailedLogin(req, user, 'bad_2fa');
+            return res.status(401).json({ error: 'Invalid code' });
+        }
+
+        await completeLogin(req, res, user, factor === 'recovery' ? 'recovery_code' : 'ok');
+    } catch (e) {
+        console.error(e);
+        if (e.status) {
+            if (e.details) res.set('Retry-After', String(e.details.retryAfter));
+            return res.status(e.status).json({ error: e.message, ...e.details });
+        }
+        res.status(500).json({ error: 'Server error during login' });
+    }
+});
+
+// Refresh route - exchanges a refresh token for a new access token and a new refresh token
+app.post('/api/auth/refresh', async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+
+        if (!refreshToken || typeof refreshToken !== 'string') {
+            return res.status(400).json({ error: 'Refresh token is required' });
+        }
+
+        const hash = hashToken(refreshToken);
+        const session = await getSql(
+            `SELECT s.sessionID, s.refreshTokenHash, s.revokedAt, s.expiresAt, u.userID, u.username, u.role
+             FROM UserSessions s
+             INNER JOIN Users u ON u.userID = s.userID
+             WHERE s.refreshTokenHash = ? OR s.previousTokenHash = ?`,
+            [hash, hash]
+        );
+
+        if (!session) {
+            return res.status(401).json({ error: 'Invalid refresh token' });
+        }
+
+        if (session.revokedAt || new Date(session.expiresAt) <= new Date()) {
+            return res.status(401).json({ error: 'Session has ended. Please login again.' });
+        }
+
+        // A token that was already rotated is being replayed: treat it as stolen and end the session
+        if (session.refreshTokenHash !== hash) {
+            await runSql('UPDATE UserSessions SET revokedAt = NOW() WHERE sessionID = ?', [session.sessionID]);
+            return res.status(401).json({ error: 'Refresh token reuse detected. Please login again.' });
+        }
+
+        const nextToken = crypto.randomBytes(48).toString('base64url');
+        const result = await runSql(
+            'UPDATE UserSessions SET refreshTokenHash = ?, previousTokenHash = ?, lastUsedAt = NOW() WHERE sessionID = ? AND refreshTokenHash = ?',
+            [hashToken(nextToken), hash, session.sessionID, hash]
+        );
+        if (result.affectedRows === 0) {
+            return res.status(401).json({ error: 'Invalid refresh token' });
+        }
+
+        res.json({
+            success: true,
+            token: signAccessToken(session, session.sessionID),
+            refreshToken: nextToken,
+            expiresIn: ACCESS_TOKEN_TTL,
+            role: session.role,
+            permissions: await rolePermissions(session.role),
+            username: session.username
+        });
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: 'Server error during token refresh' });
+    }
+});
+
+// Logout route - ends the session of the given refresh token (or every session of its user with `all: true`)
+app.post('/api/auth/logout', async (req, res) => {
+    try {
+        const { refreshToken, all } = req.body;
+
+        if (!refreshToken || typeof refreshToken !== 'string') {
+            return res.status(400).json({ error: 'Refresh token is required' });
+        }
+
+        const session = await getSql(
+            'SELECT sessionID, userID FROM UserSessions WHERE refreshTokenHash = ? AND revokedAt IS NULL',
+            [hashToken(refreshToken)]
+        );
+
+        if (session) {
+            if (all) {
+                await revokeUserSessions(session.userID);
+            } else {
+                await runSql('UPDATE UserSessions SET revokedAt = NOW() WHERE sessionID = ?', [session.sessionID]);
+            }
+        }
+
+        res.json({ success: true, message: 'Logged out' });
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: 'Server error during logout' });
+    }
+});
+
+// Current user - returns the signed-in user's role, permissions and scopes, when their password expires
+// and whether they use (or must set up) two-factor authentication
+app.get('/api/auth/me', authenticateToken, (req, res) => {
+    const { userID, username, role, permissions, scopes, passwordExpiresAt, passwordChangeReason: changeReason } = req.user;
+    const { twoFactorEnabled, twoFactorRequired, twoFactorSetupRequired } = req.user;
+    res.json({
+        userID, username, role, permissions, scopes, passwordExpiresAt,
+        passwordChangeRequired: Boolean(changeReason),
+        passwordChangeReason: changeReason,
+        twoFactorEnabled, twoFactorRequired, twoFactorSetupRequired
+    });
+});
+
+// Change password - the signed-in user's, given the current one.
+// Ends the user's other sessions; this one stays signed in.
+app.post('/api/auth/change-password', authenticateToken, async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+
+        if (!currentPassword || !newPassword) {
+            return res.status(400).json({ error: 'Current and new password are required' });
+        }
+
+        if (typeof currentPassword !== 'string' || typeof newPassword !== 'string') {
+            return res.status(400).json({ error: 'Invalid input format' });
+        }
+
+        const { userID, username } = req.user;
+        const user = await assertCurrentPassword(req, currentPassword);
+
+        assertPasswordPolicy(newPassword, username);
+        if (await bcrypt.compare(newPassword, user.password)) {
+            return res.status(400).json({ error: 'The new password must differ from the current one' });
+        }
+
+        const hashedPassword = await bcrypt.hash(newPassword, 10);
+        await withTransaction(async (conn) => {
+            await runSql(
+                `UPDATE Users SET password = ?, passwordChangedAt = NOW(), mustChangePassword = FALSE,
+                        resetTokenHash = NULL, resetTokenExpires = NULL
+                 WHERE userID = ?`,
+                [hashedPassword, userID],
+                conn
+            );
+            await runSql('UPDATE UserSessions SET revokedAt = NOW() WHERE userID = ? AND sessionID <> ? AND revokedAt IS NULL', [userID, req.user.sessionID], conn);
+        });
+        await recordAuthAttempt(req, 'password', { username, userID, success: true, reason: 'changed' });
+
+        res.json({ success: true, message: 'Password changed successfully' });
+    } catch (e) {
+        console.error(e);
+        if (e.status) {
+            if (e.details) res.set('Retry-After', String(e.details.retryAfter));
+            return res.status(e.status).json({ error: e.message, ...e.details });
+        }
+        res.status(500).json({ error: 'Server error during password change' });
+    }
+});
+
+// Reset password - sets a new password with the one-time code from an administrator's reset
+// (POST /api/users/:userId/reset-password). Ends every session of the user.
+app.post('/api/auth/reset-password', async (req, res) => {
+    try {
+        const { username, resetToken, newPassword } = req.body;
+
+        if (!username || !resetToken || !newPassword) {
+            return res.status(400).json({ error: 'Username, reset code and new password are required' });
+        }
+
+        if (typeof username !== 'string' || typeof resetToken !== 'string' || typeof newPassword !== 'string') {
+            return res.status(400).json({ error: 'Invalid input format' });
+        }
+
+        await assertIpNotThrottled(req, 'password', LOGIN_POLICY.maxFailuresPerIp);
+        assertPasswordPolicy(newPassword, username);
+
+        const tokenHash = hashToken(resetToken.trim());
+        const user = await getSql(
+            'SELECT userID FROM Users WHERE username = ? AND resetTokenHash = ? AND resetTokenExpires > NOW() AND deletedAt IS NULL',
+            [username, tokenHash]
+        );
+        if (!user) {
+            await recordAuthAttempt(req, 'password', { username, success: false, reason: 'bad_token' });
+            return res.status(400).json({ error: 'Reset code is invalid or has expired' });
+        }
+
+        // The code is cleared in the same statement, so it can only be used once
+        const hashedPassword = await bcrypt.hash(newPassword, 10);
+        const used = await withTransaction(async (conn) => {
+            const result = await runSql(
+                `UPDATE Users SET password = ?, passwordChangedAt = NOW(), mustChangePassword = FALSE,
+                        resetTokenHash = NULL, resetTokenExpires = NULL, failedLogins = 0, lockedUntil = NULL
+                 WHERE userID = ? AND resetTokenHash = ?`,
+                [hashedPassword, user.userID, tokenHash],
+                conn
+            );
+            if (result.affectedRows) await revokeUserSessions(user.userID, conn);
+            return result.affectedRows > 0;
+        });
+        if (!used) {
+            return res.status(400).json({ error: 'Reset code is invalid or has expired' });
+        }
+        await recordAuthAttempt(req, 'password', { username, userID: user.userID, success: true, reason: 'reset' });
+
+        res.json({ success: true, message: 'Password set. Please login with your new password.' });
+    } catch (e) {
+        console.error(e);
+        if (e.status) {
+            if (e.details) res.set('Retry-After', String(e.details.retryAfter));
+            return res.status(e.status).json({ error: e.message, ...e.details });
+        }
+        res.status(500).json({ error: 'Server error during password reset' });
+    }
+});
+
+// Two-factor status of the signed-in user
+app.get('/api/auth/2fa', authenticateToken, async (req, res) => {
+    try {
+        const row = await getSql(
+            `SELECT totpEnabledAt,
+                    (SELECT COUNT(*) FROM RecoveryCodes c WHERE c.userID = Users.userID AND c.usedAt IS NULL) AS recoveryCodesLeft
+             FROM Users WHERE userID = ?`,
+            [req.user.userID]
+        );
+        res.json({
+            enabled: Boolean(row.totpEnabledAt),
+            enabledAt: row.totpEnabledAt,
+            required: req.user.twoFactorRequired,
+            recoveryCodesLeft: row.recoveryCodesLeft
+        });
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Start enrolling in two-factor authentication: a new secret, its otpauth:// URL and a QR code
+// of it for authenticator apps. Nothing changes until /api/auth/2fa/enable confirms a code.
+app.post('/api/auth/2fa/setup', authenticateToken, async (req, res) => {
+    try {
+        if (req.user.twoFactorEnabled) {
+            return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+        }
+
+        const secret = base32Encode(crypto.randomBytes(20));
+        await runSql('UPDATE Users SET totpPendingSecret = ? WHERE userID = ?', [sealSecret(secret), req.user.userID]);
+
+        const label = encodeURIComponent(`${TOTP.issuer}:${req.user.username}`);
+        const otpauthUrl = `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(TOTP.issuer)}&algorithm=SHA1&digits=6&period=${TOTP.periodSeconds}`;
+        res.json({ secret, otpauthUrl, qrCode: await QRCode.toDataURL(otpauthUrl) });
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Finish enrolling with a `code` from the authenticator app; returns the recovery codes, shown once
+app.post('/api/auth/2fa/enable', authenticateToken, async (req, res) => {
+    try {
+        const { code } = req.body;
+
+        if (typeof code !== 'string' || !/^\d{6}$/.test(code.trim())) {
+            return res.status(400).json({ error: 'Enter the 6-digit code from your authenticator app' });
+        }
+
+        const { userID } = req.user;
+        const user = await getSql('SELECT totpPendingSecret, totpEnabledAt FROM Users WHERE userID = ?', [userID]);
+        if (user.totpEnabledAt) {
+            return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+        }
+        if (!user.totpPendingSecret) {
+            return res.status(400).json({ error: 'Start the two-factor setup first' });
+        }
+
+        const step = matchTotp(openSecret(user.totpPendingSecret), code.trim());
+        if (step === null) {
+            return res.status(400).json({ error: 'The code does not match; check the time on your device and try again' });
+        }
+
+        const recoveryCodes = await withTransaction(async (conn) => {
+            // A concurrent request may have enabled it since the check above; only one issues codes
+            const result = await auditedRunSql(
+                req, 'Users', userID, 'update',
+                `UPDATE Users SET totpSecret = totpPendingSecret, totpPendingSecret = NULL, totpEnabledAt = NOW(), totpLastStep = ?
+                 WHERE userID = ? AND totpEnabledAt IS NULL`,
+                [step, userID],
+                conn
+            );
+            if (result.affectedRows === 0) throw httpError(409, 'Two-factor authentication is already enabled');
+            return issueRecoveryCodes(userID, conn);
+        });
+
+        res.json({ success: true, recoveryCodes, message: 'Two-factor authentication enabled' });
+    } catch (e) {
+        console.error(e);
+        if (e.status) {
+            return res.status(e.status).json({ error: e.message, ...e.details });
+        }
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Turn two-factor authentication off, confirmed with the `password`; not when the role requires it
+app.post('/api/auth/2fa/disable', authenticateToken, async (req, res) => {
+    try {
+        const { userID } = req.user;
+        await assertCurrentPassword(req, req.body.password);
+
+        if (req.user.twoFactorRequired) {
+            return res.status(400).json({ error: 'Your role requires two-factor authentication' });
+        }
+        if (!req.user.twoFactorEnabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+        }
+
+        await withTransaction(async (conn) => {
+            await auditedRunSql(
+                req, 'Users', userID, 'update',
+                'UPDATE Users SET totpSecret = NULL, totpPendingSecret = NULL, totpEnabledAt = NULL, totpLastStep = NULL WHERE userID = ?',
+                [userID],
+                conn
+            );
+            await runSql('DELETE FROM RecoveryCodes WHERE userID = ?', [userID], conn);
+        });
+
+        res.json({ success: true, message: 'Two-factor authentication disabled' });
+    } catch (e) {
+        console.error(e);
+        if (e.status) {
+            if (e.details) res.set('Retry-After', String(e.details.retryAfter));
+            return res.status(e.status).json({ error: e.message, ...e.details });
+        }
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// New recovery codes, confirmed with the `password`; the old ones stop working
+app.post('/api/auth/2fa/recovery-codes', authenticateToken, async (req, res) => {
+    try {
+        await assertCurrentPassword(req, req.body.password);
+
+        if (!req.user.twoFactorEnabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+        }
+
+        const recoveryCodes = await withTransaction(conn => issueRecoveryCodes(req.user.userID, conn));
+        res.json({ success: true, recoveryCodes });
+    } catch (e) {
+        console.error(e);
+        if (e.status) {
+            if (e.details) res.set('Retry-After', String(e.details.retryAfter));
+            return res.status(e.status).json({ error: e.message, ...e.details });
+        }
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// --- 8. API ROUTES ---
+
+// ============================================
+// SERVING PERSONNEL ENDPOINTS
+// ============================================
+
+// Get all serving personnel with optional filters (Read - personnel:read; exports also need personnel:export)
+// Also accepts q (search), sort, order, page and pageSize, and deleted (include or only; needs personnel:delete)
+app.get('/api/personnel/serving', authenticateToken, requirePermission('personnel:read'), async (req, res) => {
+    try {
+        const { rank, regiment, postingType } = req.query;
+        let clauses = [];
+        let params = [];
+
+        if (rank) {
+            clauses.push('currRank = ?');
+            params.push(rank);
+        }
+        if (regiment) {
+            clauses.push('regiment = ?');
+            params.push(regiment);
+        }
+        if (postingType) {
+            clauses.push('postingType = ?');
+            params.push(postingType);
+        }
+        const unit = await unitFilter(req.query.unitId, 'unitID');
+        const scope = scopeFilter(req.user, 'regiment', 'regiment');
+        const deleted = deletedFilter(req.user, req.query, 'deletedAt', 'personnel:delete');
+
+        const { rows, meta } = await runListQuery(req.query, {
+            select: `*, ${versionSql('ServingPersonnel')} AS version`,
+            from: 'ServingPersonnel',
+            clauses: [...clauses, ...unit.clauses, ...scope.clauses, ...deleted.clauses],
+            params: [...params, ...unit.params, ...scope.params, ...deleted.params],
+            search: ['serviceID', 'firstName', 'lastName', 'currRank', 'regiment', 'skills', 'awards'],
+            sortable: visibleSortable(req.user, {
+                serviceID: 'serviceID', firstName: 'firstName', lastName: 'lastName', DOB: 'DOB', commissionDate: 'commissionDate', currRank: 'currRank',
+                regiment: 'regiment', salary: 'salary', postingType: 'postingType', awards: 'awards'
+            }),
+            defaultSort: 'serviceID'
+        });
+        await sendList(req, res, 'personnel', rows, 'serving', meta);
+    } catch (e) {
+        console.error(e);
+        if (e.status) {
+            return res.status(e.status).json({ error: e.message, ...e.details });
+        }
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Get specific serving personnel with their rank timeline (Read - personnel:read)
+app.get('/api/personnel/serving/:id', authenticateToken, requirePermission('personnel:read'), async (req, res) => {
+    try {
+        const id = req.params.id;
+        const row = await getVersioned('serving', id);
+        if (!row || !inScope(req.user, 'regiment', row.regiment)) return res.status(404).json({ error: 'Personnel not found' });
+        const { rows: [personnel], masked } = maskRows(req.user, [row]);
+        setVersion(res, row.version);
+        res.json({ personnel, masked, rankHistory: await rankTimeline(req.user, id), postings: await postingTimeline(id) });
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Add new serving personnel (Create - personnel:create)
+app.post('/api/personnel/serving', authenticateToken, requirePermission('personnel:create'), async (req, res) => {
+    try {
+        const data = assertValid('serving', req.body);
+        const { serviceID, firstName, lastName, DOB, commissionDate, currRank, regiment, salary, awards, skills, postingType, medical, healthPlan } = data;
+
+        await assertInScope(req.user, 'ServingPersonnel', serviceID, data);
+        await assertRank(currRank, 'currRank');
+        const unitID = await resolveUnitID(regiment);
+
+        await withTransaction(async (conn) => {
+            await auditedRunSql(req, 'ServingPersonnel', serviceID, 'create',
+                'INSERT INTO ServingPersonnel (serviceID, firstName, lastName, DOB, commissionDate, currRank, regiment, unitID, salary, awards, skills, postingType, medical, healthPlan) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+                [serviceID, firstName, lastName, DOB, commissionDate || null, currRank, regiment || null, unitID, salary, awards || null, skills || null, postingType, medical || null, healthPlan || null],
+                conn
+            );
+            await recordRankChange(req, serviceID, { toRank: currRank, newSalary: salary, note: 'Record created' }, conn);
+            await recordPosting(req, serviceID, { regiment: regiment || null, unitID, postingType, note: 'Record created' }, conn);
+        });
+
+        res.json({ success: true, serviceID });
+    } catch (e) {
+        console.error(e);
+        if (e.status) {
+            return res.status(e.status).json({ error: e.message, ...e.details });
+        }
+        if (e.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ error: 'Service ID already exists' });
+        }
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Update serving personnel (personnel:update)
+// Needs If-Match with the record's ETag; answers 409 with the current record if it changed.
+app.put('/api/personnel/serving/:id', authenticateToken, requirePermission('personnel:update'), async (req, res) => {
+    try {
+        const id = req.params.id;
+        const body = assertValid('serving', await keepHiddenFields(req.user, 'ServingPersonnel', id, req.body), { update: true });
+        const { firstName, lastName, DOB, commissionDate, currRank, regiment, salary, awards, skills, postingType, medical, healthPlan } = body;
+
+        await assertInScope(req.user, 'ServingPersonnel', id, body);
+
+        const version = await withTransaction(async (conn) => {
+            // Rank changes go through the promotion endpoint; a non-standard stored rank may be corrected here.
+            // Regiment and posting type follow the member's postings.
+            const stored = await assertVersion(req, 'serving', id, conn);
+            if ((stored.regiment || null) !== (regiment || null) || stored.postingType !== postingType) {
+                throw httpError(400, 'Use POST /api/personnel/serving/:id/transfer to change regiment or postingType');
+            }
+            const rankChanged = stored.currRank !== currRank;
+            if (rankChanged) {
+                const storedRank = await getSql('SELECT rankCode FROM Ranks WHERE rankCode = ?', [stored.currRank], conn);
+                if (storedRank) throw httpError(400, 'Use POST /api/personnel/serving/:id/promote to change currRank');
+                await assertRank(currRank, 'currRank', conn);
+            }
+
+            await auditedRunSql(req, 'ServingPersonnel', id, 'update',
+                'UPDATE ServingPersonnel SET firstName = ?, lastName = ?, DOB = ?, commissionDate = ?, currRank = ?, regiment = ?, salary = ?, awards = ?, skills = ?, postingType = ?, medical = ?, healthPlan = ? WHERE serviceID = ?',
+                [firstName, lastName, DOB, commissionDate || null, currRank, regiment || null, salary, awards || null, skills || null, postingType, medical || null, healthPlan || null, id],
+                conn
+            );
+            if (rankChanged) {
+                await recordRankChange(req, id, { fromRank: stored.currRank, toRank: currRank, note: 'Corrected from a non-standard rank' }, conn);
+            }
+            return (await getVersioned('serving', id, conn)).version;
+        });
+
+        setVersion(res, version);
+        res.json({ success: true, version, message: 'Personnel updated successfully' });
+    } catch (e) {
+        console.error(e);
+        if (e.status) {
+            return res.status(e.status).json({ error: e.message, ...e.details });
+        }
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Delete serving personnel (personnel:delete)
+// The record goes to the recycle bin; equipment they hold stays assigned to them until it is purged.
+app.delete('/api/personnel/serving/:id', authenticateToken, requirePermission('personnel:delete'), async (req, res) => {
+    try {
+        const id = req.params.id;
+        await assertInScope(req.user, 'ServingPersonnel', id);
+        await softDelete(req, 'serving', id);
+        res.json({ success: true, message: 'Personnel deleted successfully' });
+    } catch (e) {
+        console.error(e);
+        if (e.status) {
+            return res.status(e.status).json({ error: e.message, ...e.details });
+        }
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Pension a serving member would draw on retiring (Read - personnel:read and personnel:sensitive)
+// ?retirementDate= defaults to today. Computed from their rank's retirement rule, salary and
+// completed years since commissionDate; `pension` is null if they are short of the minimum service.
+app.get('/api/personnel/serving/:id/pension', authenticateToken, requirePermission('personnel:read', 'personnel:sensitive'), async (req, res) => {
+    try {
+        const retirementDate = req.query.retirementDate ? normaliseDate(req.query.retirementDate) : null;
+        if (req.query.retirementDate && !retirementDate) {
+            throw fieldError('retirementDate', 'retirementDate must be a valid date (YYYY-MM-DD)');
+        }
+        await assertInScope(req.user, 'ServingPersonnel', req.params.id);
+        res.json(await computePension(req.params.id, retirementDate));
+    } catch (e) {
+        console.error(e);
+        if (e.status) {
+            return res.status(e.status).json({ error: e.message, ...e.details });
+        }
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Retire serving personnel (personnel:update and personnel:delete)
+// Copies the record into RetiredPersonnel, releases or reassigns their equipment
+// and removes the serving record, all in one transaction. Without a `pension` in the
+// body, the one computed from their rank's retirement rule is stored. The retired record
+// is checked against the 'retired' field schema before anything changes.
+app.post('/api/personnel/serving/:id/retire', authenticateToken, requirePermission('personnel:update', 'personnel:delete'), async (req, res) => {
+    try {
+        const id = req.params.id;
+        const reassignments = req.body.reassignments === undefined || req.body.reassignments === null ? {} : req.body.reassignments;
+        const pensionGiven = ![undefined, null, ''].includes(req.body.pension);
+
+        if (typeof reassignments !== 'object' || Array.isArray(reassignments)
+            || Object.values(reassignments).some(target => target !== null && typeof target !== 'string')) {
+            throw fieldError('reassignments', 'reassignments must be an object mapping equipmentID to serviceID');
+        }
+
+        const result = await withTransaction(async (conn) => {
+            const person = await getSql('SELECT * FROM ServingPersonnel WHERE serviceID = ? AND deletedAt IS NULL FOR UPDATE', [id], conn);
+            if (!person || !inScope(req.user, 'regiment', person.regiment)) throw httpError(404, 'Personnel not found');
+
+            // The retired record as it will be stored: currRank becomes lastRank; awards, skills and healthPlan carry over
+            const record = assertValid('retired', {
+                serviceID: id,
+                firstName: person.firstName,
+                lastName: person.lastName,
+                DOB: person.DOB,
+                commissionDate: person.commissionDate,
+                lastRank: person.currRank,
+                regiment: person.regiment,
+                retirementDate: req.body.retirementDate,
+                pension: req.body.pension,
+                awards: person.awards,
+                skills: person.skills,
+                healthPlan: person.healthPlan
+            }, pensionGiven ? {} : { skip: ['pension'] });
+            const { retirementDate } = record;
+
+            const retired = await getSql('SELECT deletedAt FROM RetiredPersonnel WHERE serviceID = ?', [id], conn);
+            if (retired) {
+                throw httpError(409, retired.deletedAt
+                    ? 'Service ID is in the recycle bin as retired personnel; restore or purge it first'
+                    : 'Service ID already exists in retired personnel');
+            }
+
+            if (!pensionGiven) {
+                const computed = await computePension(id, retirementDate, conn);
+                if (!computed.eligible) {
+                    throw httpError(400, `${id} has ${computed.serviceYears} years of service, short of the ${computed.rule.minServiceYears} a pension needs; enter the pension explicitly`);
+                }
+                record.pension = computed.pension;
+            }
+
+            const equipment = await allSql(
+                'SELECT equipmentID FROM Logistics WHERE assignedTo = ? ORDER BY equipmentID FOR UPDATE',
+                [id],
+                conn
+            );
+            const heldIds = equipment.map(e => e.equipmentID);
+
+            const unknown = Object.keys(reassignments).filter(eqId => !heldIds.includes(eqId));
+            if (unknown.length) {
+                throw httpError(400, `Equipment not assigned to ${id}: ${unknown.join(', ')}`);
+            }
+
+            const released = [];
+            const reassigned = [];
+            for (const equipmentID of heldIds) {
+                const target = reassignments[equipmentID];
+                if (!target) {
+                    await auditedRunSql(req, 'Logistics', equipmentID, 'update', 'UPDATE Logistics SET assignedTo = NULL WHERE equipmentID = ?', [equipmentID], conn);
+                    await recordCustody(req, equipmentID, null, { date: retirementDate, note: `Returned on retirement of ${id}` }, conn);
+                    released.push(equipmentID);
+                    continue;
+                }
+
+                if (target === id) {
+                    throw httpError(400, `Cannot reassign ${equipmentID} to the retiring member`);
+                }
+                try {
+                    await assertAssignable(req.user, target, conn);
+                } catch (e) {
+                    if (e.status) e.message = `Cannot reassign ${equipmentID}: ${e.message}`;
+                    throw e;
+                }
+
+                await auditedRunSql(req, 'Logistics', equipmentID, 'update', 'UPDATE Logistics SET assignedTo = ? WHERE equipmentID = ?', [target, equipmentID], conn);
+                await recordCustody(req, equipmentID, target, { date: retirementDate, note: `Reassigned on retirement of ${id}` }, conn);
+                reassigned.push({ equipmentID, assignedTo: target });
+            }
+
+            await endPostings(req, id, retirementDate, conn);
+            const attachments = await allSql("SELECT attachmentID FROM Attachments WHERE ownerType = 'serving' AND ownerID = ?", [id], conn);
+            for (const { attachmentID } of attachments) {
+                await auditedRunSql(req, 'Attachments', attachmentID, 'update', "UPDATE Attachments SET ownerType = 'retired' WHERE attachmentID = ?", [attachmentID], conn);
+            }
+
+            await auditedRunSql(req, 'RetiredPersonnel', id, 'create',
+                `INSERT INTO RetiredPersonnel (serviceID, firstName, lastName, DOB, commissionDate, lastRank, regiment, unitID, retirementDate, pension, awards, skills, healthPlan)
+                 SELECT serviceID, firstName, lastName, DOB, commissionDate, currRank, regiment, unitID, ?, ?, awards, skills, healthPlan
+                 FROM ServingPersonnel WHERE serviceID = ?`,
+                [retirementDate, record.pension, id],
+                conn
+            );
+            await auditedRunSql(req, 'ServingPersonnel', id, 'delete', 'DELETE FROM ServingPersonnel WHERE serviceID = ?', [id], conn);
+
+            return { pension: record.pension, released, reassigned };
+        });
+
+        res.json({
+            success: true,
+            serviceID: id,
+            ...result,
+            pension: hasPermission(req.user, 'personnel:sensitive') ? result.pension : null,
+            message: 'Personnel retired successfully'
+        });
+    } catch (e) {
+        console.error(e);
+        if (e.status) {
+            return res.status(e.status).json({ error: e.message, ...e.details });
+        }
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Promote serving personnel one rank up (personnel:update)
+// Body: toRank, effectiveDate (defaults to today; not in the future), note, and either applyPayScale
+// (raise salary to the new rank's pay scale) or salary (an explicit new salary; needs personnel:sensitive)
+app.post('/api/personnel/serving/:id/promote', authenticateToken, requirePermission('personnel:update'), async (req, res) => {
+    try {
+        const id = req.params.id;
+        const { toRank, note, applyPayScale, salary } = req.body;
+        const effectiveDate = req.body.effectiveDate ? normaliseDate(req.body.effectiveDate) : null;
+
+        if (!toRank) {
+            return res.status(400).json({ error: 'Missing required fields' });
+        }
+        if (req.body.effectiveDate && !effectiveDate) {
+            throw fieldError('effectiveDate', 'effectiveDate must be a valid date (YYYY-MM-DD)');
+        }
+        if (salary !== undefined && salary !== null && salary !== '') {
+            if (!hasPermission(req.user, 'personnel:sensitive')) {
+                return res.status(403).json({ error: 'Setting salary requires personnel:sensitive' });
+            }
+            if (!(Number(salary) > 0)) {
+                return res.status(400).json({ error: 'Salary must be greater than 0' });
+            }
+        }
+
+        const result = await withTransaction(async (conn) => {
+            const person = await getSql('SELECT currRank, regiment, salary FROM ServingPersonnel WHERE serviceID = ? AND deletedAt IS NULL FOR UPDATE', [id], conn);
+            if (!person || !inScope(req.user, 'regiment', person.regiment)) throw httpError(404, 'Personnel not found');
+
+            // The new rank and pay apply as soon as the promotion is recorded, so it cannot be dated ahead
+            const { future } = await getSql('SELECT ? > CURDATE() AS future', [effectiveDate], conn);
+            if (future) throw fieldError('effectiveDate', 'effectiveDate cannot be in the future');
+
+            const current = await getSql('SELECT * FROM Ranks WHERE rankCode = ?', [person.currRank], conn);
+            if (!current) throw httpError(409, `Current rank ${person.currRank} is not a recognised rank; correct it before promoting`);
+            const target = await assertRank(toRank, 'toRank', conn);
+            if (target.seniority !== current.seniority + 1) {
+                const next = await getSql('SELECT rankCode FROM Ranks WHERE seniority = ?', [current.seniority + 1], conn);
+                throw httpError(400, next
+                    ? `${person.currRank} can only be promoted to ${next.rankCode}`
+                    : `${person.currRank} is the most senior rank`);
+            }
+
+            const latest = await getSql(
+                'SELECT historyID FROM RankHistory WHERE serviceID = ? AND effectiveDate > COALESCE(?, CURDATE()) LIMIT 1',
+                [id, effectiveDate || null],
+                conn
+            );
+            if (latest) throw httpError(400, 'effectiveDate is before the latest rank change');
+
+            let newSalary = person.salary;
+            if (salary !== undefined && salary !== null && salary !== '') {
+                newSalary = Number(salary);
+            } else if (applyPayScale && target.payScale) {
+                newSalary = Math.max(person.salary, target.payScale);
+            }
+
+            await auditedRunSql(req, 'ServingPersonnel', id, 'update',
+                'UPDATE ServingPersonnel SET currRank = ?, salary = ? WHERE serviceID = ?',
+                [target.rankCode, newSalary, id],
+                conn
+            );
+            await recordRankChange(req, id, {
+                fromRank: person.currRank,
+                toRank: target.rankCode,
+                effectiveDate: effectiveDate || null,
+                oldSalary: person.salary,
+                newSalary,
+                note: note || null
+            }, conn);
+
+            return { fromRank: person.currRank, toRank: target.rankCode, salaryChanged: newSalary !== person.salary };
+        });
+
+        res.json({ success: true, serviceID: id, ...result, message: 'Personnel promoted successfully' });
+    } catch (e) {
+        console.error(e);
+        if (e.status) {
+            return res.status(e.status).json({ error: e.message, ...e.details });
+        }
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Issue a transfer order for serving personnel (personnel:update)
+// Body: regiment, postingType, optional location, effectiveDate (defaults to today; not
+// before the latest posting) and note. Orders dated ahead take effect on their day.
+app.post('/api/personnel/serving/:id/transfer', authenticateToken, requirePermission('personnel:update'), async (req, res) => {
+    try {
+        const id = req.params.id;
+        const { regiment, location, postingType, note } = req.body;
+        const effectiveDate = req.body.effectiveDate ? normaliseDate(req.body.effectiveDate) : null;
+
+        if (!regiment || !postingType) {
+            return res.status(400).json({ error: 'Missing required fields' });
+        }
+        if (req.body.effectiveDate && !effectiveDate) {
+            throw fieldError('effectiveDate', 'effectiveDate must be a valid date (YYYY-MM-DD)');
+        }
+        assertPostingType(postingType);
+        await assertInScope(req.user, 'ServingPersonnel', id, { regiment });
+        const unitID = await resolveUnitID(regiment);
+
+        const result = await withTransaction(async (conn) => {
+            const person = await getSql('SELECT serviceID, regiment FROM ServingPersonnel WHERE serviceID = ? AND deletedAt IS NULL FOR UPDATE', [id], conn);
+            if (!person || !inScope(req.user, 'regiment', person.regiment)) throw httpError(404, 'Personnel not found');
+
+            const latest = await getSql(
+                'SELECT *, fromDate > COALESCE(?, CURDATE()) AS later FROM Postings WHERE serviceID = ? ORDER BY fromDate DESC, postingID DESC LIMIT 1',
+                [effectiveDate, id],
+                conn
+            );
+            if (latest && latest.later) throw httpError(400, 'effectiveDate is before the latest posting order');
+            if (latest && latest.regiment === regiment && (latest.location || null) === (location || null) && latest.postingType === postingType) {
+                throw httpError(409, `${id} already has this posting`);
+            }
+            await assertTenure(id, postingType, effectiveDate, conn);
+
+            const postingID = await recordPosting(req, id, {
+                regiment,
+                unitID,
+                location: location || null,
+                postingType,
+                effectiveDate,
+                note: note || null
+            }, conn);
+            const { pending } = await getSql('SELECT COALESCE(?, CURDATE()) > CURDATE() AS pending', [effectiveDate], conn);
+            if (!pending) await applyPostings(req, id, conn);
+            return { postingID, pending: Boolean(pending) };
+        });
+
+        res.json({ success: true, serviceID: id, ...result, message: result.pending ? 'Transfer order issued' : 'Personnel transferred successfully' });
+    } catch (e) {
+        console.error(e);
+        if (e.status) {
+            return res.status(e.status).json({ error: e.message, ...e.details });
+        }
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// ============================================
+// RETIRED PERSONNEL ENDPOINTS
+// ============================================
+
+// Get all retired personnel (Read - personnel:read; exports also need personnel:export)
+// Accepts q (search), sort, order, page and pageSize, and deleted (include or only; needs personnel:delete)
+app.get('/api/personnel/retired', authenticateToken, requirePermission('personnel:read'), async (req, res) => {
+    try {
+        const unit = await unitFilter(req.query.unitId, 'unitID');
+        const scope = scopeFilter(req.user, 'regiment', 'regiment');
+        const deleted = deletedFilter(req.user, req.query, 'deletedAt', 'personnel:delete');
+        const { rows, meta } = await runListQuery(req.query, {
+            select: `*, ${versionSql('RetiredPersonnel')} AS version`,
+            from: 'RetiredPersonnel',
+            clauses: [...unit.clauses, ...scope.clauses, ...deleted.clauses],
+            params: [...unit.params, ...scope.params, ...deleted.params],
+            search: ['serviceID', 'firstName', 'lastName', 'lastRank', 'regiment', 'skills', 'awards'],
+            sortable: visibleSortable(req.user, {
+                serviceID: 'serviceID', firstName: 'firstName', lastName: 'lastName', DOB: 'DOB', commissionDate: 'commissionDate', lastRank: 'lastRank',
+                regiment: 'regiment', retirementDate: 'retirementDate', pension: 'pension', awards: 'awards'
+            }),
+            defaultSort: 'retirementDate',
+            defaultOrder: 'DESC'
+        });
+        await sendList(req, res, 'personnel', rows, 'retired', meta);
+    } catch (e) {
+        console.error(e);
+        if (e.status) {
+            return res.status(e.status).json({ error: e.message, ...e.details });
+        }
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Get specific retired personnel with their rank timeline (Read - personnel:read)
+app.get('/api/personnel/retired/:id', authenticateToken, requirePermission('personnel:read'), async (req, res) => {
+    try {
+        const id = req.params.id;
+        const row = await getVersioned('retired', id);
+        if (!row || !inScope(req.user, 'regiment', row.regiment)) return res.status(404).json({ error: 'Personnel not found' });
+        const { rows: [personnel], masked } = maskRows(req.user, [row]);
+        setVersion(res, row.version);
+        res.json({ personnel, masked, rankHistory: await rankTimeline(req.user, id), postings: await postingTimeline(id) });
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Add new retired personnel (Create - personnel:create)
+app.post('/api/personnel/retired', authenticateToken, requirePermission('personnel:create'), async (req, res) => {
+    try {
+        const data = assertValid('retired', req.body);
+        const { serviceID, firstName, lastName, DOB, commissionDate, lastRank, regiment, retirementDate, pension, awards, skills, healthPlan } = data;
+
+        await assertInScope(req.user, 'RetiredPersonnel', serviceID, data);
+        await assertRank(lastRank, 'lastRank');
+        const unitID = await resolveUnitID(regiment);
+
+        await auditedRunSql(req, 'RetiredPersonnel', serviceID, 'create',
+            'INSERT INTO RetiredPersonnel (serviceID, firstName, lastName, DOB, commissionDate, lastRank, regiment, unitID, retirementDate, pension, awards, skills, healthPlan) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+            [serviceID, firstName, lastName, DOB, commissionDate || null, lastRank, regiment || null, unitID, retirementDate, pension, awards || null, skills || null, healthPlan || null]
+        );
+
+        res.json({ success: true, serviceID });
+    } catch (e) {
+        console.error(e);
+        if (e.status) {
+            return res.status(e.status).json({ error: e.message, ...e.details });
+        }
+        if (e.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ error: 'Service ID already exists' });
+        }
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Update retired personnel (personnel:update)
+// Needs If-Match with the record's ETag; answers 409 with the current record if it changed.
+app.put('/api/personnel/retired/:id', authenticateToken, requirePermission('personnel:update'), async (req, res) => {
+    try {
+        const id = req.params.id;
+        const body = assertValid('retired', await keepHiddenFields(req.user, 'RetiredPersonnel', id, req.body), { update: true });
+        const { firstName, lastName, DOB, commissionDate, lastRank, regiment, retirementDate, pension, awards, skills, healthPlan } = body;
+
+        await assertInScope(req.user, 'RetiredPersonnel', id, body);
+        const unitID = await resolveUnitID(regiment);
+
+        const version = await withTransaction(async (conn) => {
+            const stored = await assertVersion(req, 'retired', id, conn);
+            if (stored.lastRank !== lastRank) await assertRank(lastRank, 'lastRank', conn);
+
+            await auditedRunSql(req, 'RetiredPersonnel', id, 'update',
+                'UPDATE RetiredPersonnel SET firstName = ?, lastName = ?, DOB = ?, commissionDate = ?, lastRank = ?, regiment = ?, unitID = ?, retirementDate = ?, pension = ?, awards = ?, skills = ?, healthPlan = ? WHERE serviceID = ?',
+                [firstName, lastName, DOB, commissionDate || null, lastRank, regiment || null, unitID, retirementDate, pension, awards || null, skills || null, healthPlan || null, id],
+                conn
+            );
+            return (await getVersioned('retired', id, conn)).version;
+        });
+
+        setVersion(res, version);
+        res.json({ success: true, version, message: 'Personnel updated successfully' });
+    } catch (e) {
+        console.error(e);
+        if (e.status) {
+            return res.status(e.status).json({ error: e.message, ...e.details });
+        }
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Delete retired personnel; the record goes to the recycle bin (personnel:delete)
+app.delete('/api/personnel/retired/:id', authenticateToken, requirePermission('personnel:delete'), async (req, res) => {
+    try {
+        const id = req.params.id;
+        await assertInScope(req.user, 'RetiredPersonnel', id);
+        await softDelete(req, 'retired', id);
+        res.json({ success: true, message: 'Personnel deleted successfully' });
+    } catch (e) {
+        console.error(e);
+        if (e.status) {
+            return res.status(e.status).json({ error: e.message, ...e.details });
+        }
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// ============================================
+// RANKS
+// ============================================
+
+// Canonical ranks, most junior first, with service-branch equivalents and pay scales (Read - personnel:read)
+app.get('/api/ranks', authenticateToken, requirePermission('personnel:read'), async (req, res) => {
+    try {
+        const ranks = await allSql('SELECT * FROM Ranks ORDER BY seniority');
+        if (!hasPermission(req.user, 'personnel:sensitive')) {
+            ranks.forEach(rank => { rank.payScale = null; });
+        }
+        res.json({ ranks });
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// ============================================
+// RETIREMENT
+// ============================================
+// Each rank's rule sets its superannuation age and how its pension is computed.
+
+// Retirement rules, most junior rank first (Read - personnel:read)
+app.get('/api/retirement-rules', authenticateToken, requirePermission('personnel:read'), async (req, res) => {
+    try {
+        const rules = await allSql(
+            `SELECT rr.*, r.title FROM RetirementRules rr
+             INNER JOIN Ranks r ON r.rankCode = rr.rankCode
+             ORDER BY r.seniority`
+        );
+        res.json({ rules: rules.map(rule => ({ ...rule, ratePercent: Number(rule.ratePercent) })), ageLimit: SERVING_AGE_LIMIT });
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Update a rank's retirement rule (personnel:update and personnel:sensitive)
+// Body: retirementAge (at most SERVING_AGE_LIMIT), minServiceYears, fullServiceYears, ratePercent, minimumPension
+app.put('/api/retirement-rules/:rankCode', authenticateToken, requirePermission('personnel:update', 'personnel:sensitive'), async (req, res) => {
+    try {
+        const rankCode = req.params.rankCode;
+        const retirementAge = Number(req.body.retirementAge);
+        const minServiceYears = Number(req.body.minServiceYears);
+        const fullServiceYears = Number(req.body.fullServiceYears);
+        const ratePercent = Number(req.body.ratePercent);
+        const minimumPension = Number(req.body.minimumPension || 0);
+
+        if (!Number.isInteger(retirementAge) || retirementAge < 18 || retirementAge > SERVING_AGE_LIMIT) {
+            return res.status(400).json({ error: `retirementAge must be a whole number from 18 to ${SERVING_AGE_LIMIT}` });
+        }
+        if (!Number.isInteger(fullServiceYears) || fullServiceYears < 1) {
+            return res.status(400).json({ error: 'fullServiceYears must be a whole number of at least 1' });
+        }
+        if (!Number.isInteger(minServiceYears) || minServiceYears < 0 || minServiceYears > fullServiceYears) {
+            return res.status(400).json({ error: 'minServiceYears must be a whole number from 0 to fullServiceYears' });
+        }
+        if (!(ratePercent > 0 && ratePercent <= 100)) {
+            return res.status(400).json({ error: 'ratePercent must be greater than 0 and at most 100' });
+        }
+        if (!Number.isInteger(minimumPension) || minimumPension < 0) {
+            return res.status(400).json({ error: 'minimumPension must be a whole number of at least 0' });
+        }
+
+        const result = await auditedRunSql(req, 'RetirementRules', rankCode, 'update',
+            'UPDATE RetirementRules SET retirementAge = ?, minServiceYears = ?, fullServiceYears = ?, ratePercent = ?, minimumPension = ? WHERE rankCode = ?',
+            [retirementAge, minServiceYears, fullServiceYears, ratePercent, minimumPension, rankCode]
+        );
+        if (result.affectedRows === 0) return res.status(404).json({ error: 'Rank not found' });
+
+        res.json({ success: true, message: 'Retirement rule updated successfully' });
+    } catch (e) {
+        console.error(e);
+        if (e.status) {
+            return res.status(e.status).json({ error: e.message, ...e.details });
+        }
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Serving personnel reaching their rank's superannuation age (Read - personnel:read and personnel:sensitive)
+// ?months= (default SUPERANNUATION_NOTICE_MONTHS) sets how far ahead to look; members already
+// past it are included with `overdue`. ?unitId= rolls up a unit; only the caller's regiments are listed.
+app.get('/api/retirements/due', authenticateToken, requirePermission('personnel:read', 'personnel:sensitive'), async (req, res) => {
+    try {
+        const months = Math.min(Math.max(parseInt(req.query.months, 10) || SUPERANNUATION_NOTICE_MONTHS, 0), 120);
+        const due = await superannuationDue(months, [
+            await unitFilter(req.query.unitId, 'sp.unitID'),
+            scopeFilter(req.user, 'regiment', 'sp.regiment')
+        ]);
+        res.json({ months, due });
+    } catch (e) {
+        console.error(e);
+        if (e.status) {
+            return res.status(e.status).json({ error: e.message, ...e.details });
+        }
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// ============================================
+// UNITS & LOCATIONS (ORDER OF BATTLE)
+// ============================================
+
+// List units with their parent and locations (Read - units:read)
+app.get('/api/units', authenticateToken, requirePermission('units:read'), async (req, res) => {
+    try {
+        const units = await allSql(
+            `SELECT u.*, p.name AS parentName,
+                (SELECT GROUP_CONCAT(loc.name ORDER BY loc.name SEPARATOR ', ') FROM Locations loc WHERE loc.unitID = u.unitID) AS locations
+             FROM Units u
+             LEFT JOIN Units p ON p.unitID = u.parentID
+             ORDER BY FIELD(u.unitType, ${UNIT_TYPES.map(() => '?').join(', ')}), u.name`,
+            UNIT_TYPES
+        );
+        res.json({ units, unitTypes: UNIT_TYPES });
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// The order of battle as a tree, with strength and equipment rolled up at every node (Read - units:read)
+// Each node has `own` counts (personnel of the unit, equipment at its locations) and
+// `total` counts including everything below it. ?rootId= returns just that branch.
+// Only personnel and equipment in the caller's scope are counted.
+app.get('/api/units/tree', authenticateToken, requirePermission('units:read'), async (req, res) => {
+    try {
+        const personnelScope = scopeFilter(req.user, 'regiment', 'regiment');
+        const equipmentScope = scopeFilter(req.user, 'location', 'l.location');
+        const where = clauses => clauses.map(c => ' AND ' + c).join('');
+
+        const units = await allSql('SELECT unitID, name, unitType, parentID FROM Units ORDER BY name');
+        const locations = await allSql('SELECT locationID, name, unitID FROM Locations WHERE unitID IS NOT NULL ORDER BY name');
+        const serving = await allSql(
+            `SELECT unitID, COUNT(*) AS n FROM ServingPersonnel WHERE unitID IS NOT NULL AND deletedAt IS NULL${where(personnelScope.clauses)} GROUP BY unitID`,
+            personnelScope.params
+        );
+        const retired = await allSql(
+            `SELECT unitID, COUNT(*) AS n FROM RetiredPersonnel WHERE unitID IS NOT NULL AND deletedAt IS NULL${where(personnelScope.clauses)} GROUP BY unitID`,
+            personnelScope.params
+        );
+        const equipment = await allSql(
+            `SELECT loc.unitID, l.logisticsType, COUNT(*) AS n
+             FROM Logistics l INNER JOIN Locations loc ON loc.locationID = l.locationID
+             WHERE loc.unitID IS NOT NULL AND l.deletedAt IS NULL${where(equipmentScope.clauses)}
+             GROUP BY loc.unitID, l.logisticsType`,
+            equipmentScope.params
+        );
+
+        const counts = () => ({ serving: 0, retired: 0, equipment: 0, equipmentByType: {} });
+        const nodes = new Map(units.map(u => [u.unitID, { ...u, locations: [], own: counts(), total: counts(), children: [] }]));
+        locations.forEach(loc => nodes.get(loc.unitID).locations.push(loc.name));
+        serving.forEach(row => { nodes.get(row.unitID).own.serving = row.n; });
+        retired.forEach(row => { nodes.get(row.unitID).own.retired = row.n; });
+        equipment.forEach(row => {
+            const own = nodes.get(row.unitID).own;
+            own.equipment += row.n;
+            own.equipmentByType[row.logisticsType] = row.n;
+        });
+
+        const roots = [];
+        for (const node of nodes.values()) {
+            const parent = nodes.get(node.parentID);
+            if (parent) parent.children.push(node);
+            else roots.push(node);
+        }
+
+        // Children are always a lower echelon, so this cannot recurse forever
+        const rollUp = (node) => {
+            const total = node.total;
+            const add = (counts) => {
+                total.serving += counts.serving;
+                total.retired += counts.retired;
+                total.equipment += counts.equipment;
+                for (const [type, n] of Object.entries(counts.equipmentByType)) {
+                    total.equipmentByType[type] = (total.equipmentByType[type] || 0) + n;
+                }
+            };
+            add(node.own);
+            node.children.forEach(child => add(rollUp(child)));
+            return total;
+        };
+        roots.forEach(rollUp);
+
+        if (req.query.rootId) {
+            const root = nodes.get(Number(req.query.rootId));
+            if (!root) return res.status(404).json({ error: 'Unit not found' });
+            return res.json({ tree: [root] });
+        }
+        res.json({ tree: roots });
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * Unit fields from a request body: name, unitType and an optional parentID.
+ */
+function unitValues(body) {
+    return {
+        name: typeof body.name === 'string' ? body.name.trim() : '',
+        unitType: body.unitType,
+        parentID: body.parentID ? Number(body.parentID) : null
+    };
+}
+
+// Add a unit (units:create)
+// Body: name, unitType (command, division, brigade or regiment), optional parentID of a higher echelon
+app.post('/api/units', authenticateToken, requirePermission('units:create'), async (req, res) => {
+    try {
+        const { name, unitType, parentID } = unitValues(req.body);
+        if (!name || !unitType) {
+            return res.status(400).json({ error: 'Missing required fields' });
+        }
+
+        const unitID = await withTransaction(async (conn) => {
+            await assertUnitPlacement(unitType, parentID, null, conn);
+            const result = await runSql('INSERT INTO Units (name, unitType, parentID) VALUES (?, ?, ?)', [name, unitType, parentID], conn);
+            await recordAudit(req, 'Units', result.insertId, 'create', null, await snapshotRow('Units', result.insertId, conn), conn);
+            return result.insertId;
+        });
+
+        res.json({ success: true, unitID });
+    } catch (e) {
+        console.error(e);
+        if (e.status) {
+            return res.status(e.status).json({ error: e.message, ...e.details });
+        }
+        if (e.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ error: 'A unit with this name already exists' });
+        }
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Update a unit (units:update)
+// A rename is carried to the regiment names held by personnel, postings and access scopes.
+app.put('/api/units/:unitId', authenticateToken, requirePermission('units:update'), async (req, res) => {
+    try {
+        const unitId = Number(req.params.unitId);
+        const { name, unitType, parentID } = unitValues(req.body);
+        if (!name || !unitType) {
+            return res.status(400).json({ error: 'Missing required fields' });
+        }
+
+        await withTransaction(async (conn) => {
+            const unit = await getSql('SELECT name FROM Units WHERE unitID = ? FOR UPDATE', [unitId], conn);
+            if (!unit) throw httpError(404, 'Unit not found');
+            if (parentID === unitId) throw httpError(400, 'A unit cannot be its own parent');
+            await assertUnitPlacement(unitType, parentID, unitId, conn);
+
+            await auditedRunSql(req, 'Units', unitId, 'update',
+                'UPDATE Units SET name = ?, unitType = ?, parentID = ? WHERE unitID = ?',
+                [name, unitType, parentID, unitId],
+                conn
+            );
+            if (unit.name !== name) {
+                await renameScopeValue(req, 'regiment', unitId, unit.name, name, conn);
+                const postings = await allSql('SELECT postingID FROM Postings WHERE unitID = ?', [unitId], conn);
+                for (const { postingID } of postings) {
+                    await auditedRunSql(req, 'Postings', postingID, 'update', 'UPDATE Postings SET regiment = ? WHERE postingID = ?', [name, postingID], conn);
+                }
+            }
+        });
+
+        res.json({ success: true, message: 'Unit updated successfully' });
+    } catch (e) {
+        console.error(e);
+        if (e.status) {
+            return res.status(e.status).json({ error: e.message, ...e.details });
+        }
+        if (e.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ error: 'A unit with this name already exists' });
+        }
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Delete a unit (units:delete)
+// Refused while it has sub-units, locations or personnel, counting personnel in the recycle bin.
+app.delete('/api/units/:unitId', authenticateToken, requirePermission('units:delete'), async (req, res) => {
+    try {
+        const unitId = req.params.unitId;
+
+        await withTransaction(async (conn) => {
+            const usage = await getSql(
+                `SELECT (SELECT COUNT(*) FROM Units WHERE parentID = ?) AS children,
+                        (SELECT COUNT(*) FROM Locations WHERE unitID = ?) AS locations,
+                        (SELECT COUNT(*) FROM ServingPersonnel WHERE unitID = ?) + (SELECT COUNT(*) FROM RetiredPersonnel WHERE unitID = ?) AS personnel`,
+                [unitId, unitId, unitId, unitId],
+                conn
+            );
+            const blocking = Object.entries(usage).filter(([, n]) => n > 0).map(([what, n]) => `${n} ${what}`);
+            if (blocking.length) throw httpError(409, `Unit still has ${blocking.join(', ')}`);
+
+            const result = await auditedRunSql(req, 'Units', unitId, 'delete', 'DELETE FROM Units WHERE unitID = ?', [unitId], conn);
+            if (result.affectedRows === 0) throw httpError(404, 'Unit not found');
+        });
+
+        res.json({ success: true, message: 'Unit deleted successfully' });
+    } catch (e) {
+        console.error(e);
+        if (e.status) {
+            return res.status(e.status).json({ error: e.message, ...e.details });
+        }
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// List locations with the unit they belong to and how much equipment is there (Read - units:read)
+app.get('/api/locations', authenticateToken, requirePermission('units:read'), async (req, res) => {
+    try {
+        const scope = scopeFilter(req.user, 'location', 'l.location');
+        const locations = await allSql(
+            `SELECT loc.*, u.name AS unitName,
+                (SELECT COUNT(*) FROM Logistics l WHERE l.locationID = loc.locationID AND l.deletedAt IS NULL${scope.clauses.map(c => ' AND ' + c).join('')}) AS equipment
+             FROM Locations loc
+             LEFT JOIN Units u ON u.unitID = loc.unitID
+             ORDER BY loc.name`,
+            scope.params
+        );
+        res.json({ locations });
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * Location fields from a request body: name and the optional unitID it belongs to.
+ */
+async function locationValues(body, db) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    const unitID = body.unitID ? Number(body.unitID) : null;
+    if (unitID && !await getSql('SELECT unitID FROM Units WHERE unitID = ?', [unitID], db)) {
+        throw httpError(400, `Unit ${unitID} not found`);
+    }
+    return { name, unitID };
+}
+
+// Add a location (units:create)
+// Body: name, optional unitID of the unit it belongs to
+app.post('/api/locations', authenticateToken, requirePermission('units:create'), async (req, res) => {
+    try {
+        const locationID = await withTransaction(async (conn) => {
+            const { name, unitID } = await locationValues(req.body, conn);
+            if (!name) throw httpError(400, 'Missing required fields');
+            const result = await runSql('INSERT INTO Locations (name, unitID) VALUES (?, ?)', [name, unitID], conn);
+            await recordAudit(req, 'Locations', result.insertId, 'create', null, await snapshotRow('Locations', result.insertId, conn), conn);
+            return result.insertId;
+        });
+
+        res.json({ success: true, locationID });
+    } catch (e) {
+        console.error(e);
+        if (e.status) {
+            return res.status(e.status).json({ error: e.message, ...e.details });
+        }
+        if (e.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ error: 'A location with this name already exists' });
+        }
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Update a location (units:update)
+// A rename is carried to equipment location names and access scopes.
+app.put('/api/locations/:locationId', authenticateToken, requirePermission('units:update'), async (req, res) => {
+    try {
+        const locationId = req.params.locationId;
+
+        await withTransaction(async (conn) => {
+            const { name, unitID } = await locationValues(req.body, conn);
+            if (!name) throw httpError(400, 'Missing required fields');
+            const location = await getSql('SELECT name FROM Locations WHERE locationID = ? FOR UPDATE', [locationId], conn);
+            if (!location) throw httpError(404, 'Location not found');
+
+            await auditedRunSql(req, 'Locations', locationId, 'update',
+                'UPDATE Locations SET name = ?, unitID = ? WHERE locationID = ?',
+                [name, unitID, locationId],
+                conn
+            );
+            if (location.name !== name) {
+                await renameScopeValue(req, 'location', locationId, location.name, name, conn);
+            }
+        });
+
+        res.json({ success: true, message: 'Location updated successfully' });
+    } catch (e) {
+        console.error(e);
+        if (e.status) {
+            return res.status(e.status).json({ error: e.message, ...e.details });
+        }
+        if (e.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ error: 'A location with this name already exists' });
+        }
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Delete a location (units:delete); refused while equipment is there, even in the recycle bin
+app.delete('/api/locations/:locationId', authenticateToken, requirePermission('units:delete'), async (req, res) => {
+    try {
+        const locationId = req.params.locationId;
+
+        await withTransaction(async (conn) => {
+            const used = await getSql('SELECT COUNT(*) AS n FROM Logistics WHERE locationID = ?', [locationId], conn);
+            if (used.n > 0) throw httpError(409, `Location still has ${used.n} equipment`);
+
+            const result = await auditedRunSql(req, 'Locations', locationId, 'delete', 'DELETE FROM Locations WHERE locationID = ?', [locationId], conn);
+            if (result.affectedRows === 0) throw httpError(404, 'Location not found');
+        });
+
+        res.json({ success: true, message: 'Location deleted successfully' });
+    } catch (e) {
+        console.error(e);
+        if (e.status) {
+            return res.status(e.status).json({ error: e.message, ...e.details });
+        }
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// ============================================
+// POSTINGS
+// ============================================
+
+// Serving personnel whose run of same-type postings reaches its tenure limit within
+// `months` months (default 6), most overdue first (Read - personnel:read)
+app.get('/api/postings/rotation-due', authenticateToken, requirePermission('personnel:read'), async (req, res) => {
+    try {
+        const months = Math.min(Math.max(parseInt(req.query.months, 10) || ROTATION_NOTICE_MONTHS, 0), 120);
+        const scope = scopeFilter(req.user, 'regiment', 'sp.regiment');
+
+        const due = await allSql(
+            `SELECT runs.*, rotationDue < CURDATE() AS overdue, TIMESTAMPDIFF(MONTH, tenureStart, CURDATE()) AS monthsServed FROM (
+                SELECT sp.serviceID, sp.firstName, sp.lastName, sp.currRank, p.regiment, p.location, p.postingType,
+                       ${tenureStartSql('p')} AS tenureStart, ${rotationDueSql('p')} AS rotationDue,
+                       (SELECT MIN(n.fromDate) FROM Postings n WHERE n.serviceID = p.serviceID AND n.fromDate > CURDATE()) AS pendingFrom
+                FROM ServingPersonnel sp
+                INNER JOIN Postings p ON p.serviceID = sp.serviceID AND ${activePostingSql('p')}
+                WHERE sp.deletedAt IS NULL${scope.clauses.map(c => ' AND ' + c).join('')}
+             ) runs
+             WHERE rotationDue <= CURDATE() + INTERVAL ? MONTH
+             ORDER BY rotationDue, serviceID`,
+            [...scope.params, months]
+        );
+
+        res.json({ months, limits: MAX_TENURE_MONTHS, due: due.map(row => ({ ...row, overdue: Boolean(row.overdue) })) });
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Cancel a transfer order that has not taken effect (personnel:update)
+// Only a member's latest order can be cancelled; the posting before it stays open.
+app.delete('/api/postings/:postingId', authenticateToken, requirePermission('personnel:update'), async (req, res) => {
+    try {
+        const postingId = req.params.postingId;
+
+        await withTransaction(async (conn) => {
+            const posting = await getSql('SELECT *, fromDate > CURDATE() AS pending FROM Postings WHERE postingID = ? FOR UPDATE', [postingId], conn);
+            if (!posting) throw httpError(404, 'Posting not found');
+            await assertInScope(req.user, 'ServingPersonnel', posting.serviceID, null, conn);
+            if (!posting.pending) throw httpError(409, 'Only orders that have not taken effect can be cancelled');
+
+            const later = await getSql(
+                'SELECT postingID FROM Postings WHERE serviceID = ? AND (fromDate > ? OR (fromDate = ? AND postingID > ?)) LIMIT 1',
+                [posting.serviceID, posting.fromDate, posting.fromDate, posting.postingID],
+                conn
+            );
+            if (later) throw httpError(409, 'Cancel the later order first');
+
+            await auditedRunSql(req, 'Postings', postingId, 'delete', 'DELETE FROM Postings WHERE postingID = ?', [postingId], conn);
+            const previous = await getSql(
+                'SELECT postingID FROM Postings WHERE serviceID = ? ORDER BY fromDate DESC, postingID DESC LIMIT 1',
+                [posting.serviceID],
+                conn
+            );
+            if (previous) {
+                await auditedRunSql(req, 'Postings', previous.postingID, 'update', 'UPDATE Postings SET toDate = NULL WHERE postingID = ?', [previous.postingID], conn);
+            }
+        });
+
+        res.json({ success: true, message: 'Transfer order cancelled' });
+    } catch (e) {
+        console.error(e);
+        if (e.status) {
+            return res.status(e.status).json({ error: e.message, ...e.details });
+        }
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// ============================================
+// LOGISTICS & EQUIPMENT ENDPOINTS
+// ============================================
+
+// Get all logistics equipment with optional filters (Read - equipment:read; exports also need equipment:export)
+// Also accepts readiness (operational, due, overdue, in-maintenance), q (search), sort, order, page and pageSize,
+// and deleted (include or only; needs equipment:delete)
+app.get('/api/logistics', authenticateToken, requirePermission('equipment:read'), async (req, res) => {
+    try {
+        const { type, location, assignedTo } = req.query;
+        let clauses = [];
+        let params = [];
+
+        if (type) {
+            clauses.push('logisticsType = ?');
+            params.push(type);
+        }
+        if (location) {
+            clauses.push('location = ?');
+            params.push(location);
+        }
+        if (assignedTo) {
+            clauses.push('assignedTo = ?');
+            params.push(assignedTo);
+        }
+        const readiness = readinessFilter(req.query, 'l');
+        const unit = await unitFilter(req.query.unitId, 'locationID', { viaLocation: true });
+        const scope = scopeFilter(req.user, 'location', 'location');
+        const deleted = deletedFilter(req.user, req.query, 'l.deletedAt', 'equipment:delete');
+
+        const { rows, meta } = await runListQuery(req.query, {
+            select: `l.*, ${versionSql('l')} AS version, ${readinessColumns('l')}`,
+            from: 'Logistics l',
+            clauses: [...clauses, ...readiness.clauses, ...unit.clauses, ...scope.clauses, ...deleted.clauses],
+            params: [...params, ...readiness.params, ...unit.params, ...scope.params, ...deleted.params],
+            search: ['equipmentID', 'logisticsType', 'tech', 'location', 'assignedTo'],
+            sortable: {
+                equipmentID: 'equipmentID', logisticsType: 'logisticsType', cost: 'cost', procurementDate: 'procurementDate',
+                tech: 'tech', location: 'location', assignedTo: 'assignedTo', readiness: 'readiness', nextMaintenance: 'nextMaintenance'
+            },
+            defaultSort: 'equipmentID'
+        });
+        await sendList(req, res, 'equipment', rows, 'logistics', meta);
+    } catch (e) {
+        console.error(e);
+        if (e.status) {
+            return res.status(e.status).json({ error: e.message, ...e.details });
+        }
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Get specific equipment (Read - equipment:read)
+app.get('/api/logistics/:id', authenticateToken, requirePermission('equipment:read'), async (req, res) => {
+    try {
+        const id = req.params.id;
+        const row = await getVersioned('logistics', id);
+        if (!row || !inScope(req.user, 'location', row.location)) return res.status(404).json({ error: 'Equipment not found' });
+        setVersion(res, row.version);
+        res.json({ equipment: row });
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Add new equipment (Create - equipment:create)
+app.post('/api/logistics', authenticateToken, requirePermission('equipment:create'), async (req, res) => {
+    try {
+        const data = assertValid('logistics', req.body);
+        const { equipmentID } = data;
+
+        await assertInScope(req.user, 'Logistics', equipmentID, data);
+
+        await withTransaction(conn => insertLogistics(req, data, conn));
+
+        res.json({ success: true, equipmentID });
+    } catch (e) {
+        console.error(e);
+        if (e.status) {
+            return res.status(e.status).json({ error: e.message, ...e.details });
+        }
+        if (e.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ error: 'Equipment ID already exists' });
+        }
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Update equipment (equipment:update)
+// Needs If-Match with the record's ETag; answers 409 with the current record if it changed.
+app.put('/api/logistics/:id', authenticateToken, requirePermission('equipment:update'), async (req, res) => {
+    try {
+        const id = req.params.id;
+        const data = assertValid('logistics', req.body, { update: true });
+
+        await assertInScope(req.user, 'Logistics', id, data);
+
+        const version = await withTransaction(async (conn) => {
+            await assertVersion(req, 'logistics', id, conn);
+            await updateLogistics(req, id, data, conn);
+            return (await getVersioned('logistics', id, conn)).version;
+        });
+
+        setVersion(res, version);
+        res.json({ success: true, version, message: 'Equipment updated successfully' });
+    } catch (e) {
+        console.error(e);
+        if (e.status) {
+            return res.status(e.status).json({ error: e.message, ...e.details });
+        }
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Delete equipment (equipment:delete)
+// It goes to the recycle bin with its Artillery, Ships or Jets row, and is restored with it.
+app.delete('/api/logistics/:id', authenticateToken, requirePermission('equipment:delete'), async (req, res) => {
+    try {
+        const id = req.params.id;
+        await assertInScope(req.user, 'Logistics', id);
+        await withTransaction(conn => softDelete(req, 'logistics', id, conn));
+        res.json({ success: true, message: 'Equipment deleted successfully' });
+    } catch (e) {
+        console.error(e);
+        if (e.status) {
+            return res.status(e.status).json({ error: e.message, ...e.details });
+        }
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+/**
+ * Locks a Logistics row for a custody change on `date` (YYYY-MM-DD, or null for today).
+ * Throws 404 for equipment outside the user's scope and 400 for a date earlier
+ * than the start of the current assignment.
+ */
+async function lockForCustody(user, equipmentID, date, db) {
+    const item = await getSql('SELECT location, assignedTo FROM Logistics WHERE equipmentID = ? AND deletedAt IS NULL FOR UPDATE', [equipmentID], db);
+    if (!item || !inScope(user, 'location', item.location)) throw httpError(404, 'Equipment not found');
+
+    const open = await getSql(
+        'SELECT assignmentID FROM EquipmentAssignment WHERE equipmentID = ? AND toDate IS NULL AND fromDate > COALESCE(?, CURDATE())',
+        [equipmentID, date],
+        db
+    );
+    if (open) throw httpError(400, 'date is before the start of the current assignment');
+    return item;
+}
+
+// Assign equipment to serving personnel, handing it over from any current holder (equipment:update)
+// Body: serviceID, date (defaults to today), note (handover note)
+app.post('/api/logistics/:id/assign', authenticateToken, requirePermission('equipment:update'), async (req, res) => {
+    try {
+        const id = req.params.id;
+        const { serviceID, note } = req.body;
+        const date = req.body.date ? normaliseDate(req.body.date) : null;
+
+        if (!serviceID) {
+            return res.status(400).json({ error: 'Missing required fields' });
+        }
+        if (req.body.date && !date) {
+            throw fieldError('date', 'date must be a valid date (YYYY-MM-DD)');
+        }
+
+        await withTransaction(async (conn) => {
+            const item = await lockForCustody(req.user, id, date, conn);
+            if (item.assignedTo === serviceID) throw httpError(409, `${id} is already assigned to ${serviceID}`);
+            await assertAssignable(req.user, serviceID, conn);
+
+            await auditedRunSql(req, 'Logistics', id, 'update', 'UPDATE Logistics SET assignedTo = ? WHERE equipmentID = ?', [serviceID, id], conn);
+            await recordCustody(req, id, serviceID, { date, note: note || null }, conn);
+        });
+
+        res.json({ success: true, equipmentID: id, assignedTo: serviceID, message: 'Equipment assigned successfully' });
+    } catch (e) {
+        console.error(e);
+        if (e.status) {
+            return res.status(e.status).json({ error: e.message, ...e.details });
+        }
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Return equipment from its current holder (equipment:update)
+// Body: date (defaults to today), note (return note)
+app.post('/api/logistics/:id/return', authenticateToken, requirePermission('equipment:update'), async (req, res) => {
+    try {
+        const id = req.params.id;
+        const { note } = req.body;
+        const date = req.body.date ? normaliseDate(req.body.date) : null;
+
+        if (req.body.date && !date) {
+            throw fieldError('date', 'date must be a valid date (YYYY-MM-DD)');
+        }
+
+        const returnedFrom = await withTransaction(async (conn) => {
+            const item = await lockForCustody(req.user, id, date, conn);
+            if (!item.assignedTo) throw httpError(409, `${id} is not assigned`);
+
+            await auditedRunSql(req, 'Logistics', id, 'update', 'UPDATE Logistics SET assignedTo = NULL WHERE equipmentID = ?', [id], conn);
+            await recordCustody(req, id, null, { date, note: note || null }, conn);
+            return item.assignedTo;
+        });
+
+        res.json({ success: true, equipmentID: id, returnedFrom, message: 'Equipment returned successfully' });
+    } catch (e) {
+        console.error(e);
+        if (e.status) {
+            return res.status(e.status).json({ error: e.message, ...e.details });
+        }
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Custody history of one item, newest first (Read - equipment:read)
+app.get('/api/logistics/:id/assignments', authenticateToken, requirePermission('equipment:read'), async (req, res) => {
+    try {
+        const id = req.params.id;
+        const item = await getSql('SELECT location FROM Logistics WHERE equipmentID = ? AND deletedAt IS NULL', [id]);
+        if (!item || !inScope(req.user, 'location', item.location)) return res.status(404).json({ error: 'Equipment not found' });
+
+        const rows = await allSql(
+            'SELECT * FROM EquipmentAssignment WHERE equipmentID = ? ORDER BY fromDate DESC, assignmentID DESC',
+            [id]
+        );
+        res.json({ assignments: rows });
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// ============================================
+// ARTILLERY ENDPOINTS
+// ============================================
+
+// Get all artillery (Read - equipment:read; exports also need equipment:export)
+// Query params: type, location, assignedTo, readiness, q (search), sort, order, page, pageSize,
+// deleted (include or only; needs equipment:delete)
+app.get('/api/artillery', authenticateToken, requirePermission('equipment:read'), async (req, res) => {
+    try {
+        const { clauses, params } = equipmentFilters(req.query, 'a.type');
+        const scope = scopeFilter(req.user, 'location', 'l.location');
+        const deleted = deletedFilter(req.user, req.query, 'COALESCE(a.deletedAt, l.deletedAt)', 'equipment:delete');
+        const { rows, meta } = await runListQuery(req.query, {
+            select: `a.*, l.logisticsType, l.cost, l.procurementDate, l.tech, l.location, l.assignedTo, ${versionSql('l', 'a')} AS version, ${readinessColumns('l')}`,
+            from: 'Artillery a INNER JOIN Logistics l ON a.equipmentID = l.equipmentID',
+            clauses: [...clauses, ...scope.clauses, ...deleted.clauses],
+            params: [...params, ...scope.params, ...deleted.params],
+            search: ['a.equipmentID', 'a.type', 'l.location', 'l.tech'],
+            sortable: {
+                equipmentID: 'a.equipmentID', type: 'a.type', artRange: 'a.artRange', commissioningDate: 'a.commissioningDate',
+                location: 'l.location', cost: 'l.cost', assignedTo: 'l.assignedTo', readiness: 'readiness', nextMaintenance: 'nextMaintenance'
+            },
+            defaultSort: 'equipmentID'
+        });
+        await sendList(req, res, 'artillery', rows, 'artillery', meta);
+    } catch (e) {
+        console.error(e);
+        if (e.status) {
+            return res.status(e.status).json({ error: e.message, ...e.details });
+        }
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Add new artillery (Create - equipment:create)
+app.post('/api/artillery', authenticateToken, requirePermission('equipment:create'), async (req, res) => {
+    try {
+        const { equipmentID, type, artRange, commissioningDate } = assertValid('artillery', req.body);
+
+        await assertInScope(req.user, 'Artillery', equipmentID);
+        await assertSubtypeParent(ENTITIES.artillery, equipmentID);
+
+        await auditedRunSql(req, 'Artillery', equipmentID, 'create',
+            'INSERT INTO Artillery (equipmentID, type, artRange, commissioningDate) VALUES (?, ?, ?, ?)',
+            [equipmentID, type, artRange, commissioningDate]
+        );
+
+        res.json({ success: true, equipmentID });
+    } catch (e) {
+        console.error(e);
+        if (e.status) {
+            return res.status(e.status).json({ error: e.message, ...e.details });
+        }
+        if (e.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ error: 'Equipment ID already exists' });
+        }
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Update artillery (equipment:update)
+// Needs If-Match with the ETag of the record, which covers its Logistics row too.
+app.put('/api/artillery/:id', authenticateToken, requirePermission('equipment:update'), async (req, res) => {
+    try {
+        const id = req.params.id;
+        const { type, artRange, commissioningDate } = assertValid('artillery', req.body, { update: true });
+
+        await assertInScope(req.user, 'Artillery', id);
+
+        const version = await withTransaction(async (conn) => {
+            await assertVersion(req, 'artillery', id, conn);
+            await auditedRunSql(req, 'Artillery', id, 'update',
+                'UPDATE Artillery SET type = ?, artRange = ?, commissioningDate = ? WHERE equipmentID = ?',
+                [type, artRange, commissioningDate, id],
+                conn
+            );
+            return (await getVersioned('artillery', id, conn)).version;
+        });
+
+        setVersion(res, version);
+        res.json({ success: true, version, message: 'Artillery updated successfully' });
+    } catch (e) {
+        console.error(e);
+        if (e.status) {
+            return res.status(e.status).json({ error: e.message, ...e.details });
+        }
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Delete artillery; the row goes to the recycle bin and its Logistics record stays (equipment:delete)
+app.delete('/api/artillery/:id', authenticateToken, requirePermission('equipment:delete'), async (req, res) => {
+    try {
+        const id = req.params.id;
+        await assertInScope(req.user, 'Artillery', id);
+        await softDelete(req, 'artillery', id);
+        res.json({ success: true, message: 'Artillery deleted successfully' });
+    } catch (e) {
+        console.error(e);
+        if (e.status) {
+            return res.status(e.status).json({ error: e.message, ...e.details });
+        }
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// ============================================
+// SHIPS ENDPOINTS
+// ============================================
+
+// Get all ships (Read - equipment:read; exports also need equipment:export)
+// Query params: type, location, assignedTo, readiness, q (search), sort, order, page, pageSize,
+// deleted (include or only; needs equipment:delete)
+app.get('/api/ships', authenticateToken, requirePermission('equipment:read'), async (req, res) => {
+    try {
+        const { clauses, params } = equipmentFilters(req.query, 's.shipType');
+        const scope = scopeFilter(req.user, 'location', 'l.location');
+        const deleted = deletedFilter(req.user, req.query, 'COALESCE(s.deletedAt, l.deletedAt)', 'equipment:delete');
+        const { rows, meta } = await runListQuery(req.query, {
+            select: `s.*, l.logisticsType, l.cost, l.procurementDate, l.tech, l.location, l.assignedTo, ${versionSql('l', 's')} AS version, ${readinessColumns('l')}`,
+            from: 'Ships s INNER JOIN Logistics l ON s.equipmentID = l.equipmentID',
+            clauses: [...clauses, ...scope.clauses, ...deleted.clauses],
+            params: [...params, ...scope.params, ...deleted.params],
+            search: ['s.equipmentID', 's.shipName', 's.shipType', 'l.location', 'l.tech'],
+            sortable: {
+                equipmentID: 's.equipmentID', shipName: 's.shipName', shipType: 's.shipType', staffSize: 's.staffSize', commissioningDate: 's.commissioningDate',
+                location: 'l.location', cost: 'l.cost', assignedTo: 'l.assignedTo', readiness: 'readiness', nextMaintenance: 'nextMaintenance'
+            },
+            defaultSort: 'equipmentID'
+        });
+        await sendList(req, res, 'ships', rows, 'ships', meta);
+    } catch (e) {
+        console.error(e);
+        if (e.status) {
+            return res.status(e.status).json({ error: e.message, ...e.details });
+        }
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Add new ship (Create - equipment:create)
+app.post('/api/ships', authenticateToken, requirePermission('equipment:create'), async (req, res) => {
+    try {
+        const { equipmentID, shipName, shipType, staffSize, commissioningDate } = assertValid('ships', req.body);
 
-/**
- * Middleware to authenticate JWT token
- */
-function authenticateToken(req, res, next) {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+        await assertInScope(req.user, 'Ships', equipmentID);
+        await assertSubtypeParent(ENTITIES.ships, equipmentID);
 
-    if (!token) {
-        return res.status(401).json({ error: 'Access token required' });
-    }
+        await auditedRunSql(req, 'Ships', equipmentID, 'create',
+            'INSERT INTO Ships (equipmentID, shipName, shipType, staffSize, commissioningDate) VALUES (?, ?, ?, ?, ?)',
+            [equipmentID, shipName, shipType, staffSize, commissioningDate]
+        );
 
-    jwt.verify(token, JWT_SECRET, (err, user) => {
-        if (err) {
-            return res.status(403).json({ error: 'Invalid or expired token' });
+        res.json({ success: true, equipmentID });
+    } catch (e) {
+        console.error(e);
+        if (e.status) {
+            return res.status(e.status).json({ error: e.message, ...e.details });
         }
-        req.user = user;
-        next();
-    });
-}
-
-/**
- * Middleware to authorize roles
- */
-function authorizeRole(...allowedRoles) {
-    return (req, res, next) => {
-        if (!req.user) {
-            return res.status(401).json({ error: 'Authentication required' });
+        if (e.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ error: 'Equipment ID already exists' });
         }
+        res.status(500).json({ error: 'Server error' });
+    }
+});
 
-        if (!allowedRoles.includes(req.user.role)) {
-            return res.status(403).json({ error: 'Insufficient permissions' });
+// Update ship (equipment:update)
+// Needs If-Match with the ETag of the record, which covers its Logistics row too.
+app.put('/api/ships/:id', authenticateToken, requirePermission('equipment:update'), async (req, res) => {
+    try {
+        const id = req.params.id;
+        const { shipName, shipType, staffSize, commissioningDate } = assertValid('ships', req.body, { update: true });
+
+        await assertInScope(req.user, 'Ships', id);
+
+        const version = await withTransaction(async (conn) => {
+            await assertVersion(req, 'ships', id, conn);
+            await auditedRunSql(req, 'Ships', id, 'update',
+                'UPDATE Ships SET shipName = ?, shipType = ?, staffSize = ?, commissioningDate = ? WHERE equipmentID = ?',
+                [shipName, shipType, staffSize, commissioningDate, id],
+                conn
+            );
+            return (await getVersioned('ships', id, conn)).version;
+        });
+
+        setVersion(res, version);
+        res.json({ success: true, version, message: 'Ship updated successfully' });
+    } catch (e) {
+        console.error(e);
+        if (e.status) {
+            return res.status(e.status).json({ error: e.message, ...e.details });
         }
+        res.status(500).json({ error: 'Server error' });
+    }
+});
 
-        next();
-    };
-}
+// Delete ship; the row goes to the recycle bin and its Logistics record stays (equipment:delete)
+app.delete('/api/ships/:id', authenticateToken, requirePermission('equipment:delete'), async (req, res) => {
+    try {
+        const id = req.params.id;
+        await assertInScope(req.user, 'Ships', id);
+        await softDelete(req, 'ships', id);
+        res.json({ success: true, message: 'Ship deleted successfully' });
+    } catch (e) {
+        console.error(e);
+        if (e.status) {
+            return res.status(e.status).json({ error: e.message, ...e.details });
+        }
+        res.status(500).json({ error: 'Server error' });
+    }
+});
 
-// --- 7. AUTHENTICATION ROUTES ---
+// ============================================
+// JETS ENDPOINTS
+// ============================================
 
-// Initialize Users table (called on server start)
-async function initializeUsersTable() {
+// Get all jets (Read - equipment:read; exports also need equipment:export)
+// Query params: type, location, assignedTo, readiness, q (search), sort, order, page, pageSize,
+// deleted (include or only; needs equipment:delete)
+app.get('/api/jets', authenticateToken, requirePermission('equipment:read'), async (req, res) => {
     try {
-        await runSql(`
-            CREATE TABLE IF NOT EXISTS Users (
-                userID INT AUTO_INCREMENT PRIMARY KEY,
-                username VARCHAR(50) UNIQUE NOT NULL,
-                password VARCHAR(255) NOT NULL,
-                role ENUM('admin', 'user') NOT NULL DEFAULT 'user',
-                createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-            )
-        `);
-        console.log('✅ Users table initialized');
+        const { clauses, params } = equipmentFilters(req.query, 'j.jetType');
+        const scope = scopeFilter(req.user, 'location', 'l.location');
+        const deleted = deletedFilter(req.user, req.query, 'COALESCE(j.deletedAt, l.deletedAt)', 'equipment:delete');
+        const { rows, meta } = await runListQuery(req.query, {
+            select: `j.*, l.logisticsType, l.cost, l.procurementDate, l.tech, l.location, l.assignedTo, ${versionSql('l', 'j')} AS version, ${readinessColumns('l')}`,
+            from: 'Jets j INNER JOIN Logistics l ON j.equipmentID = l.equipmentID',
+            clauses: [...clauses, ...scope.clauses, ...deleted.clauses],
+            params: [...params, ...scope.params, ...deleted.params],
+            search: ['j.equipmentID', 'j.jetName', 'j.jetType', 'l.location', 'l.tech'],
+            sortable: {
+                equipmentID: 'j.equipmentID', jetName: 'j.jetName', jetType: 'j.jetType', speed: 'j.speed', commissioningDate: 'j.commissioningDate',
+                location: 'l.location', cost: 'l.cost', assignedTo: 'l.assignedTo', readiness: 'readiness', nextMaintenance: 'nextMaintenance'
+            },
+            defaultSort: 'equipmentID'
+        });
+        await sendList(req, res, 'jets', rows, 'jets', meta);
     } catch (e) {
-        console.error('❌ Error initializing Users table:', e);
+        console.error(e);
+        if (e.status) {
+            return res.status(e.status).json({ error: e.message, ...e.details });
+        }
+        res.status(500).json({ error: 'Server error' });
     }
-}
+});
 
-// Register route
-app.post('/api/auth/register', async (req, res) => {
+// Add new jet (Create - equipment:create)
+app.post('/api/jets', authenticateToken, requirePermission('equipment:create'), async (req, res) => {
     try {
-        const { username, password } = req.body;
+        const { equipmentID, jetName, jetType, speed, commissioningDate } = assertValid('jets', req.body);
 
-        // Input validation
-        if (!username || !password) {
-            return res.status(400).json({ error: 'Username and password are required' });
-        }
+        await assertInScope(req.user, 'Jets', equipmentID);
+        await assertSubtypeParent(ENTITIES.jets, equipmentID);
 
-        if (typeof username !== 'string' || typeof password !== 'string') {
-            return res.status(400).json({ error: 'Invalid input format' });
+        await auditedRunSql(req, 'Jets', equipmentID, 'create',
+            'INSERT INTO Jets (equipmentID, jetName, jetType, speed, commissioningDate) VALUES (?, ?, ?, ?, ?)',
+            [equipmentID, jetName, jetType, speed, commissioningDate]
+        );
+
+        res.json({ success: true, equipmentID });
+    } catch (e) {
+        console.error(e);
+        if (e.status) {
+            return res.status(e.status).json({ error: e.message, ...e.details });
+        }
+        if (e.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ error: 'Equipment ID already exists' });
         }
+        res.status(500).json({ error: 'Server error' });
+    }
+});
 
-        if (username.length < 3) {
-            return res.status(400).json({ error: 'Username must be at least 3 characters' });
+// Update jet (equipment:update)
+// Needs If-Match with the ETag of the record, which covers its Logistics row too.
+app.put('/api/jets/:id', authenticateToken, requirePermission('equipment:update'), async (req, res) => {
+    try {
+        const id = req.params.id;
+        const { jetName, jetType, speed, commissioningDate } = assertValid('jets', req.body, { update: true });
+
+        await assertInScope(req.user, 'Jets', id);
+
+        const version = await withTransaction(async (conn) => {
+            await assertVersion(req, 'jets', id, conn);
+            await auditedRunSql(req, 'Jets', id, 'update',
+                'UPDATE Jets SET jetName = ?, jetType = ?, speed = ?, commissioningDate = ? WHERE equipmentID = ?',
+                [jetName, jetType, speed, commissioningDate, id],
+                conn
+            );
+            return (await getVersioned('jets', id, conn)).version;
+        });
+
+        setVersion(res, version);
+        res.json({ success: true, version, message: 'Jet updated successfully' });
+    } catch (e) {
+        console.error(e);
+        if (e.status) {
+            return res.status(e.status).json({ error: e.message, ...e.details });
         }
+        res.status(500).json({ error: 'Server error' });
+    }
+});
 
-        if (password.length < 6) {
-            return res.status(400).json({ error: 'Password must be at least 6 characters' });
+// Delete jet; the row goes to the recycle bin and its Logistics record stays (equipment:delete)
+app.delete('/api/jets/:id', authenticateToken, requirePermission('equipment:delete'), async (req, res) => {
+    try {
+        const id = req.params.id;
+        await assertInScope(req.user, 'Jets', id);
+        await softDelete(req, 'jets', id);
+        res.json({ success: true, message: 'Jet deleted successfully' });
+    } catch (e) {
+        console.error(e);
+        if (e.status) {
+            return res.status(e.status).json({ error: e.message, ...e.details });
         }
+        res.status(500).json({ error: 'Server error' });
+    }
+});
 
-        // Check if username already exists
-        const existingUser = await getSql('SELECT userID FROM Users WHERE username = ?', [username]);
-        if (existingUser) {
-            return res.status(409).json({ error: 'Username already exists' });
+// ============================================
+// TYPED EQUIPMENT ENDPOINTS
+// ============================================
+// Create, update and delete a Logistics row together with its Artillery, Ships or
+// Jets row in one transaction. `:type` is artillery, ships or jets and fixes logisticsType.
+
+function equipmentSubtype(type) {
+    const subtype = ENTITIES[type];
+    if (!subtype || !subtype.logisticsType) throw httpError(404, `Unknown equipment type: ${type}`);
+    return subtype;
+}
+
+/**
+ * The request body with logisticsType set from the route; a conflicting
+ * logisticsType in the body is refused.
+ */
+function typedEquipmentData(subtype, body) {
+    if (body.logisticsType && body.logisticsType !== subtype.logisticsType) {
+        throw fieldError('logisticsType', `logisticsType must be ${subtype.logisticsType}`);
+    }
+    return { ...body, logisticsType: subtype.logisticsType };
+}
+
+// Get equipment with its subtype record and its ETag (Read - equipment:read)
+// Registered per type, so /api/equipment/assigned/:personnelId is not taken for one.
+for (const type of Object.keys(ENTITIES).filter(type => ENTITIES[type].logisticsType)) {
+    app.get(`/api/equipment/${type}/:id`, authenticateToken, requirePermission('equipment:read'), async (req, res) => {
+        try {
+            const row = await getVersioned(type, req.params.id);
+            if (!row || !inScope(req.user, 'location', row.location)) return res.status(404).json({ error: 'Equipment not found' });
+            setVersion(res, row.version);
+            res.json({ equipment: row });
+        } catch (e) {
+            console.error(e);
+            res.status(500).json({ error: 'Server error' });
         }
+    });
+}
 
-        // Hash password
-        const hashedPassword = await bcrypt.hash(password, 10);
+// Add equipment with its subtype record (Create - equipment:create)
+// Body: the Logistics columns except logisticsType, plus the subtype's columns
+app.post('/api/equipment/:type', authenticateToken, requirePermission('equipment:create'), async (req, res) => {
+    try {
+        const subtype = equipmentSubtype(req.params.type);
+        const data = assertValid(['logistics', req.params.type], typedEquipmentData(subtype, req.body));
 
-        // Insert new user (default role is 'user')
-        await runSql(
-            'INSERT INTO Users (username, password, role) VALUES (?, ?, ?)',
-            [username, hashedPassword, 'user']
-        );
+        await assertInScope(req.user, 'Logistics', data.equipmentID, data);
 
-        res.json({ success: true, message: 'Registration successful. Please login.' });
+        await withTransaction(async (conn) => {
+            await insertLogistics(req, data, conn);
+            await auditedRunSql(req, subtype.table, data.equipmentID, 'create', entityInsertSql(subtype), entityValues(subtype, data), conn);
+        });
+
+        res.json({ success: true, equipmentID: data.equipmentID });
     } catch (e) {
         console.error(e);
-        res.status(500).json({ error: 'Server error during registration' });
+        if (e.status) {
+            return res.status(e.status).json({ error: e.message, ...e.details });
+        }
+        if (e.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ error: 'Equipment ID already exists' });
+        }
+        res.status(500).json({ error: 'Server error' });
     }
 });
 
-// Login route
-app.post('/api/auth/login', async (req, res) => {
+// Update equipment and its subtype record (equipment:update)
+// Needs If-Match with the record's ETag; answers 409 with the current record if it changed.
+app.put('/api/equipment/:type/:id', authenticateToken, requirePermission('equipment:update'), async (req, res) => {
     try {
-        const { username, password } = req.body;
+        const id = req.params.id;
+        const subtype = equipmentSubtype(req.params.type);
+        const data = assertValid(['logistics', req.params.type], { ...typedEquipmentData(subtype, req.body), equipmentID: id }, { update: true });
 
-        // Input validation
-        if (!username || !password) {
-            return res.status(400).json({ error: 'Username and password are required' });
-        }
+        await assertInScope(req.user, 'Logistics', id, data);
 
-        if (typeof username !== 'string' || typeof password !== 'string') {
-            return res.status(400).json({ error: 'Invalid input format' });
-        }
+        const version = await withTransaction(async (conn) => {
+            await assertVersion(req, req.params.type, id, conn);
 
-        // Find user in database
-        const user = await getSql('SELECT * FROM Users WHERE username = ?', [username]);
+            await updateLogistics(req, id, data, conn);
+            const columns = subtype.columns.filter(c => c !== subtype.key);
+            await auditedRunSql(req, subtype.table, id, 'update',
+                `UPDATE ${subtype.table} SET ${columns.map(c => `${c} = ?`).join(', ')} WHERE equipmentID = ?`,
+                [...columns.map(c => data[c] === undefined ? null : data[c]), id],
+                conn
+            );
+            return (await getVersioned(req.params.type, id, conn)).version;
+        });
 
-        if (!user) {
-            return res.status(401).json({ error: 'Invalid credentials' });
+        setVersion(res, version);
+        res.json({ success: true, version, message: 'Equipment updated successfully' });
+    } catch (e) {
+        console.error(e);
+        if (e.status) {
+            return res.status(e.status).json({ error: e.message, ...e.details });
         }
+        res.status(500).json({ error: 'Server error' });
+    }
+});
 
-        // Verify password
-        const isValidPassword = await bcrypt.compare(password, user.password);
+// Delete equipment and its subtype record; both go to the recycle bin and are restored together (equipment:delete)
+app.delete('/api/equipment/:type/:id', authenticateToken, requirePermission('equipment:delete'), async (req, res) => {
+    try {
+        const id = req.params.id;
+        const subtype = equipmentSubtype(req.params.type);
+        await assertInScope(req.user, subtype.table, id);
 
-        if (!isValidPassword) {
-            return res.status(401).json({ error: 'Invalid credentials' });
+        await withTransaction(async (conn) => {
+            const row = await getSql(`SELECT equipmentID FROM ${subtype.table} WHERE equipmentID = ? FOR UPDATE`, [id], conn);
+            if (!row) throw httpError(404, 'Equipment not found');
+
+            await softDelete(req, 'logistics', id, conn);
+        });
+
+        res.json({ success: true, message: 'Equipment deleted successfully' });
+    } catch (e) {
+        console.error(e);
+        if (e.status) {
+            return res.status(e.status).json({ error: e.message, ...e.details });
         }
+        res.status(500).json({ error: 'Server error' });
+    }
+});
 
-        // Generate JWT token
-        const token = jwt.sign(
-            { 
-                userID: user.userID, 
-                username: user.username, 
-                role: user.role 
-            },
-            JWT_SECRET,
-            { expiresIn: '24h' }
+// Equipment consistency report (Read - equipment:read)
+// Checks every Logistics row in the caller's locations against the subtype tables:
+// unknownType (logisticsType is not Artillery, Ships or Jets), orphans (no subtype row),
+// mismatched (a subtype row that disagrees with logisticsType) and duplicates
+// (rows in more than one subtype table). Subtype rows cannot lack a parent; the foreign keys prevent it.
+// Records in the recycle bin are left out, so an item whose subtype row was deleted is an orphan.
+app.get('/api/equipment/consistency', authenticateToken, requirePermission('equipment:read'), async (req, res) => {
+    try {
+        const scope = scopeFilter(req.user, 'location', 'l.location');
+        const rows = await allSql(
+            `SELECT l.equipmentID, l.logisticsType, l.location,
+                ${EQUIPMENT_SUBTYPES.map(e => `EXISTS (SELECT 1 FROM ${e.table} t WHERE t.equipmentID = l.equipmentID AND t.deletedAt IS NULL) AS in${e.table}`).join(', ')}
+             FROM Logistics l
+             WHERE l.deletedAt IS NULL${scope.clauses.map(c => ' AND ' + c).join('')}
+             ORDER BY l.equipmentID`,
+            scope.params
         );
 
-        res.json({
-            success: true,
-            token: token,
-            role: user.role,
-            username: user.username
-        });
+        const report = { unknownType: [], orphans: [], mismatched: [], duplicates: [] };
+        for (const row of rows) {
+            const tables = EQUIPMENT_SUBTYPES.filter(e => row[`in${e.table}`]).map(e => e.table);
+            const item = { equipmentID: row.equipmentID, logisticsType: row.logisticsType, location: row.location, tables };
+            const expected = subtypeFor(row.logisticsType);
+
+            if (!expected) report.unknownType.push(item);
+            if (expected && tables.length === 0) report.orphans.push(item);
+            if (expected && tables.some(t => t !== expected.table)) report.mismatched.push(item);
+            if (tables.length > 1) report.duplicates.push(item);
+        }
+
+        const flagged = new Set(Object.values(report).flat().map(item => item.equipmentID));
+        res.json({ checked: rows.length, consistent: flagged.size === 0, flagged: flagged.size, ...report });
     } catch (e) {
         console.error(e);
-        res.status(500).json({ error: 'Server error during login' });
+        res.status(500).json({ error: 'Server error' });
     }
 });
 
-// --- 8. API ROUTES ---
-
 // ============================================
-// SERVING PERSONNEL ENDPOINTS
+// MAINTENANCE ENDPOINTS
 // ============================================
+// Plans set a servicing interval per equipment type; work orders record servicing
+// against one item. Readiness on the equipment lists is derived from both.
+
+/**
+ * Validates a plan body; returns the values to store.
+ */
+function planValues(body) {
+    const { logisticsType, name, intervalDays, description } = assertValid('maintenancePlan', body);
+    return [logisticsType, name, intervalDays, description];
+}
 
-// Get all serving personnel with optional filters (Read - accessible to all authenticated users)
-app.get('/api/personnel/serving', authenticateToken, async (req, res) => {
+// List maintenance plans (Read - equipment:read)
+// Query params: type (logisticsType)
+app.get('/api/maintenance/plans', authenticateToken, requirePermission('equipment:read'), async (req, res) => {
     try {
-        const { rank, regiment, postingType } = req.query;
-        let clauses = [];
-        let params = [];
+        const { type } = req.query;
+        const rows = await allSql(
+            `SELECT * FROM MaintenancePlans${type ? ' WHERE logisticsType = ?' : ''} ORDER BY logisticsType, name`,
+            type ? [type] : []
+        );
+        res.json({ plans: rows, types: EQUIPMENT_SUBTYPES.map(e => e.logisticsType), dueWithinDays: MAINTENANCE_DUE_DAYS });
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
 
-        if (rank) {
-            clauses.push('currRank = ?');
-            params.push(rank);
+// Add a maintenance plan (equipment:update)
+// Body: logisticsType, name, intervalDays, description
+app.post('/api/maintenance/plans', authenticateToken, requirePermission('equipment:update'), async (req, res) => {
+    try {
+        const values = planValues(req.body);
+        const planID = await withTransaction(async (conn) => {
+            const result = await runSql(
+                'INSERT INTO MaintenancePlans (logisticsType, name, intervalDays, description) VALUES (?, ?, ?, ?)',
+                values,
+                conn
+            );
+            await recordAudit(req, 'MaintenancePlans', result.insertId, 'create', null, await snapshotRow('MaintenancePlans', result.insertId, conn), conn);
+            return result.insertId;
+        });
+        res.json({ success: true, planID });
+    } catch (e) {
+        console.error(e);
+        if (e.status) {
+            return res.status(e.status).json({ error: e.message, ...e.details });
         }
-        if (regiment) {
-            clauses.push('regiment LIKE ?');
-            params.push('%' + regiment + '%');
+        if (e.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ error: 'A plan with this name already exists for this type' });
         }
-        if (postingType) {
-            clauses.push('postingType = ?');
-            params.push(postingType);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Update a maintenance plan (equipment:update)
+app.put('/api/maintenance/plans/:planId', authenticateToken, requirePermission('equipment:update'), async (req, res) => {
+    try {
+        const planId = req.params.planId;
+        const values = planValues(req.body);
+        const result = await auditedRunSql(req, 'MaintenancePlans', planId, 'update',
+            'UPDATE MaintenancePlans SET logisticsType = ?, name = ?, intervalDays = ?, description = ? WHERE planID = ?',
+            [...values, planId]
+        );
+        if (result.affectedRows === 0) return res.status(404).json({ error: 'Plan not found' });
+        res.json({ success: true, message: 'Plan updated successfully' });
+    } catch (e) {
+        console.error(e);
+        if (e.status) {
+            return res.status(e.status).json({ error: e.message, ...e.details });
+        }
+        if (e.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ error: 'A plan with this name already exists for this type' });
         }
+        res.status(500).json({ error: 'Server error' });
+    }
+});
 
-        const where = clauses.length ? (' WHERE ' + clauses.join(' AND ')) : '';
-        const sql = 'SELECT * FROM ServingPersonnel' + where + ' ORDER BY serviceID';
-        const rows = await allSql(sql, params);
-        res.json({ personnel: rows });
+// Delete a maintenance plan; its work orders are kept without a plan (equipment:delete)
+app.delete('/api/maintenance/plans/:planId', authenticateToken, requirePermission('equipment:delete'), async (req, res) => {
+    try {
+        const planId = req.params.planId;
+        await withTransaction(async conn => {
+            // Detach its work orders here rather than leave it to the foreign key, so it is audited
+            const workOrders = await allSql('SELECT workOrderID FROM WorkOrders WHERE planID = ?', [planId], conn);
+            for (const { workOrderID } of workOrders) {
+                await auditedRunSql(req, 'WorkOrders', workOrderID, 'update', 'UPDATE WorkOrders SET planID = NULL WHERE workOrderID = ?', [workOrderID], conn);
+            }
+            const result = await auditedRunSql(req, 'MaintenancePlans', planId, 'delete', 'DELETE FROM MaintenancePlans WHERE planID = ?', [planId], conn);
+            if (result.affectedRows === 0) throw httpError(404, 'Plan not found');
+        });
+        res.json({ success: true, message: 'Plan deleted successfully' });
     } catch (e) {
         console.error(e);
+        if (e.status) {
+            return res.status(e.status).json({ error: e.message, ...e.details });
+        }
         res.status(500).json({ error: 'Server error' });
     }
 });
 
-// Get specific serving personnel (Read - accessible to all authenticated users)
-app.get('/api/personnel/serving/:id', authenticateToken, async (req, res) => {
+// List work orders in the caller's locations, newest first (Read - equipment:read)
+// Query params: equipmentID, status, planID
+app.get('/api/maintenance/work-orders', authenticateToken, requirePermission('equipment:read'), async (req, res) => {
     try {
-        const id = req.params.id;
-        const row = await getSql('SELECT * FROM ServingPersonnel WHERE serviceID = ?', [id]);
-        if (!row) return res.status(404).json({ error: 'Personnel not found' });
-        res.json({ personnel: row });
+        const { equipmentID, status, planID } = req.query;
+        const clauses = [];
+        const params = [];
+
+        if (equipmentID) {
+            clauses.push('w.equipmentID = ?');
+            params.push(equipmentID);
+        }
+        if (status) {
+            clauses.push('w.status = ?');
+            params.push(status);
+        }
+        if (planID) {
+            clauses.push('w.planID = ?');
+            params.push(planID);
+        }
+        const scope = scopeFilter(req.user, 'location', 'l.location');
+        const where = [...clauses, 'l.deletedAt IS NULL', ...scope.clauses];
+
+        const rows = await allSql(
+            `SELECT w.*, l.logisticsType, l.location, p.name AS planName
+             FROM WorkOrders w
+             INNER JOIN Logistics l ON l.equipmentID = w.equipmentID
+             LEFT JOIN MaintenancePlans p ON p.planID = w.planID
+             ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+             ORDER BY w.createdAt DESC, w.workOrderID DESC`,
+            [...params, ...scope.params]
+        );
+        res.json({ workOrders: rows });
     } catch (e) {
         console.error(e);
         res.status(500).json({ error: 'Server error' });
     }
 });
 
-// Add new serving personnel (Create - Admin only)
-app.post('/api/personnel/serving', authenticateToken, authorizeRole('admin'), async (req, res) => {
+// Open a work order against one item (equipment:update)
+// Body: equipmentID, planID (optional; must be a plan for the item's type), scheduledDate, notes,
+// status ('open' by default, or 'in_progress' to start it now)
+app.post('/api/maintenance/work-orders', authenticateToken, requirePermission('equipment:update'), async (req, res) => {
     try {
-        const { serviceID, firstName, lastName, DOB, currRank, regiment, salary, awards, skills, postingType, medical, healthPlan } = req.body;
-        
-        if (!serviceID || !firstName || !lastName || !DOB || !currRank || !salary || !postingType) {
-            return res.status(400).json({ error: 'Missing required fields' });
+        const { equipmentID, planID, scheduledDate, notes } = assertValid('workOrder', req.body);
+        const status = req.body.status ? req.body.status : 'open';
+
+        if (!['open', 'in_progress'].includes(status)) {
+            throw fieldError('status', "status must be 'open' or 'in_progress'");
         }
 
-        await runSql(
-            'INSERT INTO ServingPersonnel (serviceID, firstName, lastName, DOB, currRank, regiment, salary, awards, skills, postingType, medical, healthPlan) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
-            [serviceID, firstName, lastName, DOB, currRank, regiment || null, salary, awards || null, skills || null, postingType, medical || null, healthPlan || null]
-        );
+        const workOrderID = await withTransaction(async (conn) => {
+            const item = await getSql('SELECT logisticsType, location FROM Logistics WHERE equipmentID = ? AND deletedAt IS NULL', [equipmentID], conn);
+            if (!item || !inScope(req.user, 'location', item.location)) throw httpError(404, 'Equipment not found');
+            if (planID) {
+                const plan = await getSql('SELECT logisticsType FROM MaintenancePlans WHERE planID = ?', [planID], conn);
+                if (!plan) throw httpError(400, `Maintenance plan ${planID} not found`);
+                if (plan.logisticsType !== item.logisticsType) {
+                    throw httpError(400, `Plan ${planID} is for ${plan.logisticsType}, not ${item.logisticsType}`);
+                }
+            }
+
+            const result = await runSql(
+                `INSERT INTO WorkOrders (equipmentID, planID, status, scheduledDate, startedDate, notes, createdBy, createdByName)
+                 VALUES (?, ?, ?, ?, ${status === 'in_progress' ? 'CURDATE()' : 'NULL'}, ?, ?, ?)`,
+                [equipmentID, planID, status, scheduledDate, notes, req.user.userID, req.user.username],
+                conn
+            );
+            await recordAudit(req, 'WorkOrders', result.insertId, 'create', null, await snapshotRow('WorkOrders', result.insertId, conn), conn);
+            return result.insertId;
+        });
 
-        res.json({ success: true, serviceID });
+        res.json({ success: true, workOrderID });
     } catch (e) {
         console.error(e);
-        if (e.code === 'ER_DUP_ENTRY') {
-            return res.status(409).json({ error: 'Service ID already exists' });
-        }
-        if (e.sqlState === '45000') {
-            return res.status(400).json({ error: e.message });
+        if (e.status) {
+            return res.status(e.status).json({ error: e.message, ...e.details });
         }
         res.status(500).json({ error: 'Server error' });
     }
 });
 
-// Update serving personnel (Admin only)
-app.put('/api/personnel/serving/:id', authenticateToken, authorizeRole('admin'), async (req, res) => {
+// Update a work order: reschedule, add notes or move it on (open -> in_progress -> completed, or cancelled)
+// Body: status, date (when it started or was completed; defaults to today), scheduledDate, notes (equipment:update)
+app.put('/api/maintenance/work-orders/:workOrderId', authenticateToken, requirePermission('equipment:update'), async (req, res) => {
     try {
-        const id = req.params.id;
-        const { firstName, lastName, DOB, currRank, regiment, salary, awards, skills, postingType, medical, healthPlan } = req.body;
-        
-        if (!firstName || !lastName || !DOB || !currRank || !salary || !postingType) {
-            return res.status(400).json({ error: 'Missing required fields' });
+        const workOrderId = req.params.workOrderId;
+        // Only the fields sent are changed; equipmentID and planID are fixed once the order exists
+        const values = assertValid('workOrder', req.body, { update: true, skip: ['equipmentID', 'planID'] });
+        const status = values.status;
+        const scheduledDate = req.body.scheduledDate === undefined ? undefined : values.scheduledDate;
+        const notes = req.body.notes === undefined ? undefined : values.notes;
+        const date = req.body.date ? normaliseDate(req.body.date) : null;
+
+        if (req.body.date && !date) {
+            throw fieldError('date', 'date must be a valid date (YYYY-MM-DD)');
         }
 
-        await runSql(
-            'UPDATE ServingPersonnel SET firstName = ?, lastName = ?, DOB = ?, currRank = ?, regiment = ?, salary = ?, awards = ?, skills = ?, postingType = ?, medical = ?, healthPlan = ? WHERE serviceID = ?',
-            [firstName, lastName, DOB, currRank, regiment || null, salary, awards || null, skills || null, postingType, medical || null, healthPlan || null, id]
-        );
+        await withTransaction(async (conn) => {
+            const order = await getSql(
+                `SELECT w.*, l.location FROM WorkOrders w
+                 INNER JOIN Logistics l ON l.equipmentID = w.equipmentID
+                 WHERE w.workOrderID = ? AND l.deletedAt IS NULL FOR UPDATE`,
+                [workOrderId],
+                conn
+            );
+            if (!order || !inScope(req.user, 'location', order.location)) throw httpError(404, 'Work order not found');
+
+            const allowed = WORK_ORDER_TRANSITIONS[order.status];
+            if (!allowed) throw httpError(409, `Work order is ${order.status} and can no longer be changed`);
+            if (status && status !== order.status && !allowed.includes(status)) {
+                throw httpError(400, `Cannot move a work order from ${order.status} to ${status}`);
+            }
 
-        res.json({ success: true, message: 'Personnel updated successfully' });
+            const next = status || order.status;
+            const startedDate = next === 'in_progress' && order.status === 'open' ? date : undefined;
+            const completedDate = next === 'completed' ? date : undefined;
+
+            await auditedRunSql(req, 'WorkOrders', workOrderId, 'update',
+                `UPDATE WorkOrders SET status = ?, scheduledDate = ?, notes = ?
+                    ${startedDate !== undefined ? ', startedDate = COALESCE(?, CURDATE())' : ''}
+                    ${completedDate !== undefined ? ', completedDate = COALESCE(?, CURDATE())' : ''}
+                 WHERE workOrderID = ?`,
+                [
+                    next,
+                    scheduledDate !== undefined ? scheduledDate : order.scheduledDate,
+                    notes !== undefined ? notes : order.notes,
+                    ...(startedDate !== undefined ? [startedDate] : []),
+                    ...(completedDate !== undefined ? [completedDate] : []),
+                    workOrderId
+                ],
+                conn
+            );
+        });
+
+        res.json({ success: true, message: 'Work order updated successfully' });
     } catch (e) {
         console.error(e);
-        if (e.sqlState === '45000') {
-            return res.status(400).json({ error: e.message });
+        if (e.status) {
+            return res.status(e.status).json({ error: e.message, ...e.details });
         }
         res.status(500).json({ error: 'Server error' });
     }
 });
 
-// Delete serving personnel (Admin only)
-app.delete('/api/personnel/serving/:id', authenticateToken, authorizeRole('admin'), async (req, res) => {
+// Maintenance falling due within `days` (default 30) or already overdue, earliest first (Read - equipment:read)
+// One row per item and plan in the caller's locations, plus the work orders in progress.
+app.get('/api/maintenance/upcoming', authenticateToken, requirePermission('equipment:read'), async (req, res) => {
     try {
-        const id = req.params.id;
-        await runSql('DELETE FROM ServingPersonnel WHERE serviceID = ?', [id]);
-        res.json({ success: true, message: 'Personnel deleted successfully' });
+        const days = Math.min(Math.max(parseInt(req.query.days, 10) || MAINTENANCE_DUE_DAYS, 0), 365);
+        const scope = scopeFilter(req.user, 'location', 'l.location');
+
+        const due = await allSql(
+            `SELECT plans.*, nextDue < CURDATE() AS overdue FROM (
+                SELECT l.equipmentID, l.logisticsType, l.location, mp.planID, mp.name AS planName, ${planDueSql('l', 'mp')} AS nextDue
+                FROM Logistics l
+                INNER JOIN MaintenancePlans mp ON mp.logisticsType = l.logisticsType
+                WHERE l.deletedAt IS NULL${scope.clauses.map(c => ' AND ' + c).join('')}
+             ) plans
+             WHERE nextDue <= CURDATE() + INTERVAL ? DAY
+             ORDER BY nextDue, equipmentID`,
+            [...scope.params, days]
+        );
+        const inProgress = await allSql(
+            `SELECT w.workOrderID, w.equipmentID, w.startedDate, w.notes, l.logisticsType, l.location, p.name AS planName
+             FROM WorkOrders w
+             INNER JOIN Logistics l ON l.equipmentID = w.equipmentID
+             LEFT JOIN MaintenancePlans p ON p.planID = w.planID
+             WHERE ${["w.status = 'in_progress'", 'l.deletedAt IS NULL', ...scope.clauses].join(' AND ')}
+             ORDER BY w.startedDate, w.workOrderID`,
+            scope.params
+        );
+
+        res.json({ days, due: due.map(row => ({ ...row, overdue: Boolean(row.overdue) })), inProgress });
     } catch (e) {
         console.error(e);
         res.status(500).json({ error: 'Server error' });
@@ -333,85 +5360,641 @@ app.delete('/api/personnel/serving/:id', authenticateToken, authorizeRole('admin
 });
 
 // ============================================
-// RETIRED PERSONNEL ENDPOINTS
+// BULK IMPORT
 // ============================================
 
-// Get all retired personnel (Read - accessible to all authenticated users)
-app.get('/api/personnel/retired', authenticateToken, async (req, res) => {
-    try {
-        const rows = await allSql('SELECT * FROM RetiredPersonnel ORDER BY retirementDate DESC');
-        res.json({ personnel: rows });
-    } catch (e) {
-        console.error(e);
-        res.status(500).json({ error: 'Server error' });
+// Spreadsheets are parsed in memory; nothing is written to disk
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 5 * 1024 * 1024 } });
+
+/**
+ * Wraps multer's single-file middleware so upload errors (e.g. file too large)
+ * come back as JSON 400s like every other validation error.
+ */
+function uploadSingle(field, uploader = upload) {
+    const handler = uploader.single(field);
+    return (req, res, next) => handler(req, res, (err) => {
+        if (err) return res.status(400).json({ error: err.message });
+        next();
+    });
+}
+
+/**
+ * Parses RFC 4180 CSV text (quoted fields, doubled quotes, CRLF) into an array of rows.
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (inQuotes) {
+            if (ch === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                inQuotes = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"') {
+            inQuotes = true;
+        } else if (ch === ',') {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += ch;
+        }
     }
-});
+    if (field !== '' || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+}
+
+/**
+ * Converts an ExcelJS cell value (dates, formulas, rich text) to plain text.
+ */
+function cellText(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString().slice(0, 10);
+    if (typeof value === 'object') {
+        if ('result' in value) return cellText(value.result);
+        if ('richText' in value) return value.richText.map(part => part.text).join('');
+        if ('text' in value) return String(value.text);
+    }
+    return String(value);
+}
+
+/**
+ * Reads the first worksheet of an XLSX file into an array of rows,
+ * keeping row positions so errors can cite spreadsheet row numbers.
+ */
+async function parseXlsx(buffer) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+    const sheet = workbook.worksheets[0];
+    if (!sheet) return [];
+
+    const rows = [];
+    sheet.eachRow({ includeEmpty: true }, (row) => {
+        const values = [];
+        for (let c = 1; c <= sheet.columnCount; c++) {
+            values.push(cellText(row.getCell(c).value));
+        }
+        rows[row.number - 1] = values;
+    });
+    return Array.from(rows, r => r || []);
+}
+
+/**
+ * Turns an uploaded CSV/XLSX file into `{ line, data }` records keyed by the
+ * column names of record type `type`. The header row is matched case-insensitively.
+ */
+async function readSpreadsheet(file, type) {
+    const entity = ENTITIES[type];
+    const name = (file.originalname || '').toLowerCase();
+    let rows;
+    if (name.endsWith('.xlsx')) {
+        rows = await parseXlsx(file.buffer);
+    } else if (name.endsWith('.csv') || name.endsWith('.txt')) {
+        rows = parseCsv(file.buffer.toString('utf8').replace(/^\uFEFF/, ''));
+    } else {
+        throw httpError(400, 'Unsupported file type. Upload a .csv or .xlsx file');
+    }
+
+    if (!rows.length) throw httpError(400, 'File is empty');
+
+    const header = rows[0].map(h => String(h).trim());
+    const columns = header.map(h => entity.columns.find(c => c.toLowerCase() === h.toLowerCase()));
+    const unknown = header.filter((h, i) => h && !columns[i]);
+    if (unknown.length) {
+        throw httpError(400, `Unknown column(s): ${unknown.join(', ')}`);
+    }
+    const absent = Object.keys(FIELD_SCHEMAS[type]).filter(c => FIELD_SCHEMAS[type][c].required && !columns.includes(c));
+    if (absent.length) {
+        throw httpError(400, `Missing required column(s): ${absent.join(', ')}`);
+    }
+
+    const records = [];
+    rows.slice(1).forEach((cells, i) => {
+        if (cells.every(cell => String(cell).trim() === '')) return;
+        const data = {};
+        columns.forEach((column, c) => {
+            if (column) data[column] = String(cells[c] === undefined ? '' : cells[c]).trim();
+        });
+        records.push({ line: i + 2, data });
+    });
+    return records;
+}
+
+/**
+ * Builds the handler for a bulk import endpoint. Every row is validated and
+ * inserted inside one transaction; the transaction is committed only when all
+ * rows succeed and `dryRun` is not set, so a file is imported in full or not at all.
+ */
+function importRoute(entityName) {
+    const entity = ENTITIES[entityName];
+    const insertSql = entityInsertSql(entity);
+
+    return async (req, res) => {
+        let conn;
+        try {
+            if (!req.file) {
+                return res.status(400).json({ error: 'No file uploaded. Send the spreadsheet in the "file" field' });
+            }
+            const dryRun = ['true', '1', 'yes'].includes(String(req.query.dryRun || req.body.dryRun || '').toLowerCase());
+            const records = await readSpreadsheet(req.file, entityName);
+            if (!records.length) {
+                return res.status(400).json({ error: 'File contains no data rows' });
+            }
+
+            const errors = [];
+            conn = await pool.getConnection();
+            await conn.beginTransaction();
+
+            for (const record of records) {
+                const { line } = record;
+                let data = record.data;
+                try {
+                    data = assertValid(entityName, data);
+                    await assertInScope(req.user, entity.table, data[entity.key], data, conn);
+                    if (entity === ENTITIES.serving) await assertRank(data.currRank, 'currRank', conn);
+                    if (entity === ENTITIES.retired) await assertRank(data.lastRank, 'lastRank', conn);
+                    if (entity === ENTITIES.serving || entity === ENTITIES.retired) {
+                        data.unitID = await resolveUnitID(data.regiment, conn);
+                    }
+                    if (entity === ENTITIES.logistics) {
+                        await insertLogistics(req, data, conn);
+                    } else {
+                        if (entity.logisticsType) await assertSubtypeParent(entity, data[entity.key], conn);
+                        await auditedRunSql(req, entity.table, data[entity.key], 'create', insertSql, entityValues(entity, data), conn);
+                    }
+                    if (entity === ENTITIES.serving) {
+                        await recordRankChange(req, data.serviceID, { toRank: data.currRank, newSalary: data.salary, note: 'Imported' }, conn);
+                        await recordPosting(req, data.serviceID, { regiment: data.regiment || null, unitID: data.unitID, postingType: data.postingType, note: 'Imported' }, conn);
+                    }
+                } catch (e) {
+                    if (e.status) {
+                        errors.push({ row: line, key: data[entity.key] || null, error: e.message, ...e.details });
+                        continue;
+                    }
+                    if (!e.sqlMessage) throw e;
+                    const error = e.code === 'ER_DUP_ENTRY' ? `${entity.key} already exists` : e.sqlMessage;
+                    errors.push({ row: line, key: data[entity.key] || null, error });
+                }
+            }
+
+            const committed = !dryRun && errors.length === 0;
+            if (committed) {
+                await conn.commit();
+            } else {
+                await conn.rollback();
+            }
+
+            res.status(!dryRun && errors.length ? 400 : 200).json({
+                success: errors.length === 0,
+                dryRun,
+                committed,
+                total: records.length,
+                valid: records.length - errors.length,
+                imported: committed ? records.length : 0,
+                errors,
+                ...(!dryRun && errors.length ? { error: `${errors.length} invalid row(s); nothing was imported` } : {})
+            });
+        } catch (e) {
+            if (conn) await conn.rollback();
+            console.error(e);
+            if (e.status) {
+                return res.status(e.status).json({ error: e.message, ...e.details });
+            }
+            res.status(500).json({ error: 'Server error during import' });
+        } finally {
+            if (conn) conn.release();
+        }
+    };
+}
+
+// Import serving personnel from CSV/XLSX (personnel:create)
+app.post('/api/personnel/serving/import', authenticateToken, requirePermission('personnel:create'), uploadSingle('file'), importRoute('serving'));
+
+// Import retired personnel from CSV/XLSX (personnel:create)
+app.post('/api/personnel/retired/import', authenticateToken, requirePermission('personnel:create'), uploadSingle('file'), importRoute('retired'));
+
+// Import logistics equipment from CSV/XLSX (equipment:create)
+app.post('/api/logistics/import', authenticateToken, requirePermission('equipment:create'), uploadSingle('file'), importRoute('logistics'));
+
+// Import artillery from CSV/XLSX (equipment:create)
+app.post('/api/artillery/import', authenticateToken, requirePermission('equipment:create'), uploadSingle('file'), importRoute('artillery'));
+
+// Import ships from CSV/XLSX (equipment:create)
+app.post('/api/ships/import', authenticateToken, requirePermission('equipment:create'), uploadSingle('file'), importRoute('ships'));
+
+// Import jets from CSV/XLSX (equipment:create)
+app.post('/api/jets/import', authenticateToken, requirePermission('equipment:create'), uploadSingle('file'), importRoute('jets'));
+
+// ============================================
+// ATTACHMENTS
+// ============================================
+// Files on serving, retired and equipment records, under <record path>/:id/attachments.
+// Reading needs the record's read permission, uploading and deleting its update permission;
+// records outside the caller's scope answer 404, as do attachments in categories they may not see.
+
+const attachmentUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: ATTACHMENT_MAX_BYTES, files: 1 } });
+
+/**
+ * Throws 404 unless the `ownerType` record `ownerID` exists and is in the user's scope.
+ */
+async function assertAttachmentOwner(user, ownerType, ownerID, db = pool) {
+    const entity = ENTITIES[ATTACHMENT_OWNERS[ownerType].entity];
+    await assertInScope(user, entity.table, ownerID, null, db);
+    const row = await getSql(`SELECT ${entity.key} FROM ${entity.table} WHERE ${entity.key} = ?`, [ownerID], db);
+    if (!row) throw httpError(404, 'Record not found');
+}
+
+/**
+ * The attachment `attachmentID` of a record, or 404 if it is not there or in a category the user may not see.
+ */
+async function findAttachment(user, ownerType, ownerID, attachmentID, db = pool) {
+    const row = await getSql(
+        'SELECT * FROM Attachments WHERE attachmentID = ? AND ownerType = ? AND ownerID = ?',
+        [attachmentID, ownerType, ownerID],
+        db
+    );
+    if (!row || hiddenAttachmentCategories(user).includes(row.category)) throw httpError(404, 'Attachment not found');
+    return row;
+}
+
+for (const [ownerType, owner] of Object.entries(ATTACHMENT_OWNERS)) {
+    // List a record's attachments, newest first, with the categories and types it accepts (Read - <resource>:read)
+    app.get(`${owner.path}/:id/attachments`, authenticateToken, requirePermission(`${owner.resource}:read`), async (req, res) => {
+        try {
+            await assertAttachmentOwner(req.user, ownerType, req.params.id);
+            const hidden = hiddenAttachmentCategories(req.user);
+            const attachments = await allSql(
+                `SELECT attachmentID, category, fileName, mimeType, size, sha256, uploadedByName, createdAt
+                 FROM Attachments
+                 WHERE ownerType = ? AND ownerID = ?${hidden.length ? ` AND category NOT IN (${hidden.map(() => '?').join(', ')})` : ''}
+                 ORDER BY createdAt DESC, attachmentID DESC`,
+                [ownerType, req.params.id, ...hidden]
+            );
+            const categories = Object.keys(ATTACHMENT_CATEGORIES)
+                .filter(c => ATTACHMENT_CATEGORIES[c].owners.includes(ownerType) && !hidden.includes(c))
+                .map(c => ({ category: c, types: ATTACHMENT_CATEGORIES[c].types || Object.keys(ATTACHMENT_TYPES) }));
+            res.json({ attachments, categories, maxBytes: ATTACHMENT_MAX_BYTES });
+        } catch (e) {
+            console.error(e);
+            if (e.status) {
+                return res.status(e.status).json({ error: e.message, ...e.details });
+            }
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+
+    // Upload a file in the "file" field, with an optional `category` (default other) (<resource>:update)
+    app.post(`${owner.path}/:id/attachments`, authenticateToken, requirePermission(`${owner.resource}:update`), uploadSingle('file', attachmentUpload), async (req, res) => {
+        try {
+            if (!req.file) {
+                return res.status(400).json({ error: 'No file uploaded. Send it in the "file" field' });
+            }
+            const category = req.body.category || 'other';
+            await assertAttachmentOwner(req.user, ownerType, req.params.id);
+            if (hiddenAttachmentCategories(req.user).includes(category)) {
+                throw httpError(403, `${ATTACHMENT_CATEGORIES[category].permission} is required for ${category} attachments`);
+            }
+            assertAttachmentFile(ownerType, category, req.file);
+
+            const storageKey = crypto.randomUUID();
+            const checksum = sha256(req.file.buffer);
+            const fileName = path.basename(req.file.originalname || 'file').slice(0, 255);
+            await attachmentStorage.save(storageKey, req.file.buffer);
+
+            let attachmentID;
+            try {
+                attachmentID = await withTransaction(async (conn) => {
+                    await assertAttachmentOwner(req.user, ownerType, req.params.id, conn);
+                    const result = await runSql(
+                        `INSERT INTO Attachments (ownerType, ownerID, category, fileName, mimeType, size, sha256, storageKey, uploadedBy, uploadedByName)
+                         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                        [ownerType, req.params.id, category, fileName, req.file.mimetype, req.file.size, checksum, storageKey, req.user.userID, req.user.username],
+                        conn
+                    );
+                    await recordAudit(req, 'Attachments', result.insertId, 'create', null, await snapshotRow('Attachments', result.insertId, conn), conn);
+                    return result.insertId;
+                });
+            } catch (e) {
+                await removeStoredFiles([storageKey]);
+                throw e;
+            }
+
+            res.json({ success: true, attachmentID, sha256: checksum });
+        } catch (e) {
+            console.error(e);
+            if (e.status) {
+                return res.status(e.status).json({ error: e.message, ...e.details });
+            }
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+
+    // Download an attachment; the stored file is checked against its SHA-256 first (Read - <resource>:read)
+    app.get(`${owner.path}/:id/attachments/:attachmentId`, authenticateToken, requirePermission(`${owner.resource}:read`), async (req, res) => {
+        try {
+            await assertAttachmentOwner(req.user, ownerType, req.params.id);
+            const attachment = await findAttachment(req.user, ownerType, req.params.id, req.params.attachmentId);
+
+            let content;
+            try {
+                content = await attachmentStorage.read(attachment.storageKey);
+            } catch (e) {
+                if (e.code === 'ENOENT') throw httpError(410, 'Attachment file is missing from storage');
+                throw e;
+            }
+            if (sha256(content) !== attachment.sha256) {
+                throw httpError(500, 'Attachment file does not match its checksum');
+            }
+
+            res.setHeader('Content-Type', attachment.mimeType);
+            res.setHeader('Content-Length', content.length);
+            res.setHeader('Content-Disposition', `attachment; filename="${attachment.fileName.replace(/[^\x20-\x7e]|["\\]/g, '_')}"; filename*=UTF-8''${encodeURIComponent(attachment.fileName)}`);
+            res.setHeader('X-Content-Type-Options', 'nosniff');
+            res.setHeader('X-Checksum-SHA256', attachment.sha256);
+            res.send(content);
+        } catch (e) {
+            console.error(e);
+            if (e.status) {
+                return res.status(e.status).json({ error: e.message, ...e.details });
+            }
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+
+    // Delete an attachment and its stored file (<resource>:update)
+    app.delete(`${owner.path}/:id/attachments/:attachmentId`, authenticateToken, requirePermission(`${owner.resource}:update`), async (req, res) => {
+        try {
+            await assertAttachmentOwner(req.user, ownerType, req.params.id);
+            const attachment = await findAttachment(req.user, ownerType, req.params.id, req.params.attachmentId);
+            await auditedRunSql(req, 'Attachments', attachment.attachmentID, 'delete',
+                'DELETE FROM Attachments WHERE attachmentID = ?', [attachment.attachmentID]);
+            await removeStoredFiles([attachment.storageKey]);
+            res.json({ success: true, message: 'Attachment deleted successfully' });
+        } catch (e) {
+            console.error(e);
+            if (e.status) {
+                return res.status(e.status).json({ error: e.message, ...e.details });
+            }
+            res.status(500).json({ error: 'Server error' });
+        }
+    });
+}
+
+// ============================================
+// STATISTICS & REPORTS
+// ============================================
 
-// Get specific retired personnel (Read - accessible to all authenticated users)
-app.get('/api/personnel/retired/:id', authenticateToken, async (req, res) => {
+// Get dashboard statistics, counting only rows in the caller's scope (Read - reports:read)
+// With ?unitId=, counts roll up that unit and everything under it: personnel by unit,
+// equipment by the unit its location belongs to.
+app.get('/api/stats', authenticateToken, requirePermission('reports:read'), async (req, res) => {
     try {
-        const id = req.params.id;
-        const row = await getSql('SELECT * FROM RetiredPersonnel WHERE serviceID = ?', [id]);
-        if (!row) return res.status(404).json({ error: 'Personnel not found' });
-        res.json({ personnel: row });
+        const personnelUnit = await unitFilter(req.query.unitId, 'unitID');
+        const equipmentUnit = await unitFilter(req.query.unitId, 'l.locationID', { viaLocation: true });
+        // `live` leaves out rows in the recycle bin
+        const count = (from, live, type, column, unit) => {
+            const { clauses, params } = scopeFilter(req.user, type, column);
+            const all = [...live, ...unit.clauses, ...clauses];
+            return getSql(`SELECT COUNT(*) as c FROM ${from} WHERE ${all.join(' AND ')}`, [...unit.params, ...params]);
+        };
+        const serving = await count('ServingPersonnel', ['deletedAt IS NULL'], 'regiment', 'regiment', personnelUnit);
+        const retired = await count('RetiredPersonnel', ['deletedAt IS NULL'], 'regiment', 'regiment', personnelUnit);
+        const logistics = await count('Logistics l', ['l.deletedAt IS NULL'], 'location', 'l.location', equipmentUnit);
+        const artillery = await count('Artillery a INNER JOIN Logistics l ON a.equipmentID = l.equipmentID', ['a.deletedAt IS NULL', 'l.deletedAt IS NULL'], 'location', 'l.location', equipmentUnit);
+        const ships = await count('Ships s INNER JOIN Logistics l ON s.equipmentID = l.equipmentID', ['s.deletedAt IS NULL', 'l.deletedAt IS NULL'], 'location', 'l.location', equipmentUnit);
+        const jets = await count('Jets j INNER JOIN Logistics l ON j.equipmentID = l.equipmentID', ['j.deletedAt IS NULL', 'l.deletedAt IS NULL'], 'location', 'l.location', equipmentUnit);
+        
+        res.json({
+            total_serving: serving.c,
+            total_retired: retired.c,
+            total_equipment: logistics.c,
+            total_artillery: artillery.c,
+            total_ships: ships.c,
+            total_jets: jets.c
+        });
     } catch (e) {
         console.error(e);
+        if (e.status) {
+            return res.status(e.status).json({ error: e.message, ...e.details });
+        }
         res.status(500).json({ error: 'Server error' });
     }
 });
 
-// Add new retired personnel (Create - Admin only)
-app.post('/api/personnel/retired', authenticateToken, authorizeRole('admin'), async (req, res) => {
+// Breakdowns behind the dashboard charts (Read - reports:read)
+// ?unitId= rolls up a unit and the units under it. ?from=&to= limit equipment to what was procured
+// in that range and set the window of the retirements-due forecast (members reaching their rank's
+// retirement age; by default the next RETIREMENT_FORECAST_YEARS); ages are as of `to`.
+// Personnel breakdowns are the current serving strength, within the caller's regiments; equipment
+// figures are within their locations. Age and retirement figures are derived from DOB, so without
+// personnel:sensitive they are null and DOB is named in `masked`.
+app.get('/api/analytics', authenticateToken, requirePermission('reports:read'), async (req, res) => {
     try {
-        const { serviceID, firstName, lastName, DOB, lastRank, regiment, retirementDate, pension, awards, skills, healthPlan } = req.body;
-        
-        if (!serviceID || !firstName || !lastName || !DOB || !lastRank || !retirementDate || !pension) {
-            return res.status(400).json({ error: 'Missing required fields' });
+        const { from, to } = analyticsRange(req.query);
+        const personnel = [
+            { clauses: ['sp.deletedAt IS NULL'], params: [] },
+            await unitFilter(req.query.unitId, 'sp.unitID'),
+            scopeFilter(req.user, 'regiment', 'sp.regiment')
+        ];
+        const equipment = [
+            { clauses: ['l.deletedAt IS NULL'], params: [] },
+            await unitFilter(req.query.unitId, 'l.locationID', { viaLocation: true }),
+            scopeFilter(req.user, 'location', 'l.location'),
+            {
+                clauses: [from && 'l.procurementDate >= ?', to && 'l.procurementDate <= ?'].filter(Boolean),
+                params: [from, to].filter(Boolean)
+            }
+        ];
+        // SELECT `select` FROM `table` under `filters` (plus an `extra` one), followed by `rest`
+        const grouped = (select, table, filters, rest = '', extra = { clauses: [], params: [] }) => {
+            const all = [...filters, extra];
+            const clauses = all.flatMap(f => f.clauses);
+            return allSql(
+                `SELECT ${select} FROM ${table}${clauses.length ? ' WHERE ' + clauses.join(' AND ') : ''} ${rest}`,
+                all.flatMap(f => f.params)
+            );
+        };
+
+        const byRank = await grouped(
+            'sp.currRank AS rankCode, r.title, COUNT(*) AS count',
+            'ServingPersonnel sp LEFT JOIN Ranks r ON r.rankCode = sp.currRank',
+            personnel,
+            'GROUP BY sp.currRank, r.title, r.seniority ORDER BY r.seniority IS NULL, r.seniority, sp.currRank'
+        );
+        const byRegiment = await grouped(
+            'sp.regiment, COUNT(*) AS count', 'ServingPersonnel sp', personnel,
+            'GROUP BY sp.regiment ORDER BY count DESC, sp.regiment'
+        );
+        const byPostingType = await grouped(
+            'sp.postingType, COUNT(*) AS count', 'ServingPersonnel sp', personnel,
+            'GROUP BY sp.postingType ORDER BY sp.postingType'
+        );
+
+        const masked = [];
+        let ages = null;
+        let retirementsDue = null;
+        let retirementWindow = null;
+        if (hasPermission(req.user, 'personnel:sensitive')) {
+            const ageRows = await allSql(
+                `SELECT age, COUNT(*) AS count FROM (
+                    SELECT TIMESTAMPDIFF(YEAR, sp.DOB, COALESCE(?, CURDATE())) AS age FROM ServingPersonnel sp
+                    WHERE ${personnel.flatMap(f => f.clauses).join(' AND ')}
+                 ) ages GROUP BY age`,
+                [to, ...personnel.flatMap(f => f.params)]
+            );
+            ages = ageBands(ageRows);
+
+            retirementWindow = await getSql(
+                `SELECT DATE_FORMAT(COALESCE(?, CURDATE()), '%Y-%m-%d') AS \`from\`,
+                        DATE_FORMAT(COALESCE(?, DATE_ADD(COALESCE(?, CURDATE()), INTERVAL ? YEAR)), '%Y-%m-%d') AS \`to\``,
+                [from, to, from, RETIREMENT_FORECAST_YEARS]
+            );
+            const retiresOn = superannuationDateSql('sp', 'rr');
+            retirementsDue = await grouped(
+                `YEAR(${retiresOn}) AS year, COUNT(*) AS count`,
+                'ServingPersonnel sp LEFT JOIN RetirementRules rr ON rr.rankCode = sp.currRank',
+                personnel,
+                'GROUP BY year ORDER BY year',
+                { clauses: [`${retiresOn} BETWEEN ? AND ?`], params: [retirementWindow.from, retirementWindow.to] }
+            );
+        } else {
+            masked.push('DOB');
         }
 
-        await runSql(
-            'INSERT INTO RetiredPersonnel (serviceID, firstName, lastName, DOB, lastRank, regiment, retirementDate, pension, awards, skills, healthPlan) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
-            [serviceID, firstName, lastName, DOB, lastRank, regiment || null, retirementDate, pension, awards || null, skills || null, healthPlan || null]
+        const money = rows => rows.map(row => ({ ...row, value: Number(row.value) }));
+        const valueByType = money(await grouped(
+            'l.logisticsType, COUNT(*) AS count, SUM(l.cost) AS value', 'Logistics l', equipment,
+            'GROUP BY l.logisticsType ORDER BY value DESC, l.logisticsType'
+        ));
+        const valueByLocation = money(await grouped(
+            'l.location, COUNT(*) AS count, SUM(l.cost) AS value', 'Logistics l', equipment,
+            'GROUP BY l.location ORDER BY value DESC, l.location'
+        ));
+        const spendByYear = money(await grouped(
+            'YEAR(l.procurementDate) AS year, COUNT(*) AS count, SUM(l.cost) AS value', 'Logistics l', equipment,
+            'GROUP BY year ORDER BY year'
+        ));
+        const [assignment] = await grouped(
+            'COUNT(l.assignedTo) AS assigned, COUNT(*) - COUNT(l.assignedTo) AS unassigned', 'Logistics l', equipment
         );
 
-        res.json({ success: true, serviceID });
+        res.json({
+            from,
+            to,
+            personnel: {
+                total: byRank.reduce((sum, row) => sum + row.count, 0),
+                byRank,
+                byRegiment,
+                byPostingType: byPostingType.map(row => ({ ...row, label: POSTING_TYPES[row.postingType] || row.postingType })),
+                ageBands: ages,
+                retirementWindow,
+                retirementsDue
+            },
+            equipment: {
+                total: valueByType.reduce((sum, row) => sum + row.count, 0),
+                value: valueByType.reduce((sum, row) => sum + row.value, 0),
+                valueByType,
+                valueByLocation,
+                spendByYear,
+                assigned: Number(assignment.assigned),
+                unassigned: Number(assignment.unassigned)
+            },
+            masked
+        });
     } catch (e) {
         console.error(e);
-        if (e.code === 'ER_DUP_ENTRY') {
-            return res.status(409).json({ error: 'Service ID already exists' });
+        if (e.status) {
+            return res.status(e.status).json({ error: e.message, ...e.details });
         }
         res.status(500).json({ error: 'Server error' });
     }
 });
 
-// Update retired personnel (Admin only)
-app.put('/api/personnel/retired/:id', authenticateToken, authorizeRole('admin'), async (req, res) => {
+// Get personnel with assigned equipment (JOIN query) (Read - reports:read; exports also need reports:export)
+// Personnel outside the caller's regiments and equipment outside their locations are left out.
+// ?unitId= limits it to personnel of that unit and the units under it.
+app.get('/api/reports/personnel-equipment', authenticateToken, requirePermission('reports:read'), async (req, res) => {
     try {
-        const id = req.params.id;
-        const { firstName, lastName, DOB, lastRank, regiment, retirementDate, pension, awards, skills, healthPlan } = req.body;
-        
-        if (!firstName || !lastName || !DOB || !lastRank || !retirementDate || !pension) {
-            return res.status(400).json({ error: 'Missing required fields' });
-        }
-
-        await runSql(
-            'UPDATE RetiredPersonnel SET firstName = ?, lastName = ?, DOB = ?, lastRank = ?, regiment = ?, retirementDate = ?, pension = ?, awards = ?, skills = ?, healthPlan = ? WHERE serviceID = ?',
-            [firstName, lastName, DOB, lastRank, regiment || null, retirementDate, pension, awards || null, skills || null, healthPlan || null, id]
-        );
-
-        res.json({ success: true, message: 'Personnel updated successfully' });
+        const unit = await unitFilter(req.query.unitId, 'sp.unitID');
+        const personnelScope = scopeFilter(req.user, 'regiment', 'sp.regiment');
+        const equipmentScope = scopeFilter(req.user, 'location', 'l.location');
+        const sql = `
+            SELECT 
+                sp.serviceID,
+                sp.firstName,
+                sp.lastName,
+                sp.currRank,
+                sp.regiment,
+                l.equipmentID,
+                l.logisticsType,
+                l.location,
+                l.cost
+            FROM ServingPersonnel sp
+            LEFT JOIN Logistics l ON sp.serviceID = l.assignedTo AND l.deletedAt IS NULL${equipmentScope.clauses.map(c => ' AND ' + c).join('')}
+            WHERE ${['sp.deletedAt IS NULL', ...unit.clauses, ...personnelScope.clauses].join(' AND ')}
+            ORDER BY sp.serviceID
+        `;
+        const rows = await allSql(sql, [...equipmentScope.params, ...unit.params, ...personnelScope.params]);
+        await sendList(req, res, 'assignments', rows, 'personnelEquipment');
     } catch (e) {
         console.error(e);
+        if (e.status) {
+            return res.status(e.status).json({ error: e.message, ...e.details });
+        }
         res.status(500).json({ error: 'Server error' });
     }
 });
 
-// Delete retired personnel (Admin only)
-app.delete('/api/personnel/retired/:id', authenticateToken, authorizeRole('admin'), async (req, res) => {
+// Get equipment assigned to specific personnel (Read - equipment:read)
+// `equipment` is what they hold now; `history` is every custody record, current and past,
+// so retired members keep theirs. Only equipment in the caller's locations, held by
+// personnel in the caller's regiments.
+app.get('/api/equipment/assigned/:personnelId', authenticateToken, requirePermission('equipment:read'), async (req, res) => {
     try {
-        const id = req.params.id;
-        await runSql('DELETE FROM RetiredPersonnel WHERE serviceID = ?', [id]);
-        res.json({ success: true, message: 'Personnel deleted successfully' });
+        const personnelId = req.params.personnelId;
+        const person = await getSql(
+            `SELECT regiment FROM ServingPersonnel WHERE serviceID = ? AND deletedAt IS NULL
+             UNION ALL SELECT regiment FROM RetiredPersonnel WHERE serviceID = ? AND deletedAt IS NULL`,
+            [personnelId, personnelId]
+        );
+        if (person && !inScope(req.user, 'regiment', person.regiment)) {
+            return res.json({ equipment: [], history: [] });
+        }
+
+        const equipmentScope = scopeFilter(req.user, 'location', 'l.location');
+        const current = await allSql(
+            `SELECT l.* FROM Logistics l
+             WHERE ${['l.assignedTo = ?', 'l.deletedAt IS NULL', ...equipmentScope.clauses].join(' AND ')}
+             ORDER BY l.equipmentID`,
+            [personnelId, ...equipmentScope.params]
+        );
+        // Deleted personnel (purged or in the recycle bin) have no regiment left to scope by, so only unscoped users see their history
+        const history = person || req.user.scopes.regiment.length === 0
+            ? await allSql(
+                `SELECT ea.*, l.logisticsType, l.location FROM EquipmentAssignment ea
+                 INNER JOIN Logistics l ON l.equipmentID = ea.equipmentID
+                 WHERE ${['ea.serviceID = ?', 'l.deletedAt IS NULL', ...equipmentScope.clauses].join(' AND ')}
+                 ORDER BY ea.fromDate DESC, ea.assignmentID DESC`,
+                [personnelId, ...equipmentScope.params]
+            )
+            : [];
+        res.json({ equipment: current, history });
     } catch (e) {
         console.error(e);
         res.status(500).json({ error: 'Server error' });
@@ -419,104 +6002,185 @@ app.delete('/api/personnel/retired/:id', authenticateToken, authorizeRole('admin
 });
 
 // ============================================
-// LOGISTICS & EQUIPMENT ENDPOINTS
+// RECYCLE BIN
 // ============================================
+// Deleted personnel, equipment and user accounts, kept for RECYCLE_RETENTION_DAYS and then
+// purged. Each type needs its delete permission (see RECYCLE_BIN); records outside the
+// caller's scope answer 404, and only accounts whose role they could manage can be touched.
 
-// Get all logistics equipment with optional filters (Read - accessible to all authenticated users)
-app.get('/api/logistics', authenticateToken, async (req, res) => {
-    try {
-        const { type, location, assignedTo } = req.query;
-        let clauses = [];
-        let params = [];
+/**
+ * Throws unless the user may restore or purge record `id` of `type`: for an account,
+ * as for deleting one, its role must be within their own permissions.
+ */
+async function assertCanManageDeleted(user, type, id, db = pool) {
+    const row = await findDeleted(user, type, id, db);
+    if (type === 'users') await assertCanManageRole(user, row.role, db);
+}
 
-        if (type) {
-            clauses.push('logisticsType = ?');
-            params.push(type);
-        }
-        if (location) {
-            clauses.push('location LIKE ?');
-            params.push('%' + location + '%');
+// List the recycle bin, most recently deleted first (the delete permission of each type shown)
+// Query params: type (serving, retired, logistics, artillery, ships, jets or users). A subtype row
+// deleted with its Logistics record is restored with it, so it is not listed on its own.
+app.get('/api/recycle-bin', authenticateToken, async (req, res) => {
+    try {
+        const { type } = req.query;
+        if (type && !RECYCLE_BIN[type]) {
+            return res.status(400).json({ error: `type must be one of: ${Object.keys(RECYCLE_BIN).join(', ')}` });
         }
-        if (assignedTo) {
-            clauses.push('assignedTo = ?');
-            params.push(assignedTo);
+        const types = Object.keys(RECYCLE_BIN).filter(t => (!type || t === type) && hasPermission(req.user, RECYCLE_BIN[t].permission));
+        if (!types.length) {
+            return res.status(403).json({ error: 'Insufficient permissions' });
         }
 
-        const where = clauses.length ? (' WHERE ' + clauses.join(' AND ')) : '';
-        const sql = 'SELECT * FROM Logistics' + where + ' ORDER BY equipmentID';
-        const rows = await allSql(sql, params);
-        res.json({ equipment: rows });
-    } catch (e) {
-        console.error(e);
-        res.status(500).json({ error: 'Server error' });
-    }
-});
+        const items = [];
+        for (const t of types) {
+            const entry = RECYCLE_BIN[t];
+            const parent = entry.parent && RECYCLE_BIN[entry.parent];
+            const scope = entry.scope ? scopeFilter(req.user, ...entry.scope) : { clauses: [], params: [] };
+            const clauses = ['t.deletedAt IS NOT NULL', ...(parent ? ['NOT (p.deletedAt <=> t.deletedAt)'] : []), ...scope.clauses];
+            const rows = await allSql(
+                `SELECT t.${entry.key} AS id, ${entry.label} AS label, t.deletedAt, t.deletedBy, t.deletedByName,
+                        DATE_ADD(t.deletedAt, INTERVAL ? DAY) AS purgeAfter
+                 FROM ${entry.table} t${parent ? ` INNER JOIN ${parent.table} p ON p.${parent.key} = t.${entry.key}` : ''}
+                 WHERE ${clauses.join(' AND ')}`,
+                [RECYCLE_RETENTION_DAYS, ...scope.params]
+            );
+            rows.forEach(row => items.push({ type: t, ...row }));
+        }
+        items.sort((a, b) => b.deletedAt - a.deletedAt);
 
-// Get specific equipment (Read - accessible to all authenticated users)
-app.get('/api/logistics/:id', authenticateToken, async (req, res) => {
-    try {
-        const id = req.params.id;
-        const row = await getSql('SELECT * FROM Logistics WHERE equipmentID = ?', [id]);
-        if (!row) return res.status(404).json({ error: 'Equipment not found' });
-        res.json({ equipment: row });
+        res.json({ items, types, retentionDays: RECYCLE_RETENTION_DAYS });
     } catch (e) {
         console.error(e);
         res.status(500).json({ error: 'Server error' });
     }
 });
 
-// Add new equipment (Create - Admin only)
-app.post('/api/logistics', authenticateToken, authorizeRole('admin'), async (req, res) => {
-    try {
-        const { equipmentID, logisticsType, cost, procurementDate, tech, location, assignedTo } = req.body;
-        
-        if (!equipmentID || !logisticsType || !cost || !procurementDate || !location) {
-            return res.status(400).json({ error: 'Missing required fields' });
+for (const [type, entry] of Object.entries(RECYCLE_BIN)) {
+    // Restore a deleted record, with the records deleted along with it (<resource>:delete)
+    // `restored` names the types of those brought back with it.
+    app.post(`/api/recycle-bin/${type}/:id/restore`, authenticateToken, requirePermission(entry.permission), async (req, res) => {
+        try {
+            const id = req.params.id;
+            const restored = await withTransaction(async (conn) => {
+                await assertCanManageDeleted(req.user, type, id, conn);
+                return restoreDeleted(req, type, id, conn);
+            });
+            res.json({ success: true, type, id, restored, message: 'Record restored successfully' });
+        } catch (e) {
+            console.error(e);
+            if (e.status) {
+                return res.status(e.status).json({ error: e.message, ...e.details });
+            }
+            res.status(500).json({ error: 'Server error' });
         }
+    });
 
-        await runSql(
-            'INSERT INTO Logistics (equipmentID, logisticsType, cost, procurementDate, tech, location, assignedTo) VALUES (?, ?, ?, ?, ?, ?, ?)',
-            [equipmentID, logisticsType, cost, procurementDate, tech || null, location, assignedTo || null]
-        );
-
-        res.json({ success: true, equipmentID });
-    } catch (e) {
-        console.error(e);
-        if (e.code === 'ER_DUP_ENTRY') {
-            return res.status(409).json({ error: 'Equipment ID already exists' });
+    // Purge a deleted record now, before its retention period is over (<resource>:delete)
+    app.delete(`/api/recycle-bin/${type}/:id`, authenticateToken, requirePermission(entry.permission), async (req, res) => {
+        try {
+            const id = req.params.id;
+            const files = await withTransaction(async (conn) => {
+                await assertCanManageDeleted(req.user, type, id, conn);
+                return purgeDeleted(req, type, id, conn);
+            });
+            await removeStoredFiles(files);
+            res.json({ success: true, type, id, message: 'Record purged permanently' });
+        } catch (e) {
+            console.error(e);
+            if (e.status) {
+                return res.status(e.status).json({ error: e.message, ...e.details });
+            }
+            res.status(500).json({ error: 'Server error' });
         }
-        res.status(500).json({ error: 'Server error' });
-    }
-});
+    });
+}
+
+// ============================================
+// AUDIT LOG
+// ============================================
 
-// Update equipment (Admin only)
-app.put('/api/logistics/:id', authenticateToken, authorizeRole('admin'), async (req, res) => {
+// Query the audit trail with optional filters (audit:read)
+// Query params: entity, key, user (userID or username), from, to (dates, inclusive), limit
+app.get('/api/audit', authenticateToken, requirePermission('audit:read'), async (req, res) => {
     try {
-        const id = req.params.id;
-        const { logisticsType, cost, procurementDate, tech, location, assignedTo } = req.body;
-        
-        if (!logisticsType || !cost || !procurementDate || !location) {
-            return res.status(400).json({ error: 'Missing required fields' });
-        }
+        const { entity, key, user, from, to } = req.query;
+        let clauses = [];
+        let params = [];
 
-        await runSql(
-            'UPDATE Logistics SET logisticsType = ?, cost = ?, procurementDate = ?, tech = ?, location = ?, assignedTo = ? WHERE equipmentID = ?',
-            [logisticsType, cost, procurementDate, tech || null, location, assignedTo || null, id]
-        );
+        if (entity) {
+            clauses.push('entity = ?');
+            params.push(entity);
+        }
+        if (key) {
+            clauses.push('entityKey = ?');
+            params.push(key);
+        }
+        if (user) {
+            clauses.push('(userID = ? OR username = ?)');
+            params.push(Number(user) || 0, user);
+        }
+        if (from) {
+            clauses.push('createdAt >= ?');
+            params.push(from);
+        }
+        if (to) {
+            clauses.push('createdAt < DATE_ADD(?, INTERVAL 1 DAY)');
+            params.push(to);
+        }
 
-        res.json({ success: true, message: 'Equipment updated successfully' });
+        const limit = Math.min(parseInt(req.query.limit, 10) || 200, 1000);
+        const where = clauses.length ? (' WHERE ' + clauses.join(' AND ')) : '';
+        const sql = 'SELECT * FROM AuditLog' + where + ' ORDER BY createdAt DESC, auditID DESC LIMIT ?';
+        const rows = await allSql(sql, [...params, limit]);
+        const entries = rows.map(entry => ({
+            ...entry,
+            beforeData: maskRows(req.user, [entry.beforeData], MASKED_VALUE).rows[0],
+            afterData: maskRows(req.user, [entry.afterData], MASKED_VALUE).rows[0]
+        }));
+        res.json({ entries });
     } catch (e) {
         console.error(e);
         res.status(500).json({ error: 'Server error' });
     }
 });
 
-// Delete equipment (Admin only)
-app.delete('/api/logistics/:id', authenticateToken, authorizeRole('admin'), async (req, res) => {
+// Login, registration and password change attempts, newest first (audit:read)
+// Query params: action (login, register or password), user (username), ip, success (true or false), from, to, limit
+app.get('/api/audit/logins', authenticateToken, requirePermission('audit:read'), async (req, res) => {
     try {
-        const id = req.params.id;
-        await runSql('DELETE FROM Logistics WHERE equipmentID = ?', [id]);
-        res.json({ success: true, message: 'Equipment deleted successfully' });
+        const { action, user, ip, success, from, to } = req.query;
+        let clauses = [];
+        let params = [];
+
+        if (action) {
+            clauses.push('action = ?');
+            params.push(action);
+        }
+        if (user) {
+            clauses.push('username = ?');
+            params.push(user);
+        }
+        if (ip) {
+            clauses.push('ipAddress = ?');
+            params.push(ip);
+        }
+        if (success === 'true' || success === 'false') {
+            clauses.push('success = ?');
+            params.push(success === 'true');
+        }
+        if (from) {
+            clauses.push('createdAt >= ?');
+            params.push(from);
+        }
+        if (to) {
+            clauses.push('createdAt < DATE_ADD(?, INTERVAL 1 DAY)');
+            params.push(to);
+        }
+
+        const limit = Math.min(parseInt(req.query.limit, 10) || 200, 1000);
+        const where = clauses.length ? (' WHERE ' + clauses.join(' AND ')) : '';
+        const attempts = await allSql('SELECT * FROM AuthAttempts' + where + ' ORDER BY createdAt DESC, attemptID DESC LIMIT ?', [...params, limit]);
+        res.json({ attempts });
     } catch (e) {
         console.error(e);
         res.status(500).json({ error: 'Server error' });
@@ -524,379 +6188,564 @@ app.delete('/api/logistics/:id', authenticateToken, authorizeRole('admin'), asyn
 });
 
 // ============================================
-// ARTILLERY ENDPOINTS
+// ROLE MANAGEMENT
 // ============================================
 
-// Get all artillery (Read - accessible to all authenticated users)
-app.get('/api/artillery', authenticateToken, async (req, res) => {
+/**
+ * Throws unless `roleName` exists and grants nothing beyond the acting user's own
+ * permissions, so nobody can hand out (or take away) more access than they hold.
+ */
+async function assertCanManageRole(user, roleName, db = pool) {
+    const role = await getSql('SELECT roleName FROM Roles WHERE roleName = ?', [roleName], db);
+    if (!role) {
+        throw httpError(400, `Unknown role: ${roleName}`);
+    }
+    const missing = (await rolePermissions(roleName, db)).filter(p => !hasPermission(user, p));
+    if (missing.length) {
+        throw httpError(403, `Role ${roleName} grants permissions you do not have: ${missing.join(', ')}`);
+    }
+}
+
+/**
+ * Validates a permission list from a request body against the catalogue and the
+ * acting user's own permissions; returns it de-duplicated.
+ */
+function grantablePermissions(user, permissions) {
+    if (!Array.isArray(permissions) || permissions.some(p => typeof p !== 'string')) {
+        throw httpError(400, 'Permissions must be an array of "resource:action" strings');
+    }
+    const unknown = permissions.filter(p => !ALL_PERMISSIONS.includes(p));
+    if (unknown.length) {
+        throw httpError(400, `Unknown permissions: ${unknown.join(', ')}`);
+    }
+    const missing = permissions.filter(p => !hasPermission(user, p));
+    if (missing.length) {
+        throw httpError(403, `Cannot grant permissions you do not have: ${missing.join(', ')}`);
+    }
+    return [...new Set(permissions)];
+}
+
+// Get all roles with their permissions and the permission catalogue (roles:read)
+app.get('/api/roles', authenticateToken, requirePermission('roles:read'), async (req, res) => {
     try {
-        const sql = `
-            SELECT a.*, l.logisticsType, l.cost, l.procurementDate, l.tech, l.location, l.assignedTo
-            FROM Artillery a
-            INNER JOIN Logistics l ON a.equipmentID = l.equipmentID
-            ORDER BY a.equipmentID
-        `;
-        const rows = await allSql(sql);
-        res.json({ artillery: rows });
+        const roles = await allSql(
+            `SELECT r.roleName, r.description, r.builtIn, r.requireTwoFactor, r.createdAt, COUNT(u.userID) AS userCount
+             FROM Roles r
+             LEFT JOIN Users u ON u.role = r.roleName
+             GROUP BY r.roleName, r.description, r.builtIn, r.requireTwoFactor, r.createdAt
+             ORDER BY r.builtIn DESC, r.roleName`
+        );
+        const grants = await allSql('SELECT roleName, permission FROM RolePermissions ORDER BY permission');
+        for (const role of roles) {
+            role.builtIn = Boolean(role.builtIn);
+            role.requireTwoFactor = Boolean(role.requireTwoFactor);
+            role.permissions = grants.filter(g => g.roleName === role.roleName).map(g => g.permission);
+        }
+        res.json({ roles, permissions: PERMISSIONS });
     } catch (e) {
         console.error(e);
         res.status(500).json({ error: 'Server error' });
     }
 });
 
-// Add new artillery (Create - Admin only)
-app.post('/api/artillery', authenticateToken, authorizeRole('admin'), async (req, res) => {
+// Add new role (Create - roles:create)
+app.post('/api/roles', authenticateToken, requirePermission('roles:create'), async (req, res) => {
     try {
-        const { equipmentID, type, artRange, commissioningDate } = req.body;
-        
-        if (!equipmentID || !type || !artRange || !commissioningDate) {
-            return res.status(400).json({ error: 'Missing required fields' });
+        const { roleName, description } = req.body;
+
+        if (typeof roleName !== 'string' || !/^[a-z][a-z0-9_]{1,49}$/.test(roleName)) {
+            return res.status(400).json({ error: 'Role name must be 2-50 lowercase letters, digits or underscores, starting with a letter' });
         }
+        const permissions = grantablePermissions(req.user, req.body.permissions || []);
 
-        await runSql(
-            'INSERT INTO Artillery (equipmentID, type, artRange, commissioningDate) VALUES (?, ?, ?, ?)',
-            [equipmentID, type, artRange, commissioningDate]
-        );
+        await withTransaction(async conn => {
+            await runSql(
+                'INSERT INTO Roles (roleName, description, requireTwoFactor) VALUES (?, ?, ?)',
+                [roleName, description || null, Boolean(req.body.requireTwoFactor)],
+                conn
+            );
+            for (const permission of permissions) {
+                await runSql('INSERT INTO RolePermissions (roleName, permission) VALUES (?, ?)', [roleName, permission], conn);
+            }
+            await recordAudit(req, 'Roles', roleName, 'create', null, await snapshotRow('Roles', roleName, conn), conn);
+        });
 
-        res.json({ success: true, equipmentID });
+        res.json({ success: true, roleName });
     } catch (e) {
         console.error(e);
+        if (e.status) {
+            return res.status(e.status).json({ error: e.message, ...e.details });
+        }
         if (e.code === 'ER_DUP_ENTRY') {
-            return res.status(409).json({ error: 'Equipment ID already exists' });
+            return res.status(409).json({ error: 'Role already exists' });
         }
         res.status(500).json({ error: 'Server error' });
     }
 });
 
-// Update artillery (Admin only)
-app.put('/api/artillery/:id', authenticateToken, authorizeRole('admin'), async (req, res) => {
+// Update a role's description, permissions and/or requireTwoFactor (roles:update)
+// The admin role always holds every permission; only requireTwoFactor can be changed on it.
+// Like any role assignment, the role may grant nothing beyond the caller's own permissions.
+app.put('/api/roles/:roleName', authenticateToken, requirePermission('roles:update'), async (req, res) => {
     try {
-        const id = req.params.id;
-        const { type, artRange, commissioningDate } = req.body;
-        
-        if (!type || !artRange || !commissioningDate) {
-            return res.status(400).json({ error: 'Missing required fields' });
+        const roleName = req.params.roleName;
+        const { description, requireTwoFactor } = req.body;
+
+        if (roleName === 'admin' && (description !== undefined || req.body.permissions !== undefined)) {
+            return res.status(400).json({ error: 'The admin role cannot be changed, except to require two-factor authentication' });
         }
+        if (requireTwoFactor !== undefined && typeof requireTwoFactor !== 'boolean') {
+            return res.status(400).json({ error: 'requireTwoFactor must be true or false' });
+        }
+        const permissions = req.body.permissions === undefined ? null : grantablePermissions(req.user, req.body.permissions);
 
-        await runSql(
-            'UPDATE Artillery SET type = ?, artRange = ?, commissioningDate = ? WHERE equipmentID = ?',
-            [type, artRange, commissioningDate, id]
-        );
+        await withTransaction(async conn => {
+            const before = await snapshotRow('Roles', roleName, conn);
+            if (!before) throw httpError(404, 'Role not found');
+            await assertCanManageRole(req.user, roleName, conn);
+
+            if (description !== undefined) {
+                await runSql('UPDATE Roles SET description = ? WHERE roleName = ?', [description || null, roleName], conn);
+            }
+            if (requireTwoFactor !== undefined) {
+                await runSql('UPDATE Roles SET requireTwoFactor = ? WHERE roleName = ?', [requireTwoFactor, roleName], conn);
+            }
+            if (permissions) {
+                await runSql('DELETE FROM RolePermissions WHERE roleName = ?', [roleName], conn);
+                for (const permission of permissions) {
+                    await runSql('INSERT INTO RolePermissions (roleName, permission) VALUES (?, ?)', [roleName, permission], conn);
+                }
+            }
+            await recordAudit(req, 'Roles', roleName, 'update', before, await snapshotRow('Roles', roleName, conn), conn);
+        });
 
-        res.json({ success: true, message: 'Artillery updated successfully' });
+        res.json({ success: true, message: 'Role updated successfully' });
     } catch (e) {
         console.error(e);
+        if (e.status) {
+            return res.status(e.status).json({ error: e.message, ...e.details });
+        }
         res.status(500).json({ error: 'Server error' });
     }
 });
 
-// Delete artillery (Admin only)
-app.delete('/api/artillery/:id', authenticateToken, authorizeRole('admin'), async (req, res) => {
+// Delete role (roles:delete) - only custom roles that no user holds and that grant nothing beyond the caller's permissions
+app.delete('/api/roles/:roleName', authenticateToken, requirePermission('roles:delete'), async (req, res) => {
     try {
-        const id = req.params.id;
-        await runSql('DELETE FROM Artillery WHERE equipmentID = ?', [id]);
-        res.json({ success: true, message: 'Artillery deleted successfully' });
+        const roleName = req.params.roleName;
+
+        const role = await getSql(
+            'SELECT r.builtIn, (SELECT COUNT(*) FROM Users u WHERE u.role = r.roleName) AS userCount FROM Roles r WHERE r.roleName = ?',
+            [roleName]
+        );
+        if (!role) {
+            return res.status(404).json({ error: 'Role not found' });
+        }
+        await assertCanManageRole(req.user, roleName);
+        if (role.builtIn) {
+            return res.status(400).json({ error: 'Built-in roles cannot be deleted' });
+        }
+        if (role.userCount > 0) {
+            return res.status(409).json({ error: `Role is still assigned to ${role.userCount} user(s)` });
+        }
+
+        await auditedRunSql(req, 'Roles', roleName, 'delete', 'DELETE FROM Roles WHERE roleName = ?', [roleName]);
+        res.json({ success: true, message: 'Role deleted successfully' });
     } catch (e) {
         console.error(e);
+        if (e.status) {
+            return res.status(e.status).json({ error: e.message, ...e.details });
+        }
         res.status(500).json({ error: 'Server error' });
     }
 });
 
 // ============================================
-// SHIPS ENDPOINTS
+// USER MANAGEMENT
 // ============================================
 
-// Get all ships (Read - accessible to all authenticated users)
-app.get('/api/ships', authenticateToken, async (req, res) => {
+// Get all users with their scopes, plus the role names and scope values they can be given (users:read)
+// ?deleted=include or ?deleted=only also lists accounts in the recycle bin (needs users:delete)
+app.get('/api/users', authenticateToken, requirePermission('users:read'), async (req, res) => {
     try {
-        const sql = `
-            SELECT s.*, l.logisticsType, l.cost, l.procurementDate, l.tech, l.location, l.assignedTo
-            FROM Ships s
-            INNER JOIN Logistics l ON s.equipmentID = l.equipmentID
-            ORDER BY s.equipmentID
-        `;
-        const rows = await allSql(sql);
-        res.json({ ships: rows });
-    } catch (e) {
-        console.error(e);
-        res.status(500).json({ error: 'Server error' });
-    }
-});
+        const deleted = deletedFilter(req.user, req.query, 'deletedAt', 'users:delete');
+        const rows = await allSql(
+            `SELECT userID, username, role, status, createdAt, failedLogins, lockedUntil > NOW() AS locked, lockedUntil,
+                    mustChangePassword, resetTokenExpires > NOW() AS resetPending, resetTokenExpires,
+                    totpEnabledAt IS NOT NULL AS twoFactorEnabled,
+                    passwordChangedAt, ${passwordExpiredSql('Users')} AS passwordExpired,
+                    deletedAt, deletedByName FROM Users
+             ${deleted.clauses.length ? `WHERE ${deleted.clauses.join(' AND ')}` : ''} ORDER BY createdAt DESC`,
+            deleted.params
+        );
+        const roles = await allSql('SELECT roleName FROM Roles ORDER BY builtIn DESC, roleName');
 
-// Add new ship (Create - Admin only)
-app.post('/api/ships', authenticateToken, authorizeRole('admin'), async (req, res) => {
-    try {
-        const { equipmentID, shipName, shipType, staffSize, commissioningDate } = req.body;
-        
-        if (!equipmentID || !shipName || !shipType || !staffSize || !commissioningDate) {
-            return res.status(400).json({ error: 'Missing required fields' });
+        const scopes = await allSql('SELECT userID, scopeType, scopeValue FROM UserScopes ORDER BY scopeValue');
+        for (const user of rows) {
+            user.scopes = { regiment: [], location: [] };
+            scopes.filter(sc => sc.userID === user.userID).forEach(sc => user.scopes[sc.scopeType].push(sc.scopeValue));
         }
 
-        await runSql(
-            'INSERT INTO Ships (equipmentID, shipName, shipType, staffSize, commissioningDate) VALUES (?, ?, ?, ?, ?)',
-            [equipmentID, shipName, shipType, staffSize, commissioningDate]
-        );
+        // Known units and locations; a scoped caller can only hand out their own
+        const regiments = await allSql('SELECT name AS value FROM Units ORDER BY name');
+        const locations = await allSql('SELECT name AS value FROM Locations ORDER BY name');
+        const scopeOptions = {
+            regiment: req.user.scopes.regiment.length ? req.user.scopes.regiment : regiments.map(r => r.value),
+            location: req.user.scopes.location.length ? req.user.scopes.location : locations.map(l => l.value)
+        };
 
-        res.json({ success: true, equipmentID });
+        res.json({ users: rows, roles: roles.map(r => r.roleName), scopeOptions });
     } catch (e) {
         console.error(e);
-        if (e.code === 'ER_DUP_ENTRY') {
-            return res.status(409).json({ error: 'Equipment ID already exists' });
+        if (e.status) {
+            return res.status(e.status).json({ error: e.message, ...e.details });
         }
         res.status(500).json({ error: 'Server error' });
     }
 });
 
-// Update ship (Admin only)
-app.put('/api/ships/:id', authenticateToken, authorizeRole('admin'), async (req, res) => {
+// Update user role (users:update)
+app.put('/api/users/:userId/role', authenticateToken, requirePermission('users:update'), async (req, res) => {
     try {
-        const id = req.params.id;
-        const { shipName, shipType, staffSize, commissioningDate } = req.body;
-        
-        if (!shipName || !shipType || !staffSize || !commissioningDate) {
-            return res.status(400).json({ error: 'Missing required fields' });
+        const userId = req.params.userId;
+        const { role } = req.body;
+
+        if (!role || typeof role !== 'string') {
+            return res.status(400).json({ error: 'Role is required' });
         }
 
-        await runSql(
-            'UPDATE Ships SET shipName = ?, shipType = ?, staffSize = ?, commissioningDate = ? WHERE equipmentID = ?',
-            [shipName, shipType, staffSize, commissioningDate, id]
-        );
+        const currentUser = await getSql('SELECT role FROM Users WHERE userID = ? AND deletedAt IS NULL', [userId]);
+        if (!currentUser) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        // Both the user's current role and the new one must be within the caller's own permissions
+        await assertCanManageRole(req.user, currentUser.role);
+        await assertCanManageRole(req.user, role);
+
+        // Prevent removing the admin role from the only admin
+        if (currentUser.role === 'admin' && role !== 'admin') {
+            const adminCount = await getSql('SELECT COUNT(*) as c FROM Users WHERE role = "admin" AND deletedAt IS NULL');
+            if (adminCount.c <= 1) {
+                return res.status(400).json({ error: 'Cannot remove the last admin user' });
+            }
+        }
 
-        res.json({ success: true, message: 'Ship updated successfully' });
+        await auditedRunSql(req, 'Users', userId, 'update', 'UPDATE Users SET role = ? WHERE userID = ?', [role, userId]);
+        await revokeUserSessions(userId);
+        res.json({ success: true, message: 'User role updated successfully' });
     } catch (e) {
         console.error(e);
+        if (e.status) {
+            return res.status(e.status).json({ error: e.message, ...e.details });
+        }
         res.status(500).json({ error: 'Server error' });
     }
 });
 
-// Delete ship (Admin only)
-app.delete('/api/ships/:id', authenticateToken, authorizeRole('admin'), async (req, res) => {
+// Replace a user's access scopes (users:update)
+// Body: { regiment: [...], location: [...] }; an empty or missing list removes that restriction.
+app.put('/api/users/:userId/scopes', authenticateToken, requirePermission('users:update'), async (req, res) => {
     try {
-        const id = req.params.id;
-        await runSql('DELETE FROM Ships WHERE equipmentID = ?', [id]);
-        res.json({ success: true, message: 'Ship deleted successfully' });
-    } catch (e) {
-        console.error(e);
-        res.status(500).json({ error: 'Server error' });
-    }
-});
+        const userId = req.params.userId;
 
-// ============================================
-// JETS ENDPOINTS
-// ============================================
+        const scopes = {};
+        for (const type of SCOPE_TYPES) {
+            const values = req.body[type] || [];
+            if (!Array.isArray(values) || values.some(v => typeof v !== 'string' || !v.trim() || v.length > 100)) {
+                return res.status(400).json({ error: `${type} must be an array of names (up to 100 characters)` });
+            }
+            scopes[type] = [...new Set(values.map(v => v.trim()))];
 
-// Get all jets (Read - accessible to all authenticated users)
-app.get('/api/jets', authenticateToken, async (req, res) => {
-    try {
-        const sql = `
-            SELECT j.*, l.logisticsType, l.cost, l.procurementDate, l.tech, l.location, l.assignedTo
-            FROM Jets j
-            INNER JOIN Logistics l ON j.equipmentID = l.equipmentID
-            ORDER BY j.equipmentID
-        `;
-        const rows = await allSql(sql);
-        res.json({ jets: rows });
-    } catch (e) {
-        console.error(e);
-        res.status(500).json({ error: 'Server error' });
-    }
-});
+            // A scoped caller can neither widen a scope beyond their own nor lift it
+            if (req.user.scopes[type].length && (scopes[type].length === 0 || !scopes[type].every(v => inScope(req.user, type, v)))) {
+                return res.status(403).json({ error: `You can only assign ${type} scopes within your own: ${req.user.scopes[type].join(', ')}` });
+            }
+        }
 
-// Add new jet (Create - Admin only)
-app.post('/api/jets', authenticateToken, authorizeRole('admin'), async (req, res) => {
-    try {
-        const { equipmentID, jetName, jetType, speed, commissioningDate } = req.body;
-        
-        if (!equipmentID || !jetName || !jetType || !speed || !commissioningDate) {
-            return res.status(400).json({ error: 'Missing required fields' });
+        const user = await getSql('SELECT role FROM Users WHERE userID = ? AND deletedAt IS NULL', [userId]);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
         }
+        await assertCanManageRole(req.user, user.role);
 
-        await runSql(
-            'INSERT INTO Jets (equipmentID, jetName, jetType, speed, commissioningDate) VALUES (?, ?, ?, ?, ?)',
-            [equipmentID, jetName, jetType, speed, commissioningDate]
-        );
+        await withTransaction(async conn => {
+            const before = await snapshotRow('Users', userId, conn);
+            await runSql('DELETE FROM UserScopes WHERE userID = ?', [userId], conn);
+            for (const type of SCOPE_TYPES) {
+                for (const value of scopes[type]) {
+                    await runSql('INSERT INTO UserScopes (userID, scopeType, scopeValue) VALUES (?, ?, ?)', [userId, type, value], conn);
+                }
+            }
+            await recordAudit(req, 'Users', userId, 'update', before, await snapshotRow('Users', userId, conn), conn);
+        });
 
-        res.json({ success: true, equipmentID });
+        res.json({ success: true, scopes, message: 'User scopes updated successfully' });
     } catch (e) {
         console.error(e);
-        if (e.code === 'ER_DUP_ENTRY') {
-            return res.status(409).json({ error: 'Equipment ID already exists' });
+        if (e.status) {
+            return res.status(e.status).json({ error: e.message, ...e.details });
         }
         res.status(500).json({ error: 'Server error' });
     }
 });
 
-// Update jet (Admin only)
-app.put('/api/jets/:id', authenticateToken, authorizeRole('admin'), async (req, res) => {
+// Approve a registration waiting for approval, letting the user log in (users:update)
+app.post('/api/users/:userId/approve', authenticateToken, requirePermission('users:update'), async (req, res) => {
     try {
-        const id = req.params.id;
-        const { jetName, jetType, speed, commissioningDate } = req.body;
-        
-        if (!jetName || !jetType || !speed || !commissioningDate) {
-            return res.status(400).json({ error: 'Missing required fields' });
-        }
+        const userId = req.params.userId;
 
-        await runSql(
-            'UPDATE Jets SET jetName = ?, jetType = ?, speed = ?, commissioningDate = ? WHERE equipmentID = ?',
-            [jetName, jetType, speed, commissioningDate, id]
-        );
+        const user = await getSql('SELECT role FROM Users WHERE userID = ? AND status = "pending" AND deletedAt IS NULL', [userId]);
+        if (!user) {
+            return res.status(404).json({ error: 'No registration waiting for approval' });
+        }
+        await assertCanManageRole(req.user, user.role);
 
-        res.json({ success: true, message: 'Jet updated successfully' });
+        await auditedRunSql(req, 'Users', userId, 'update', 'UPDATE Users SET status = "active" WHERE userID = ?', [userId]);
+        res.json({ success: true, message: 'User approved successfully' });
     } catch (e) {
         console.error(e);
+        if (e.status) {
+            return res.status(e.status).json({ error: e.message, ...e.details });
+        }
         res.status(500).json({ error: 'Server error' });
     }
 });
 
-// Delete jet (Admin only)
-app.delete('/api/jets/:id', authenticateToken, authorizeRole('admin'), async (req, res) => {
+// Unlock an account locked by failed logins (users:update)
+app.post('/api/users/:userId/unlock', authenticateToken, requirePermission('users:update'), async (req, res) => {
     try {
-        const id = req.params.id;
-        await runSql('DELETE FROM Jets WHERE equipmentID = ?', [id]);
-        res.json({ success: true, message: 'Jet deleted successfully' });
+        const userId = req.params.userId;
+
+        const user = await getSql('SELECT role FROM Users WHERE userID = ? AND deletedAt IS NULL', [userId]);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        await assertCanManageRole(req.user, user.role);
+
+        await auditedRunSql(req, 'Users', userId, 'update', 'UPDATE Users SET failedLogins = 0, lockedUntil = NULL WHERE userID = ?', [userId]);
+        res.json({ success: true, message: 'User unlocked successfully' });
     } catch (e) {
         console.error(e);
+        if (e.status) {
+            return res.status(e.status).json({ error: e.message, ...e.details });
+        }
         res.status(500).json({ error: 'Server error' });
     }
 });
 
-// ============================================
-// STATISTICS & REPORTS
-// ============================================
-
-// Get dashboard statistics (Read - accessible to all authenticated users)
-app.get('/api/stats', authenticateToken, async (req, res) => {
+// Reset a user's password (users:update)
+// Returns a one-time reset code, shown once, that lets the user set a new password without the old one.
+// The user must change their password at the next login and their sessions end.
+app.post('/api/users/:userId/reset-password', authenticateToken, requirePermission('users:update'), async (req, res) => {
     try {
-        const serving = await getSql('SELECT COUNT(*) as c FROM ServingPersonnel');
-        const retired = await getSql('SELECT COUNT(*) as c FROM RetiredPersonnel');
-        const logistics = await getSql('SELECT COUNT(*) as c FROM Logistics');
-        const artillery = await getSql('SELECT COUNT(*) as c FROM Artillery');
-        const ships = await getSql('SELECT COUNT(*) as c FROM Ships');
-        const jets = await getSql('SELECT COUNT(*) as c FROM Jets');
-        
+        const userId = req.params.userId;
+
+        const user = await getSql('SELECT role FROM Users WHERE userID = ? AND deletedAt IS NULL', [userId]);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        await assertCanManageRole(req.user, user.role);
+
+        if (Number(userId) === req.user.userID) {
+            return res.status(400).json({ error: 'Use Change Password for your own account' });
+        }
+
+        const resetToken = crypto.randomBytes(12).toString('base64url');
+        const reset = await withTransaction(async (conn) => {
+            await auditedRunSql(
+                req, 'Users', userId, 'update',
+                `UPDATE Users SET mustChangePassword = TRUE, resetTokenHash = ?,
+                        resetTokenExpires = DATE_ADD(NOW(), INTERVAL ? HOUR), failedLogins = 0, lockedUntil = NULL
+                 WHERE userID = ?`,
+                [hashToken(resetToken), PASSWORD_EXPIRY.resetHours, userId],
+                conn
+            );
+            await revokeUserSessions(userId, conn);
+            return getSql('SELECT resetTokenExpires FROM Users WHERE userID = ?', [userId], conn);
+        });
+
         res.json({
-            total_serving: serving.c,
-            total_retired: retired.c,
-            total_equipment: logistics.c,
-            total_artillery: artillery.c,
-            total_ships: ships.c,
-            total_jets: jets.c
+            success: true,
+            resetToken,
+            expiresAt: reset.resetTokenExpires,
+            message: 'Password reset. Give the user the reset code; it is not shown again.'
         });
     } catch (e) {
         console.error(e);
+        if (e.status) {
+            return res.status(e.status).json({ error: e.message, ...e.details });
+        }
         res.status(500).json({ error: 'Server error' });
     }
 });
 
-// Get personnel with assigned equipment (JOIN query) (Read - accessible to all authenticated users)
-app.get('/api/reports/personnel-equipment', authenticateToken, async (req, res) => {
+// Reset a user's two-factor enrollment, e.g. after a lost phone (users:update)
+// Their sessions end; if their role requires two-factor authentication they set it up again at the next login.
+app.delete('/api/users/:userId/2fa', authenticateToken, requirePermission('users:update'), async (req, res) => {
     try {
-        const sql = `
-            SELECT 
-                sp.serviceID,
-                sp.firstName,
-                sp.lastName,
-                sp.currRank,
-                sp.regiment,
-                l.equipmentID,
-                l.logisticsType,
-                l.location,
-                l.cost
-            FROM ServingPersonnel sp
-            LEFT JOIN Logistics l ON sp.serviceID = l.assignedTo
-            ORDER BY sp.serviceID
-        `;
-        const rows = await allSql(sql);
-        res.json({ assignments: rows });
+        const userId = req.params.userId;
+
+        const user = await getSql('SELECT role, totpEnabledAt FROM Users WHERE userID = ? AND deletedAt IS NULL', [userId]);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        await assertCanManageRole(req.user, user.role);
+
+        if (!user.totpEnabledAt) {
+            return res.status(400).json({ error: 'The user has not set up two-factor authentication' });
+        }
+
+        await withTransaction(async (conn) => {
+            await auditedRunSql(
+                req, 'Users', userId, 'update',
+                'UPDATE Users SET totpSecret = NULL, totpPendingSecret = NULL, totpEnabledAt = NULL, totpLastStep = NULL WHERE userID = ?',
+                [userId],
+                conn
+            );
+            await runSql('DELETE FROM RecoveryCodes WHERE userID = ?', [userId], conn);
+            await revokeUserSessions(userId, conn);
+        });
+
+        res.json({ success: true, message: 'Two-factor authentication reset' });
     } catch (e) {
         console.error(e);
+        if (e.status) {
+            return res.status(e.status).json({ error: e.message, ...e.details });
+        }
         res.status(500).json({ error: 'Server error' });
     }
 });
 
-// Get equipment assigned to specific personnel (Read - accessible to all authenticated users)
-app.get('/api/equipment/assigned/:personnelId', authenticateToken, async (req, res) => {
+// Delete user (users:delete)
+// The account goes to the recycle bin, keeping its role and scopes, and its sessions end.
+app.delete('/api/users/:userId', authenticateToken, requirePermission('users:delete'), async (req, res) => {
     try {
-        const personnelId = req.params.personnelId;
-        const sql = `
-            SELECT * FROM Logistics 
-            WHERE assignedTo = ?
-            ORDER BY equipmentID
-        `;
-        const rows = await allSql(sql, [personnelId]);
-        res.json({ equipment: rows });
+        const userId = req.params.userId;
+        
+        // Only users whose role is within the caller's own permissions can be deleted
+        const user = await getSql('SELECT role FROM Users WHERE userID = ? AND deletedAt IS NULL', [userId]);
+        if (user) {
+            await assertCanManageRole(req.user, user.role);
+        }
+
+        // Prevent deleting the last admin
+        if (user && user.role === 'admin') {
+            const adminCount = await getSql('SELECT COUNT(*) as c FROM Users WHERE role = "admin" AND deletedAt IS NULL');
+            if (adminCount.c <= 1) {
+                return res.status(400).json({ error: 'Cannot delete the last admin user' });
+            }
+        }
+
+        await withTransaction(async (conn) => {
+            await softDelete(req, 'users', userId, conn);
+            await revokeUserSessions(userId, conn);
+        });
+        res.json({ success: true, message: 'User deleted successfully' });
     } catch (e) {
         console.error(e);
+        if (e.status) {
+            return res.status(e.status).json({ error: e.message, ...e.details });
+        }
         res.status(500).json({ error: 'Server error' });
     }
 });
 
 // ============================================
-// USER MANAGEMENT (Admin Only)
+// INVITES
 // ============================================
 
-// Get all users (Admin only)
-app.get('/api/users', authenticateToken, authorizeRole('admin'), async (req, res) => {
+// Invites, newest first, with their state: open, used, expired or revoked (users:read)
+app.get('/api/invites', authenticateToken, requirePermission('users:read'), async (req, res) => {
     try {
-        const rows = await allSql('SELECT userID, username, role, createdAt FROM Users ORDER BY createdAt DESC');
-        res.json({ users: rows });
+        const rows = await allSql(
+            `SELECT i.inviteID, i.role, i.note, i.createdByName, i.createdAt, i.expiresAt, i.usedAt, u.username AS usedByName, i.revokedAt,
+                    CASE WHEN i.usedAt IS NOT NULL THEN 'used' WHEN i.revokedAt IS NOT NULL THEN 'revoked'
+                         WHEN i.expiresAt <= NOW() THEN 'expired' ELSE 'open' END AS state
+             FROM Invites i LEFT JOIN Users u ON u.userID = i.usedBy
+             ORDER BY i.createdAt DESC, i.inviteID DESC`
+        );
+        res.json({ invites: rows, registration: REGISTRATION_MODE });
     } catch (e) {
         console.error(e);
         res.status(500).json({ error: 'Server error' });
     }
 });
 
-// Update user role (Admin only)
-app.put('/api/users/:userId/role', authenticateToken, authorizeRole('admin'), async (req, res) => {
+// Create an invite (users:update)
+// Body: role (within the caller's own permissions), optional note and expiresInDays (default 7).
+// The code is only returned here; the server keeps its hash.
+app.post('/api/invites', authenticateToken, requirePermission('users:update'), async (req, res) => {
     try {
-        const userId = req.params.userId;
-        const { role } = req.body;
+        const { role, note } = req.body;
+        const days = req.body.expiresInDays === undefined ? INVITE_DEFAULT_DAYS : Number(req.body.expiresInDays);
 
-        if (!role || (role !== 'admin' && role !== 'user')) {
-            return res.status(400).json({ error: 'Invalid role. Must be "admin" or "user"' });
+        if (!role || typeof role !== 'string') {
+            return res.status(400).json({ error: 'Role is required' });
         }
-
-        // Prevent admin from removing their own admin role if they're the only admin
-        if (role === 'user') {
-            const currentUser = await getSql('SELECT role FROM Users WHERE userID = ?', [userId]);
-            if (currentUser && currentUser.role === 'admin') {
-                const adminCount = await getSql('SELECT COUNT(*) as c FROM Users WHERE role = "admin"');
-                if (adminCount.c <= 1) {
-                    return res.status(400).json({ error: 'Cannot remove the last admin user' });
-                }
-            }
+        if (!Number.isInteger(days) || days < 1 || days > 90) {
+            return res.status(400).json({ error: 'expiresInDays must be a whole number from 1 to 90' });
         }
+        if (note !== undefined && note !== null && (typeof note !== 'string' || note.length > 100)) {
+            return res.status(400).json({ error: 'note must be text of up to 100 characters' });
+        }
+        await assertCanManageRole(req.user, role);
 
-        await runSql('UPDATE Users SET role = ? WHERE userID = ?', [role, userId]);
-        res.json({ success: true, message: 'User role updated successfully' });
+        const code = crypto.randomBytes(12).toString('base64url');
+        const inviteID = await withTransaction(async (conn) => {
+            const result = await runSql(
+                `INSERT INTO Invites (codeHash, role, note, createdBy, createdByName, expiresAt)
+                 VALUES (?, ?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? DAY))`,
+                [hashToken(code), role, note || null, req.user.userID, req.user.username, days],
+                conn
+            );
+            await recordAudit(req, 'Invites', result.insertId, 'create', null, await snapshotRow('Invites', result.insertId, conn), conn);
+            return result.insertId;
+        });
+
+        res.json({ success: true, inviteID, code, role, expiresInDays: days, message: 'Invite created; the code is only shown once' });
     } catch (e) {
         console.error(e);
+        if (e.status) {
+            return res.status(e.status).json({ error: e.message, ...e.details });
+        }
         res.status(500).json({ error: 'Server error' });
     }
 });
 
-// Delete user (Admin only)
-app.delete('/api/users/:userId', authenticateToken, authorizeRole('admin'), async (req, res) => {
+// Revoke an unused invite (users:update)
+app.delete('/api/invites/:inviteId', authenticateToken, requirePermission('users:update'), async (req, res) => {
     try {
-        const userId = req.params.userId;
-        
-        // Prevent deleting the last admin
-        const user = await getSql('SELECT role FROM Users WHERE userID = ?', [userId]);
-        if (user && user.role === 'admin') {
-            const adminCount = await getSql('SELECT COUNT(*) as c FROM Users WHERE role = "admin"');
-            if (adminCount.c <= 1) {
-                return res.status(400).json({ error: 'Cannot delete the last admin user' });
-            }
+        const invite = await getSql('SELECT role FROM Invites WHERE inviteID = ? AND usedAt IS NULL AND revokedAt IS NULL', [req.params.inviteId]);
+        if (!invite) {
+            return res.status(404).json({ error: 'No open invite found' });
         }
+        await assertCanManageRole(req.user, invite.role);
 
-        await runSql('DELETE FROM Users WHERE userID = ?', [userId]);
-        res.json({ success: true, message: 'User deleted successfully' });
+        await auditedRunSql(req, 'Invites', req.params.inviteId, 'update', 'UPDATE Invites SET revokedAt = NOW() WHERE inviteID = ?', [req.params.inviteId]);
+        res.json({ success: true, message: 'Invite revoked successfully' });
     } catch (e) {
         console.error(e);
+        if (e.status) {
+            return res.status(e.status).json({ error: e.message, ...e.details });
+        }
         res.status(500).json({ error: 'Server error' });
     }
 });
 
+// --- API DOCUMENTATION ---
+
+app.get('/api/openapi.json', (req, res) => {
+    res.json(openapi.document);
+});
+
+app.get('/api/docs', (req, res) => {
+    res.type('html').send(openapi.docsPage());
+});
+
+// Swagger UI assets, served from the swagger-ui-dist package so the docs work offline
+app.use('/api/docs', express.static(swaggerUiDist.getAbsoluteFSPath(), { index: false }));
+
 // --- 9. FRONTEND STATIC FILES & CATCH-ALL ---
 // CRITICAL: This section MUST come AFTER all your API routes.
 app.use(express.static(path.join(__dirname, 'public')));
@@ -907,20 +6756,55 @@ app.get(/^(?!\/api).*/, (req, res) => {
 });
 
 // --- 10. START SERVER (AFTER DB CHECK) ---
-// Test the connection pool and START the server
-pool.getConnection()
-    .then(async conn => {
-        console.log('✅ Connected to MySQL database!');
-        conn.release();
+// Test the connection pool and START the server; when required (e.g. by tests) just export the app
+if (require.main === module) {
+    pool.getConnection()
+        .then(async conn => {
+            console.log('✅ Connected to MySQL database!');
+            conn.release();
         
-        // Initialize Users table
-        await initializeUsersTable();
+            // Initialize Roles, Users, recycle bin, row versions, UserSessions, AuthAttempts, Invites, password columns, two-factor, UserScopes, EquipmentAssignment, maintenance, rank, retirement, AuditLog, unit, Postings and Attachments tables
+            await initializeRolesTables();
+            await initializeUsersTable();
+            await initializeRecycleBin();
+            await initializeRowVersions();
+            await initializeSessionsTable();
+            await initializeLoginSecurity();
+            await initializePasswordManagement();
+            await initializeTwoFactor();
+            await initializeUserScopesTable();
+            await initializeEquipmentAssignmentTable();
+            await initializeMaintenanceTables();
+            await initializeRanksTables();
+            await initializeRetirementTables();
+            await initializeAuditLogTable();
+            await initializeUnitsTables();
+            await initializePostingsTable();
+            await initializeAttachmentsTable();
+
+            // Transfer orders can be dated ahead; bring members' postings up to date through the day
+            setInterval(() => {
+                applyPostings({}).catch(e => console.error('❌ Error applying postings:', e));
+            }, POSTING_SYNC_INTERVAL_MS);
+
+            // Members age out without any record changing; warn about them daily
+            setInterval(() => {
+                checkSuperannuation().catch(e => console.error('❌ Error checking superannuation:', e));
+            }, SUPERANNUATION_CHECK_INTERVAL_MS);
+
+            // Purge what has been in the recycle bin past its retention period, now and daily
+            const purge = () => purgeExpired().catch(e => console.error('❌ Error purging the recycle bin:', e));
+            await purge();
+            setInterval(purge, RECYCLE_PURGE_INTERVAL_MS);
         
-        // --- START SERVER ---
-        // Only listen for connections AFTER the database is confirmed to be working
-        app.listen(PORT, () => console.log(`🚀 AFMS Server running on http://localhost:${PORT}`));
-    })
-    .catch(err => {
-        console.error('❌ FATAL ERROR: Could not connect to the database. Check your .env file and MySQL service:', err.message);
-        process.exit(1); 
-    });
+            // --- START SERVER ---
+            // Only listen for connections AFTER the database is confirmed to be working
+            app.listen(PORT, () => console.log(`🚀 AFMS Server running on http://localhost:${PORT}`));
+        })
+        .catch(err => {
+            console.error('❌ FATAL ERROR: Could not connect to the database. Check your .env file and MySQL service:', err.message);
+            process.exit(1); 
+        });
+}
+
+module.exports = app;
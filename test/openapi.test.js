@@ -0,0 +1,138 @@
+// Checks that /api/openapi.json describes every API route server.js registers, and nothing else,
+// with the same auth requirement and permissions. Requiring server.js does not connect to MySQL.
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const app = require('../server');
+const { document } = require('../openapi');
+
+const METHODS = ['get', 'post', 'put', 'delete', 'patch'];
+
+/**
+ * Every API route as { method, path, auth, middleware }, path in OpenAPI form (/x/{id}).
+ * `middleware` is what runs between authenticateToken and the route's own handler.
+ */
+function registeredRoutes() {
+    const routes = [];
+    for (const layer of app.router.stack) {
+        if (!layer.route || typeof layer.route.path !== 'string' || !layer.route.path.startsWith('/api/')) continue;
+        const handlers = layer.route.stack.map(l => l.handle);
+        for (const method of Object.keys(layer.route.methods)) {
+            routes.push({
+                method,
+                path: layer.route.path.replace(/:(\w+)/g, '{$1}'),
+                auth: handlers.some(h => h.name === 'authenticateToken'),
+                middleware: handlers.slice(0, -1).filter(h => h.name !== 'authenticateToken')
+            });
+        }
+    }
+    return routes;
+}
+
+/**
+ * Runs a route's middleware for a signed-in user holding `permissions`, without reaching
+ * the route's handler. Resolves to the status a middleware refused with, or null if all passed.
+ */
+async function refusal(route, permissions) {
+    for (const handle of route.middleware) {
+        const status = await new Promise((resolve, reject) => {
+            const req = { method: route.method.toUpperCase(), headers: {}, query: {}, params: {}, body: {}, user: { permissions, scopes: { regiment: [], location: [] } } };
+            const res = {
+                status(code) { this.statusCode = code; return this; },
+                json() { resolve(this.statusCode); return this; }
+            };
+            handle(req, res, err => (err ? reject(err) : resolve(null)));
+        });
+        if (status) return status;
+    }
+    return null;
+}
+
+/**
+ * The spec path a route path falls under: an exact match, else a templated path whose
+ * parameters list the route's literal segments in their enum (e.g. /api/equipment/{type}/{id}).
+ */
+function specPathFor(routePath, method) {
+    if (document.paths[routePath]?.[method]) return routePath;
+    const segments = routePath.split('/');
+    return Object.keys(document.paths).find(specPath => {
+        const operation = document.paths[specPath][method];
+        const specSegments = specPath.split('/');
+        if (!operation || specSegments.length !== segments.length) return false;
+        return specSegments.every((segment, i) => {
+            if (segment === segments[i]) return true;
+            const param = /^\{(\w+)\}$/.exec(segment);
+            if (!param) return false;
+            const parameter = (operation.parameters || []).find(p => p.in === 'path' && p.name === param[1]);
+            return parameter?.schema?.enum?.includes(segments[i]);
+        });
+    });
+}
+
+const routes = registeredRoutes();
+
+test('server registers API routes', () => {
+    assert.ok(routes.length > 100, `only ${routes.length} routes found`);
+});
+
+test('every API route has an operation in the spec', () => {
+    const missing = routes.filter(r => !specPathFor(r.path, r.method)).map(r => `${r.method.toUpperCase()} ${r.path}`);
+    assert.deepStrictEqual(missing, [], `add these routes to openapi.js:\n${missing.join('\n')}`);
+});
+
+test('every operation in the spec has a route', () => {
+    const covered = new Set(routes.map(r => `${r.method} ${specPathFor(r.path, r.method)}`));
+    const stale = [];
+    for (const [specPath, operations] of Object.entries(document.paths)) {
+        for (const method of Object.keys(operations).filter(m => METHODS.includes(m))) {
+            if (!covered.has(`${method} ${specPath}`)) stale.push(`${method.toUpperCase()} ${specPath}`);
+        }
+    }
+    assert.deepStrictEqual(stale, [], `no route serves these operations:\n${stale.join('\n')}`);
+});
+
+test('auth requirements match the routes', () => {
+    for (const route of routes) {
+        const operation = document.paths[specPathFor(route.path, route.method)]?.[route.method];
+        if (!operation) continue;
+        const secured = !(operation.security && operation.security.length === 0);
+        assert.strictEqual(secured, route.auth, `${route.method.toUpperCase()} ${route.path}: ${route.auth ? 'needs' : 'does not need'} a token`);
+    }
+});
+
+test('x-permissions match the routes', async () => {
+    for (const route of routes) {
+        const operation = document.paths[specPathFor(route.path, route.method)]?.[route.method];
+        if (!operation) continue;
+        const permissions = operation['x-permissions'] || [];
+        const name = `${route.method.toUpperCase()} ${route.path}`;
+
+        // The listed permissions are enough, and each of them is needed
+        assert.strictEqual(await refusal(route, permissions), null, `${name} needs more than ${permissions.join(', ') || 'no permissions'}`);
+        for (const permission of permissions) {
+            const others = permissions.filter(p => p !== permission);
+            assert.strictEqual(await refusal(route, others), 403, `${name} does not need ${permission}`);
+        }
+    }
+});
+
+test('path parameters are declared', () => {
+    for (const [specPath, operations] of Object.entries(document.paths)) {
+        const names = [...specPath.matchAll(/\{(\w+)\}/g)].map(m => m[1]);
+        for (const [method, operation] of Object.entries(operations)) {
+            const declared = (operation.parameters || []).filter(p => p.in === 'path').map(p => p.name);
+            assert.deepStrictEqual(declared.sort(), [...names].sort(), `${method.toUpperCase()} ${specPath}`);
+        }
+    }
+});
+
+test('operation IDs are unique and references resolve', () => {
+    const ids = Object.values(document.paths).flatMap(operations => Object.values(operations).map(o => o.operationId));
+    assert.strictEqual(new Set(ids).size, ids.length, 'duplicate operationId');
+
+    const json = JSON.stringify(document);
+    for (const [, kind, name] of json.matchAll(/"#\/components\/(\w+)\/(\w+)"/g)) {
+        assert.ok(document.components[kind]?.[name], `unresolved reference #/components/${kind}/${name}`);
+    }
+});
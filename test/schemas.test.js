@@ -0,0 +1,95 @@
+// Checks the field rules in public/schemas.js that both the API and the web forms rely on.
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { validateRecord, normaliseDate } = require('../public/schemas');
+
+/** YYYY-MM-DD for `years` years before today. */
+function yearsAgo(years) {
+    const date = new Date();
+    date.setFullYear(date.getFullYear() - years);
+    return normaliseDate(date);
+}
+
+/** A serving record that passes every rule, with `changes` applied. */
+function serving(changes) {
+    return Object.assign({
+        serviceID: 'S0000001',
+        firstName: 'Ann',
+        lastName: 'Lee',
+        DOB: yearsAgo(30),
+        commissionDate: yearsAgo(8),
+        currRank: 'CPT',
+        salary: 50000,
+        postingType: 'F'
+    }, changes);
+}
+
+/** The fields `validateRecord` refuses, with their messages. */
+function errors(type, data, options) {
+    return validateRecord(type, data, options).errors;
+}
+
+test('normaliseDate accepts real calendar dates only', () => {
+    assert.strictEqual(normaliseDate('2024-02-29'), '2024-02-29');
+    assert.strictEqual(normaliseDate(' 2024-03-01T10:00:00Z '), '2024-03-01');
+    assert.strictEqual(normaliseDate(new Date(2024, 0, 5)), '2024-01-05');
+    assert.strictEqual(normaliseDate('2023-02-29'), null);
+    assert.strictEqual(normaliseDate('2024-13-01'), null);
+    assert.strictEqual(normaliseDate('01/02/2024'), null);
+    assert.strictEqual(normaliseDate(new Date('not a date')), null);
+});
+
+test('a valid record passes and is normalised', () => {
+    const { errors: found, values } = validateRecord('serving', serving({ firstName: '  Ann ', salary: '50000', awards: '' }));
+    assert.deepStrictEqual(found, []);
+    assert.strictEqual(values.firstName, 'Ann');
+    assert.strictEqual(values.salary, 50000);
+    assert.strictEqual(values.awards, null);
+});
+
+test('required fields must be present and non-empty', () => {
+    assert.deepStrictEqual(errors('serving', serving({ lastName: ' ', salary: undefined })), [
+        { field: 'lastName', message: 'lastName is required' },
+        { field: 'salary', message: 'salary is required' }
+    ]);
+});
+
+test('string length limits follow the columns', () => {
+    assert.deepStrictEqual(errors('serving', serving({ serviceID: 'S1' })), [{ field: 'serviceID', message: 'serviceID must be exactly 8 characters' }]);
+    assert.deepStrictEqual(errors('serving', serving({ firstName: 'A'.repeat(21) })), [{ field: 'firstName', message: 'firstName must be at most 20 characters' }]);
+});
+
+test('numbers are checked for type, sign and precision', () => {
+    assert.deepStrictEqual(errors('serving', serving({ salary: '12.5' })), [{ field: 'salary', message: 'salary must be a whole number' }]);
+    assert.deepStrictEqual(errors('serving', serving({ salary: 0 })), [{ field: 'salary', message: 'salary must be greater than 0' }]);
+
+    const jet = { equipmentID: 'J00000000001', jetName: 'Falcon', jetType: 'Fighter', commissioningDate: '2020-01-01' };
+    assert.deepStrictEqual(errors('jets', { ...jet, speed: '1234.56' }), []);
+    assert.deepStrictEqual(errors('jets', { ...jet, speed: '1234.567' }), [{ field: 'speed', message: 'speed can have at most 2 decimal places' }]);
+    assert.deepStrictEqual(errors('jets', { ...jet, speed: '100000000' }), [{ field: 'speed', message: 'speed must be at most 99999999.99' }]);
+});
+
+test('dates must be real and, where required, not in the future', () => {
+    assert.deepStrictEqual(errors('serving', serving({ commissionDate: '2020-02-30' })), [{ field: 'commissionDate', message: 'commissionDate must be a valid date (YYYY-MM-DD)' }]);
+    assert.deepStrictEqual(errors('serving', serving({ commissionDate: yearsAgo(-1) })), [{ field: 'commissionDate', message: 'commissionDate cannot be in the future' }]);
+});
+
+test('the age rule applies on create only', () => {
+    const message = 'DOB: age must be at least 18 and under 60';
+    assert.deepStrictEqual(errors('serving', serving({ DOB: yearsAgo(17), commissionDate: null })), [{ field: 'DOB', message }]);
+    assert.deepStrictEqual(errors('serving', serving({ DOB: yearsAgo(60), commissionDate: null })), [{ field: 'DOB', message }]);
+    assert.deepStrictEqual(errors('serving', serving({ DOB: yearsAgo(60), commissionDate: null }), { update: true }), []);
+});
+
+test('`after` dates must be later than the field they name', () => {
+    assert.deepStrictEqual(errors('serving', serving({ commissionDate: yearsAgo(30) })), [{ field: 'commissionDate', message: 'commissionDate must be after DOB' }]);
+    // Not reported again when the field it depends on is already invalid
+    assert.deepStrictEqual(errors('serving', serving({ DOB: 'yesterday' })), [{ field: 'DOB', message: 'DOB must be a valid date (YYYY-MM-DD)' }]);
+});
+
+test('update skips the key and `skip` leaves fields unchecked', () => {
+    const { serviceID, salary, ...rest } = serving();
+    assert.deepStrictEqual(errors('serving', rest, { update: true, skip: ['salary'] }), []);
+});
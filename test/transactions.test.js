@@ -0,0 +1,238 @@
+// Checks that multi-step writes commit or roll back as a whole, and that MySQL value errors
+// come back as field errors. server.js runs against a scripted stand-in for the MySQL pool:
+// mysql2's createPool is replaced before server.js is required.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const mysql = require('mysql2/promise');
+
+/**
+ * The stand-in database. `rules` are [pattern, answer] pairs tried in order against each
+ * query; an answer is the rows to return, an Error to throw, or a function of the params
+ * giving either. Unmatched SELECTs find nothing and other statements change one row.
+ * `queries` logs every statement with the connection it ran on; with `failRollback` set,
+ * rolling back throws.
+ */
+const db = { rules: [], queries: [], connections: [], failRollback: false };
+
+function answer(on, sql, params) {
+    db.queries.push({ on, sql: sql.trim(), params });
+    const rule = db.rules.find(([pattern]) => pattern.test(sql));
+    let result = rule ? rule[1] : null;
+    if (typeof result === 'function') result = result(params);
+    if (result instanceof Error) throw result;
+    if (result) return [result];
+    return [/^\s*SELECT/i.test(sql) ? [] : { affectedRows: 1, insertId: 1 }];
+}
+
+mysql.createPool = () => ({
+    query: async (sql, params) => answer('pool', sql, params),
+    getConnection: async () => {
+        const conn = {
+            id: db.connections.length + 1,
+            began: false,
+            committed: false,
+            rolledBack: false,
+            released: false,
+            query: async (sql, params) => answer(conn.id, sql, params),
+            beginTransaction: async () => { conn.began = true; },
+            commit: async () => { conn.committed = true; },
+            rollback: async () => {
+                if (db.failRollback) throw sqlError('PROTOCOL_CONNECTION_LOST', 'Connection lost: The server closed the connection.');
+                conn.rolledBack = true;
+            },
+            release: () => { conn.released = true; }
+        };
+        db.connections.push(conn);
+        return conn;
+    }
+});
+
+const app = require('../server');
+
+const user = {
+    userID: 1,
+    username: 'tester',
+    permissions: ['personnel:read', 'personnel:create', 'personnel:update', 'personnel:delete', 'personnel:sensitive', 'equipment:update'],
+    scopes: { regiment: [], location: [] }
+};
+
+/** A MySQL error as mysql2 raises it. */
+function sqlError(code, sqlMessage, sqlState = 'HY000') {
+    return Object.assign(new Error(sqlMessage), { code, sqlMessage, sqlState });
+}
+
+/**
+ * Calls the handler of `method path` (past its auth and permission middleware) as `user`.
+ * Resolves to { status, body }.
+ */
+async function call(method, path, req) {
+    const layer = app.router.stack.find(l => l.route && l.route.path === path && l.route.methods[method]);
+    const handle = layer.route.stack[layer.route.stack.length - 1].handle;
+    const res = {
+        statusCode: 200,
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; }
+    };
+    await handle({ params: {}, query: {}, body: {}, user, ...req }, res);
+    return { status: res.statusCode, body: res.body };
+}
+
+/** Statements other than SELECTs, with the connection they ran on. */
+function writes() {
+    return db.queries.filter(q => !/^SELECT/i.test(q.sql));
+}
+
+test.beforeEach(() => {
+    db.rules = [];
+    db.queries = [];
+    db.connections = [];
+    db.failRollback = false;
+});
+
+// --- Retiring a member ---
+
+const member = {
+    serviceID: 'S0000001',
+    firstName: 'Ann',
+    lastName: 'Lee',
+    DOB: '1970-01-01',
+    commissionDate: '1990-06-01',
+    currRank: 'COL',
+    regiment: null,
+    awards: null,
+    skills: null,
+    healthPlan: null
+};
+
+function retire(rules) {
+    db.rules = [
+        ...rules,
+        [/FROM ServingPersonnel WHERE serviceID = \? AND deletedAt IS NULL FOR UPDATE/, [member]],
+        [/FROM Logistics WHERE assignedTo = \?/, [{ equipmentID: 'EQ0000000001' }]]
+    ];
+    return call('post', '/api/personnel/serving/:id/retire', {
+        params: { id: member.serviceID },
+        body: { retirementDate: '2024-01-31', pension: 4000 }
+    });
+}
+
+test('retiring commits every step on one transaction', async () => {
+    const { status, body } = await retire([]);
+
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(body.released, ['EQ0000000001']);
+    assert.strictEqual(db.connections.length, 1);
+    const [conn] = db.connections;
+    assert.ok(conn.began && conn.committed && !conn.rolledBack && conn.released);
+
+    const statements = writes();
+    assert.ok(statements.every(q => q.on === conn.id), 'every write runs on the transaction connection');
+    for (const pattern of [/^UPDATE Logistics SET assignedTo = NULL/, /^INSERT INTO RetiredPersonnel/, /^DELETE FROM ServingPersonnel/, /^INSERT INTO AuditLog/]) {
+        assert.ok(statements.some(q => pattern.test(q.sql)), `no statement matches ${pattern}`);
+    }
+});
+
+test('retiring rolls back everything when a later step fails', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const { status } = await retire([[/^\s*DELETE FROM ServingPersonnel/, sqlError('ER_LOCK_WAIT_TIMEOUT', 'Lock wait timeout exceeded')]]);
+
+    assert.strictEqual(status, 500);
+    const [conn] = db.connections;
+    assert.ok(conn.rolledBack && !conn.committed && conn.released);
+    assert.ok(writes().some(q => q.on === conn.id && /^UPDATE Logistics SET assignedTo = NULL/.test(q.sql)), 'the equipment release ran before the failure');
+});
+
+test('a failed rollback does not hide the error that caused it', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    db.failRollback = true;
+    const { status, body } = await retire([[/^\s*INSERT INTO RetiredPersonnel/, sqlError('ER_DATA_TOO_LONG', "Data too long for column 'lastName' at row 1", '22001')]]);
+
+    assert.strictEqual(status, 400);
+    assert.strictEqual(body.error, 'lastName is too long');
+    assert.ok(db.connections[0].released);
+});
+
+// --- MySQL value errors as field errors (sqlFieldError) ---
+
+test('MySQL value errors come back as 400s naming the field', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const cases = [
+        {
+            error: sqlError('ER_DATA_TOO_LONG', "Data too long for column 'firstName' at row 1", '22001'),
+            expected: { field: 'firstName', message: 'firstName is too long' }
+        },
+        {
+            error: sqlError('ER_CHECK_CONSTRAINT_VIOLATED', "Check constraint 'RetiredPersonnel_chk_1' is violated.", 'HY000'),
+            rules: [[/information_schema\.CHECK_CONSTRAINTS/, params => (params[0] === 'RetiredPersonnel_chk_1' ? [{ clause: '(`pension` > 0)' }] : [])]],
+            expected: { field: 'pension', message: 'pension must satisfy (pension > 0)' }
+        },
+        {
+            error: sqlError('ER_SIGNAL_EXCEPTION', 'Serving Personnel must be between 18 and 60 years old', '45000'),
+            expected: { field: 'DOB', message: 'Serving Personnel must be between 18 and 60 years old' }
+        }
+    ];
+
+    for (const { error, rules = [], expected } of cases) {
+        db.connections = [];
+        const { status, body } = await retire([...rules, [/^\s*INSERT INTO RetiredPersonnel/, error]]);
+
+        assert.strictEqual(status, 400, error.code);
+        assert.strictEqual(body.error, expected.message);
+        assert.deepStrictEqual(body.fields, [expected]);
+        assert.ok(db.connections[0].rolledBack, `${error.code} rolls back`);
+    }
+});
+
+test('other MySQL errors are not field errors', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const { status, body } = await retire([[/^\s*INSERT INTO RetiredPersonnel/, sqlError('ER_LOCK_DEADLOCK', 'Deadlock found')]]);
+
+    assert.strictEqual(status, 500);
+    assert.strictEqual(body.fields, undefined);
+});
+
+// --- Bulk import ---
+
+function importRetired(rows, query = {}) {
+    db.rules = [[/FROM Ranks WHERE rankCode = \?/, params => [{ rankCode: params[0] }]]];
+    const csv = ['serviceID,firstName,lastName,DOB,lastRank,retirementDate,pension', ...rows].join('\n');
+    return call('post', '/api/personnel/retired/import', {
+        query,
+        file: { originalname: 'retired.csv', buffer: Buffer.from(csv) }
+    });
+}
+
+const validRows = ['R0000001,Ann,Lee,1960-01-01,COL,2020-01-01,5000', 'R0000002,Bob,Ray,1961-02-01,MAJ,2021-01-01,4000'];
+
+test('an import with only valid rows is committed', async () => {
+    const { status, body } = await importRetired(validRows);
+
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.committed, true);
+    assert.strictEqual(body.imported, 2);
+    const [conn] = db.connections;
+    assert.ok(conn.committed && !conn.rolledBack && conn.released);
+    assert.deepStrictEqual(writes().filter(q => /^INSERT INTO RetiredPersonnel/.test(q.sql)).map(q => [q.on, q.params[0]]), [[conn.id, 'R0000001'], [conn.id, 'R0000002']]);
+});
+
+test('one invalid row means nothing is imported', async () => {
+    const { status, body } = await importRetired([validRows[0], 'R0000002,Bob,Ray,1961-02-30,MAJ,2021-01-01,4000']);
+
+    assert.strictEqual(status, 400);
+    assert.strictEqual(body.committed, false);
+    assert.strictEqual(body.imported, 0);
+    assert.deepStrictEqual(body.errors.map(e => [e.row, e.key]), [[3, 'R0000002']]);
+    const [conn] = db.connections;
+    assert.ok(conn.rolledBack && !conn.committed && conn.released);
+    assert.ok(writes().some(q => q.on === conn.id && q.params[0] === 'R0000001'), 'the valid row was inserted, then rolled back');
+});
+
+test('a dry run is rolled back even when every row is valid', async () => {
+    const { status, body } = await importRetired(validRows, { dryRun: 'true' });
+
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual([body.dryRun, body.committed, body.valid, body.imported], [true, false, 2, 0]);
+    const [conn] = db.connections;
+    assert.ok(conn.rolledBack && !conn.committed);
+});